@@ -0,0 +1,283 @@
+/**
+ * --- Accessibility ---
+ * Makes the artwork usable without a mouse and understandable without seeing it:
+ *   - Keyboard focus: 'Tab' / 'Shift+Tab' step through the wheels in reading order (rows from
+ *     top to bottom, left to right), and the arrow keys move to the nearest wheel in that
+ *     direction. The focused wheel gets a ring; 'Enter' blooms it and its group, and 'Escape'
+ *     clears the focus. After the last wheel, 'Tab' moves on to the rest of the page as usual.
+ *   - Screen readers: a hidden live region describes the focused wheel (its colors, size and
+ *     whether it has bloomed) and announces each bloom and restore.
+ *   - Reduced motion: when the system asks for less motion (`prefers-reduced-motion`), or 'N'
+ *     is pressed, seeds no longer fly away and back; the wheels' patterns crossfade instead.
+ */
+
+/**
+ * Accessibility Settings: Timing and look of the announcements and focus ring.
+ */
+const accessibilitySettings = {
+  announceDelay: 400, // Milliseconds to wait for a chain reaction or burst of blooms to finish before announcing it once.
+  focusRingGap: 6, // Space between a wheel's edge and its focus ring, in screen pixels.
+};
+
+let focusedWheel = null; // The wheel keyboard commands apply to.
+let statusRegion = null; // The hidden live region screen readers read out.
+let pendingAnnouncement = null; // Blooms and restores not yet announced: { bloomed, restored, lastChange }.
+let isReducedMotion = false; // Whether blooms crossfade instead of releasing seeds.
+
+/**
+ * Setup Accessibility Function: Lets the canvas take keyboard focus, describes it to screen
+ * readers and follows the system's reduced-motion setting.
+ * @param {HTMLCanvasElement} canvas - The main canvas element.
+ */
+function setupAccessibility(canvas) {
+  statusRegion = document.getElementById('artwork-status');
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'application'); // Screen readers pass key presses through to the artwork.
+  canvas.setAttribute('aria-label', 'Wheels of Fortune, an interactive artwork. Press Tab or the arrow keys to move between wheels, Enter to bloom the focused wheel, and Space to restore the last bloom.');
+  canvas.setAttribute('aria-describedby', 'artwork-status');
+
+  const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  isReducedMotion = motionQuery.matches;
+  motionQuery.addEventListener('change', event => {
+    isReducedMotion = event.matches;
+  });
+}
+
+/**
+ * Toggle Reduced Motion Function: Switches between flying seeds and gentle crossfades,
+ * whatever the system setting is.
+ */
+function toggleReducedMotion() {
+  isReducedMotion = !isReducedMotion;
+  showStatusMessage(`Reduced motion: ${isReducedMotion ? 'on (patterns fade instead of blowing away)' : 'off'}`);
+}
+
+/**
+ * Announce Function: Replaces the text of the live region, which screen readers read out.
+ * @param {string} text - What to say.
+ */
+function announce(text) {
+  if (statusRegion) {
+    statusRegion.textContent = text;
+  }
+}
+
+/**
+ * Describe Color Function: Names a color in plain words ("dark purple", "light teal"...).
+ * @param {string} hex - A hex color string.
+ * @returns {string}
+ */
+function describeColor(hex) {
+  const [r, g, b] = color(hex).levels.map(v => v / 255);
+  const brightest = max(r, g, b);
+  const darkest = min(r, g, b);
+  const lightness = (brightest + darkest) / 2;
+  const chroma = brightest - darkest;
+  if (chroma < 0.08) {
+    return lightness < 0.2 ? 'black' : lightness > 0.85 ? 'white' : 'gray';
+  }
+
+  let hue; // In degrees, as on a color wheel.
+  if (brightest === r) {
+    hue = ((g - b) / chroma + 6) % 6 * 60;
+  } else if (brightest === g) {
+    hue = ((b - r) / chroma + 2) * 60;
+  } else {
+    hue = ((r - g) / chroma + 4) * 60;
+  }
+  const hueNames = [[15, 'red'], [40, 'orange'], [65, 'yellow'], [160, 'green'], [195, 'teal'], [255, 'blue'], [290, 'purple'], [335, 'pink'], [360, 'red']];
+  const name = hueNames.find(([limit]) => hue < limit)[1];
+  return (lightness < 0.3 ? 'dark ' : lightness > 0.75 ? 'light ' : '') + name;
+}
+
+/**
+ * Describe Wheel Function: A sentence about a wheel for screen readers: where it is in the
+ * focus order, its size compared with the others, its colors and style, and what blooming it would do.
+ * @param {Wheel} w - The wheel.
+ * @returns {string}
+ */
+function describeWheel(w) {
+  const order = focusOrder();
+  const radii = wheels.map(other => other.radius).sort((a, b) => a - b);
+  const rank = radii.indexOf(w.radius) / max(radii.length - 1, 1);
+  const size = rank < 1 / 3 ? 'small' : rank < 2 / 3 ? 'medium' : 'large';
+  const accents = [...new Set(w.colors.slice(1, 4).map(describeColor))].filter(name => name !== describeColor(w.colors[0]));
+
+  let state;
+  if (w.isBlownAway) {
+    state = 'Its seeds have blown away; press Space to restore the last bloom.';
+  } else {
+    const command = createBloomCommand(w);
+    const others = command ? command.wheels.length - 1 : 0;
+    state = `Press Enter to bloom it${others > 0 ? ` and ${others} other wheel${others === 1 ? '' : 's'}` : ''}.`;
+  }
+  return `Wheel ${order.indexOf(w) + 1} of ${order.length}: a ${size} ${describeColor(w.colors[0])} ${w.style.label.toLowerCase()} wheel` +
+    `${accents.length > 0 ? ` with ${listWords(accents)} accents` : ''}. ${state}`;
+}
+
+/**
+ * List Words Function: Joins words into an English list ("a, b and c").
+ * @param {string[]} words
+ * @returns {string}
+ */
+function listWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+}
+
+/**
+ * Focus Order Function: The wheels in reading order: in rows from top to bottom (a row being
+ * about one average wheel tall), and left to right within a row.
+ * @returns {Wheel[]}
+ */
+function focusOrder() {
+  const rowHeight = max(wheels.reduce((sum, w) => sum + w.radius * 2, 0) / max(wheels.length, 1), 1);
+  return wheels.slice().sort((a, b) => floor(a.y / rowHeight) - floor(b.y / rowHeight) || a.x - b.x);
+}
+
+/**
+ * Focus Wheel Function: Moves the keyboard focus to a wheel (or clears it), keeps it in view
+ * when zoomed in and tells screen readers about it. In edit mode the focused wheel is also
+ * selected, so it can be deleted, recolored or turned from the keyboard.
+ * @param {Wheel|null} w - The wheel to focus.
+ */
+function focusWheel(w) {
+  focusedWheel = w;
+  if (isEditMode) {
+    selectedWheel = w;
+  }
+  if (w) {
+    showInView(w.x, w.y, w.radius);
+    announce(describeWheel(w));
+  }
+}
+
+/**
+ * Nearest Wheel In Direction Function: Finds the wheel an arrow key should move to: the
+ * closest one in that direction, preferring wheels straight ahead over ones off to the side.
+ * @param {Wheel} from - The focused wheel.
+ * @param {number} dx - Horizontal direction (-1, 0 or 1).
+ * @param {number} dy - Vertical direction (-1, 0 or 1).
+ * @returns {Wheel|null}
+ */
+function nearestWheelInDirection(from, dx, dy) {
+  let best = null;
+  let bestScore = Infinity;
+  for (const w of wheels) {
+    if (w === from) continue;
+    const ahead = (w.x - from.x) * dx + (w.y - from.y) * dy; // Distance along the arrow.
+    const aside = abs((w.x - from.x) * dy - (w.y - from.y) * dx); // Distance off to the side.
+    if (ahead <= 0 || aside > ahead * 2) continue; // Behind, or too far off to the side.
+    const score = ahead + aside * 2;
+    if (score < bestScore) {
+      best = w;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Handle Focus Key Function: Applies the keyboard navigation keys.
+ * @returns {boolean} - True if the key was used (and its default action should be prevented).
+ */
+function handleFocusKey() {
+  if (focusedWheel && !wheels.includes(focusedWheel)) {
+    focusedWheel = null; // The wheel was deleted, or a new composition was generated or loaded.
+  }
+
+  if (keyCode === TAB) {
+    const order = focusOrder();
+    const next = order.indexOf(focusedWheel) + (isKeyHeld(SHIFT) ? -1 : 1);
+    if (focusedWheel === null && isKeyHeld(SHIFT)) {
+      focusWheel(order[order.length - 1] || null);
+    } else if (next < 0 || next >= order.length) {
+      focusWheel(null);
+      return false; // Let Tab leave the artwork, so keyboard users are never trapped in it.
+    } else {
+      focusWheel(order[next]);
+    }
+    return focusedWheel !== null;
+  }
+
+  const directions = { [LEFT_ARROW]: [-1, 0], [RIGHT_ARROW]: [1, 0], [UP_ARROW]: [0, -1], [DOWN_ARROW]: [0, 1] };
+  if (directions[keyCode]) {
+    if (!focusedWheel) {
+      focusWheel(focusOrder()[0] || null);
+    } else {
+      const next = nearestWheelInDirection(focusedWheel, ...directions[keyCode]);
+      if (next) {
+        focusWheel(next);
+      }
+    }
+    return true;
+  }
+
+  if (keyCode === ENTER && focusedWheel && !isEditMode) {
+    const command = focusedWheel.isBlownAway ? null : createBloomCommand(focusedWheel);
+    if (command) {
+      recordOnBloom(); // Start recording first if armed, as for a click.
+      commandHistory.record(command);
+    } else {
+      announce('This wheel has already bloomed. Press Space to restore the last bloom.');
+    }
+    return true;
+  }
+
+  if (keyCode === ESCAPE && focusedWheel) {
+    focusWheel(null);
+    announce('No wheel focused.');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Draw Focus Ring Function: Rings the focused wheel, in white over a dark outline so it shows
+ * against any palette. Drawn in composition coordinates, so call it with the camera applied.
+ */
+function drawFocusRing() {
+  if (!focusedWheel || !wheels.includes(focusedWheel)) return;
+  const w = focusedWheel;
+  const diameter = w.radius * 2 + accessibilitySettings.focusRingGap * 2 / viewCamera.zoom;
+  push();
+  noFill();
+  stroke(0, 180);
+  strokeWeight(6 / viewCamera.zoom); // The same thickness on screen at any zoom.
+  circle(w.x, w.y, diameter);
+  stroke(255);
+  strokeWeight(3 / viewCamera.zoom);
+  circle(w.x, w.y, diameter);
+  pop();
+}
+
+/**
+ * Announce Bloom Change Function: Notes that wheels bloomed or were restored. Announcements are
+ * gathered until things have been quiet for a moment, so a chain reaction is read out once.
+ * @param {number} count - How many wheels changed.
+ * @param {boolean} bloomed - True for a bloom, false for a restore.
+ */
+function announceBloomChange(count, bloomed) {
+  if (!pendingAnnouncement) {
+    pendingAnnouncement = { bloomed: 0, restored: 0, lastChange: 0 };
+  }
+  pendingAnnouncement[bloomed ? 'bloomed' : 'restored'] += count;
+  pendingAnnouncement.lastChange = millis();
+}
+
+/**
+ * Update Announcements Function: Reads out gathered blooms and restores once they have
+ * settled. Called once per frame from `draw()`.
+ */
+function updateAnnouncements() {
+  if (!pendingAnnouncement || millis() - pendingAnnouncement.lastChange < accessibilitySettings.announceDelay) return;
+  const { bloomed, restored } = pendingAnnouncement;
+  pendingAnnouncement = null;
+
+  const plural = n => `${n} wheel${n === 1 ? '' : 's'}`;
+  const parts = [];
+  if (bloomed > 0) parts.push(`${plural(bloomed)} bloomed, their seeds blowing away.`);
+  if (restored > 0) parts.push(`${plural(restored)} restored.`);
+  const intact = wheels.filter(w => !w.isBlownAway).length;
+  parts.push(`${intact} of ${wheels.length} wheels still hold their seeds.`);
+  announce(parts.join(' '));
+}
@@ -0,0 +1,262 @@
+/**
+ * --- Artwork Export ---
+ * Saves the artwork for printing, independent of the screen's resolution:
+ *   - PNG: redrawn offscreen into a p5.Graphics at a chosen scale (e.g. 4x) or pixel width.
+ *   - SVG: a true vector file, recorded by drawing the artwork into an `SvgRecorder`.
+ * Both contain only the composition frame (no letterbox bars or on-screen overlays) and show
+ * the artwork as it is right now: bloomed wheels without their patterns, and seeds in flight.
+ *
+ * Controls: 'X' saves a PNG (asking for the size), 'Shift+X' saves an SVG.
+ */
+
+/**
+ * Export Settings: Defaults and limits for exported images.
+ */
+const exportSettings = {
+  pngScale: 4, // Default scale factor offered for PNGs.
+  maxPngSide: 16384, // Browsers can't create canvases much larger than this on either side.
+  svgPrecision: 2, // Decimal places kept for SVG coordinates.
+};
+
+/**
+ * Draw Artwork Function: Draws the composition (background, connectors, wheels and particles)
+ * onto any drawing target, without updating or animating anything.
+ * @param {Object} pg - Where to draw: a p5.Graphics or an `SvgRecorder`.
+ */
+function drawArtwork(pg) {
+  pg.background(backgroundColor);
+  pg.push();
+  pg.translate(-compositionFrame.x, -compositionFrame.y); // The frame's corner becomes the image's corner.
+  for (const conn of connectors) {
+    conn.display(pg);
+  }
+  for (const w of wheels) {
+    w.display(pg);
+  }
+  particleEngine.render(pg);
+  pg.pop();
+}
+
+/**
+ * Parse Export Size Function: Reads a PNG size typed by the user.
+ * @param {string} input - A scale factor ("4", "4x") or a pixel width ("8000px").
+ * @returns {number|null} - The scale factor, or null if the input isn't understood.
+ */
+function parseExportSize(input) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(x|px)?\s*$/i.exec(input);
+  if (!match) return null;
+  const value = float(match[1]);
+  if (value <= 0) return null;
+  return match[2] && match[2].toLowerCase() === 'px' ? value / compositionFrame.w : value;
+}
+
+/**
+ * Prompt PNG Export Function: Asks for a size and saves a PNG at it.
+ */
+function promptPNGExport() {
+  const input = prompt('PNG size: a scale factor (e.g. 4x) or a width in pixels (e.g. 8000px)', `${exportSettings.pngScale}x`);
+  if (input === null) return; // Cancelled.
+
+  const scaleFactor = parseExportSize(input);
+  if (scaleFactor === null) {
+    showStatusMessage(`Could not understand the PNG size "${input}".`, true);
+    return;
+  }
+  exportPNG(scaleFactor);
+}
+
+/**
+ * Export PNG Function: Renders the artwork offscreen at a larger scale and downloads it.
+ * The on-screen canvas is left untouched.
+ * @param {number} scaleFactor - How many image pixels per canvas pixel.
+ */
+function exportPNG(scaleFactor) {
+  const frame = compositionFrame;
+  const largestScale = exportSettings.maxPngSide / max(frame.w, frame.h);
+  const clamped = scaleFactor > largestScale;
+  scaleFactor = min(scaleFactor, largestScale);
+  const imageWidth = round(frame.w * scaleFactor);
+  const imageHeight = round(frame.h * scaleFactor);
+
+  const pg = createGraphics(imageWidth, imageHeight);
+  pg.pixelDensity(1); // One image pixel per graphics pixel, whatever the screen's density.
+  pg.scale(scaleFactor);
+  drawArtwork(pg);
+  save(pg, `wheels-of-fortune-${artworkSeed}-${imageWidth}x${imageHeight}.png`);
+  pg.remove(); // Free the (possibly very large) offscreen canvas.
+
+  showStatusMessage(`Saved a ${imageWidth} x ${imageHeight} PNG${clamped ? ' (reduced to the largest size the browser allows)' : ''}`);
+}
+
+/**
+ * Export SVG Function: Records the artwork as vector shapes and downloads the SVG file.
+ */
+function exportSVG() {
+  const recorder = new SvgRecorder(compositionFrame.w, compositionFrame.h);
+  drawArtwork(recorder);
+  saveStrings([recorder.toString()], `wheels-of-fortune-${artworkSeed}`, 'svg');
+  showStatusMessage(`Saved an SVG with ${recorder.elements.length} shapes`);
+}
+
+/**
+ * --- SVG Recorder Class ---
+ * Stands in for a p5 drawing target: it accepts the same calls the artwork's `display()`
+ * methods make (push/pop, transforms, fill/stroke, circle, ellipse, line and quadratic shapes) and
+ * turns each shape into an SVG element. Only the calls the artwork uses are supported.
+ */
+class SvgRecorder {
+  /**
+   * Constructor: Starts an empty drawing with p5's default styles.
+   * @param {number} w - Width of the drawing.
+   * @param {number} h - Height of the drawing.
+   */
+  constructor(w, h) {
+    this.width = w;
+    this.height = h;
+    this.elements = []; // SVG element strings, in drawing order.
+    this.matrix = [1, 0, 0, 1, 0, 0]; // Current transform (a, b, c, d, e, f), as in SVG's matrix().
+    this.fillPaint = { color: 'rgb(255,255,255)', opacity: 1 };
+    this.strokePaint = { color: 'rgb(0,0,0)', opacity: 1 };
+    this.weight = 1;
+    this.stack = []; // Saved transforms and styles for push()/pop().
+    this.path = null; // Path commands of the shape being built between beginShape() and endShape().
+  }
+
+  push() {
+    this.stack.push({ matrix: this.matrix.slice(), fillPaint: this.fillPaint, strokePaint: this.strokePaint, weight: this.weight });
+  }
+
+  pop() {
+    Object.assign(this, this.stack.pop());
+  }
+
+  translate(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    this.matrix = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+  }
+
+  scale(sx, sy = sx) {
+    const [a, b, c, d, e, f] = this.matrix;
+    this.matrix = [a * sx, b * sx, c * sy, d * sy, e, f];
+  }
+
+  rotate(angle) {
+    const [a, b, c, d, e, f] = this.matrix;
+    const cosA = Math.cos(angle);
+    const sinA = Math.sin(angle);
+    this.matrix = [a * cosA + c * sinA, b * cosA + d * sinA, c * cosA - a * sinA, d * cosA - b * sinA, e, f];
+  }
+
+  /**
+   * Paint Method: Converts p5 color arguments (a hex string, a p5.Color, gray or RGB values,
+   * with optional alpha) into an SVG color and opacity, using p5's own `color()` parser.
+   * @param {Array} args - The arguments given to fill() or stroke().
+   * @returns {{color: string, opacity: number}}
+   */
+  paint(args) {
+    const levels = (args[0] instanceof p5.Color ? args[0] : color(...args)).levels;
+    return { color: `rgb(${levels[0]},${levels[1]},${levels[2]})`, opacity: levels[3] / 255 };
+  }
+
+  fill(...args) {
+    this.fillPaint = this.paint(args);
+  }
+
+  noFill() {
+    this.fillPaint = null;
+  }
+
+  stroke(...args) {
+    this.strokePaint = this.paint(args);
+  }
+
+  noStroke() {
+    this.strokePaint = null;
+  }
+
+  strokeWeight(weight) {
+    this.weight = weight;
+  }
+
+  background(...args) {
+    const paint = this.paint(args);
+    this.elements.push(`<rect width="${this.num(this.width)}" height="${this.num(this.height)}" fill="${paint.color}"/>`);
+  }
+
+  circle(x, y, diameter) {
+    this.addShape('circle', { cx: x, cy: y, r: diameter / 2 }, true);
+  }
+
+  ellipse(x, y, w, h = w) {
+    this.addShape('ellipse', { cx: x, cy: y, rx: w / 2, ry: h / 2 }, true);
+  }
+
+  line(x1, y1, x2, y2) {
+    this.addShape('line', { x1, y1, x2, y2 }, false);
+  }
+
+  beginShape() {
+    this.path = [];
+  }
+
+  vertex(x, y) {
+    this.path.push(`${this.path.length === 0 ? 'M' : 'L'}${this.num(x)} ${this.num(y)}`);
+  }
+
+  quadraticVertex(cx, cy, x, y) {
+    this.path.push(`Q${this.num(cx)} ${this.num(cy)} ${this.num(x)} ${this.num(y)}`);
+  }
+
+  endShape() {
+    this.addShape('path', { d: this.path.join(' ') }, true);
+    this.path = null;
+  }
+
+  /**
+   * Add Shape Method: Emits one SVG element with the current styles and transform.
+   * Shapes that would be invisible (e.g. patterns that haven't faded in yet) are skipped.
+   * @param {string} tag - The SVG element name.
+   * @param {Object} attributes - Its geometry attributes.
+   * @param {boolean} canFill - Whether the shape has an inside (lines don't).
+   */
+  addShape(tag, attributes, canFill) {
+    const fillPaint = canFill && this.fillPaint && this.fillPaint.opacity > 0 ? this.fillPaint : null;
+    const strokePaint = this.strokePaint && this.strokePaint.opacity > 0 && this.weight > 0 ? this.strokePaint : null;
+    if (!fillPaint && !strokePaint) return;
+
+    const parts = Object.entries(attributes).map(([name, value]) => `${name}="${typeof value === 'number' ? this.num(value) : value}"`);
+    parts.push(`fill="${fillPaint ? fillPaint.color : 'none'}"`);
+    if (fillPaint && fillPaint.opacity < 1) parts.push(`fill-opacity="${this.num(fillPaint.opacity)}"`);
+    if (strokePaint) {
+      parts.push(`stroke="${strokePaint.color}"`, `stroke-width="${this.num(this.weight)}"`);
+      if (strokePaint.opacity < 1) parts.push(`stroke-opacity="${this.num(strokePaint.opacity)}"`);
+    }
+    if (this.matrix.join() !== '1,0,0,1,0,0') {
+      parts.push(`transform="matrix(${this.matrix.map(v => this.num(v)).join(' ')})"`);
+    }
+    this.elements.push(`<${tag} ${parts.join(' ')}/>`);
+  }
+
+  /**
+   * Num Method: Formats a number compactly for the SVG text.
+   * @param {number} value
+   * @returns {string}
+   */
+  num(value) {
+    return String(+value.toFixed(exportSettings.svgPrecision));
+  }
+
+  /**
+   * To String Method: The finished SVG document. Strokes get p5's default round caps.
+   * @returns {string}
+   */
+  toString() {
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.num(this.width)}" height="${this.num(this.height)}" viewBox="0 0 ${this.num(this.width)} ${this.num(this.height)}">`,
+      '<g stroke-linecap="round">',
+      ...this.elements,
+      '</g>',
+      '</svg>',
+    ].join('\n');
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * --- Audio-Reactive Mode ---
+ * Uses the p5.sound library to make the wheels respond to music. Sound comes from an
+ * audio file (the bundled sample, or any file dropped on the page) or the microphone.
+ * Every frame an FFT splits it into frequency bands:
+ *   bass   - makes the wheels pulse in size,
+ *   mid    - lengthens the spokes and zigzags,
+ *   treble - swells the outer dots and petals.
+ * Beat onsets (peaks in the kick-drum range) bloom the next palette group automatically.
+ *
+ * Controls: 'A' plays/stops the bundled sample, 'M' listens to the microphone, '1'-'3' pick
+ * a band and ',' / '.' lower or raise its sensitivity.
+ */
+
+/**
+ * Audio Bands: The frequency ranges that drive the wheels, and how strongly each reacts.
+ * `sensitivity` multiplies the band's energy before it is applied, so quiet recordings can
+ * be turned up and loud ones down.
+ */
+const audioBands = [
+  { id: 'bass', label: 'Bass', lowHz: 20, highHz: 250, sensitivity: 1 },
+  { id: 'mid', label: 'Mid', lowHz: 250, highHz: 2000, sensitivity: 1 },
+  { id: 'treble', label: 'Treble', lowHz: 2000, highHz: 12000, sensitivity: 1 },
+];
+
+/**
+ * Beat Settings: How beat onsets are detected (see p5.PeakDetect) and how often they may
+ * trigger a bloom.
+ */
+const beatSettings = {
+  lowHz: 40, // Kick drums live around 40-150 Hz.
+  highHz: 150,
+  threshold: 0.3, // Minimum energy (0-1) for a peak to count as a beat.
+  framesPerPeak: 20, // Frames to wait after a beat before another can be detected.
+  minBloomInterval: 600, // Milliseconds between automatic blooms, so fast rhythms don't bloom everything at once.
+};
+
+const sampleAudioPath = 'sounds/sample-beat.wav'; // Bundled track for testing without a microphone.
+
+/**
+ * Audio State: Everything the mode needs while it runs.
+ */
+let audioSource = null; // 'file', 'mic' or null when the mode is off.
+let audioSound = null; // The p5.SoundFile being played, if any.
+let pendingAudioLoad = null; // Stands for the file being loaded, or null; a load it no longer matches is dropped.
+let audioMic = null; // The p5.AudioIn, if listening to the microphone.
+let audioFFT = null; // p5.FFT analyser shared by both sources.
+let audioPeakDetect = null; // p5.PeakDetect watching the kick-drum range.
+let audioLevels = { bass: 0, mid: 0, treble: 0 }; // Latest band energies after sensitivity, 0-1.
+let selectedAudioBand = 0; // Index into `audioBands` that ',' and '.' adjust.
+let lastAutoBloomTime = -Infinity; // When the last beat-triggered bloom happened.
+
+/**
+ * Ensure Audio Analysers Function: Creates the FFT and beat detector the first time they are
+ * needed. They can't be created at load time because p5.sound needs the p5 sketch to exist.
+ */
+function ensureAudioAnalysers() {
+  if (audioFFT) return;
+  audioFFT = new p5.FFT(0.8, 1024); // Smoothing of 0.8 keeps the wheels from flickering.
+  audioPeakDetect = new p5.PeakDetect(beatSettings.lowHz, beatSettings.highHz, beatSettings.threshold, beatSettings.framesPerPeak);
+  audioPeakDetect.onPeak(handleAudioBeat);
+}
+
+/**
+ * Stop Audio Function: Stops whichever source is playing, or is still loading, and turns the
+ * mode off. The wheels ease back to their normal shape.
+ */
+function stopAudio() {
+  pendingAudioLoad = null;
+  if (audioSound) {
+    audioSound.stop();
+  }
+  if (audioMic) {
+    audioMic.stop();
+  }
+  audioSource = null;
+}
+
+/**
+ * Play Audio File Function: Loads an audio file and loops it as the mode's input. Another
+ * file, the microphone or 'A' before it has loaded replace it, and it isn't played.
+ * @param {string|File} file - A path (like the bundled sample) or a dropped File.
+ * @param {string} name - A name to show in the status line.
+ */
+function playAudioFile(file, name) {
+  userStartAudio(); // Browsers only allow audio after a user gesture; this is called from one.
+  ensureAudioAnalysers();
+  stopAudio();
+  showStatusMessage(`Loading ${name}...`);
+
+  const load = {};
+  pendingAudioLoad = load;
+  loadSound(file, sound => {
+    if (pendingAudioLoad !== load) return; // Replaced while it loaded.
+    pendingAudioLoad = null;
+    if (audioSound) {
+      audioSound.stop();
+      audioSound.disconnect(); // Release the previous track.
+    }
+    audioSound = sound;
+    audioFFT.setInput(audioSound);
+    audioSound.loop();
+    audioSource = 'file';
+    showStatusMessage(`Audio: playing ${name}`);
+  }, () => {
+    if (pendingAudioLoad !== load) return;
+    pendingAudioLoad = null;
+    showStatusMessage(`Could not load ${name} as audio.`, true);
+  });
+}
+
+/**
+ * Toggle Sample Audio Function: Starts the bundled sample track, or stops the audio if it
+ * is already running or loading.
+ */
+function toggleSampleAudio() {
+  if (audioSource || pendingAudioLoad) {
+    stopAudio();
+    showStatusMessage('Audio: off');
+  } else {
+    playAudioFile(sampleAudioPath, 'the sample track');
+  }
+}
+
+/**
+ * Start Microphone Function: Uses the microphone as the mode's input. The browser will ask
+ * for permission the first time.
+ */
+function startMicrophone() {
+  userStartAudio();
+  ensureAudioAnalysers();
+  stopAudio();
+  if (!audioMic) {
+    audioMic = new p5.AudioIn(() => showStatusMessage('Microphone unavailable or permission denied.', true));
+  }
+  audioMic.start();
+  audioFFT.setInput(audioMic);
+  audioSource = 'mic';
+  showStatusMessage('Audio: listening to the microphone');
+}
+
+/**
+ * Adjust Band Sensitivity Function: Changes the selected band's sensitivity.
+ * @param {number} delta - How much to add (may be negative).
+ */
+function adjustBandSensitivity(delta) {
+  const band = audioBands[selectedAudioBand];
+  band.sensitivity = constrain(round((band.sensitivity + delta) * 10) / 10, 0, 4);
+  showStatusMessage(`${band.label} sensitivity: ${band.sensitivity.toFixed(1)}`);
+}
+
+/**
+ * Select Audio Band Function: Chooses which band ',' and '.' adjust.
+ * @param {number} index - Index into `audioBands`.
+ */
+function selectAudioBand(index) {
+  selectedAudioBand = index;
+  const band = audioBands[index];
+  showStatusMessage(`Selected ${band.label} (${band.lowHz}-${band.highHz} Hz), sensitivity ${band.sensitivity.toFixed(1)}`);
+}
+
+/**
+ * Update Audio Reactive Function: Analyses this frame's audio and applies it to the wheels.
+ * Called every frame from `draw()`. When the mode is off, the wheels ease back to normal.
+ */
+function updateAudioReactive() {
+  if (audioSource) {
+    audioFFT.analyze(); // Must run before getEnergy() or the peak detector can read the spectrum.
+    for (const band of audioBands) {
+      audioLevels[band.id] = constrain(audioFFT.getEnergy(band.lowHz, band.highHz) / 255 * band.sensitivity, 0, 1);
+    }
+    audioPeakDetect.update(audioFFT); // Calls handleAudioBeat() when a beat is detected.
+  } else {
+    for (const band of audioBands) {
+      audioLevels[band.id] = lerp(audioLevels[band.id], 0, 0.1); // Ease out rather than snapping back.
+    }
+  }
+
+  for (const w of wheels) {
+    w.pulse = 1 + audioLevels.bass * 0.12; // Up to 12% bigger on strong bass.
+    w.spokeScale = 1 + audioLevels.mid * 0.3; // Spokes up to 30% longer.
+    w.dotScale = 1 + audioLevels.treble * 0.8; // Outer dots up to 80% bigger.
+  }
+}
+
+/**
+ * Handle Audio Beat Function: Blooms the next palette group on a beat. Groups are taken in
+ * order of their base color so the blooms travel through the palette; once every wheel has
+ * bloomed, the whole history is rewound so the cycle can start again.
+ */
+function handleAudioBeat() {
+  if (millis() - lastAutoBloomTime < beatSettings.minBloomInterval) return;
+  lastAutoBloomTime = millis();
+
+  const target = wheels.find(w => !w.isBlownAway);
+  if (!target) {
+    commandHistory.goTo(0); // Everything has bloomed: bring it all back on this beat.
+    return;
+  }
+  const group = wheels.filter(w => w.colors[0] === target.colors[0] && !w.isBlownAway);
+  commandHistory.record(new BloomCommand(group, null, isDeepBloomEnabled));
+}
+
+/**
+ * Draw Audio Meters Function: While the mode is on, draws a small meter for each band in
+ * the top-left corner, with its sensitivity. The selected band is outlined.
+ */
+function drawAudioMeters() {
+  if (!audioSource) return;
+  const meterWidth = 90;
+  const meterHeight = 8;
+
+  push();
+  textSize(11);
+  textAlign(LEFT, CENTER);
+  audioBands.forEach((band, i) => {
+    const y = 16 + i * 20;
+    noStroke();
+    fill(0, 120);
+    rect(16, y, meterWidth, meterHeight, 4);
+    fill(255, 220, 120);
+    rect(16, y, meterWidth * audioLevels[band.id], meterHeight, 4);
+    if (i === selectedAudioBand) {
+      noFill();
+      stroke(255);
+      rect(15, y - 1, meterWidth + 2, meterHeight + 2, 4);
+    }
+    noStroke();
+    fill(255, 200);
+    text(`${i + 1} ${band.label} x${band.sensitivity.toFixed(1)}`, 16 + meterWidth + 8, y + meterHeight / 2);
+  });
+  pop();
+}
@@ -0,0 +1,180 @@
+/**
+ * --- Bloom Modes ---
+ * Decides which wheels bloom when one is clicked. The original behaviour blooms every
+ * wheel sharing the clicked wheel's base color; the other modes pick wheels by any shared
+ * palette color, by distance, or by following the connectors between wheels.
+ * In chain reaction mode the bloom travels along the connectors one hop at a time, so the
+ * dispersal ripples outwards from the clicked wheel.
+ * Any mode can also bloom deeply: after the seeds, the rest of each wheel breaks apart too,
+ * one ring at a time from the outside in (see wheelStyles.js).
+ *
+ * Press 'B' to cycle through the modes, and 'Shift+B' to switch deep blooms on or off.
+ */
+
+/**
+ * Bloom Settings: Tunable values used by the distance and chain reaction modes.
+ */
+const bloomSettings = {
+  reachFraction: 0.25, // "Within reach" radius, as a fraction of the composition frame's shorter side.
+  hopDelayFrames: 12, // Frames between one hop of a chain reaction and the next (about 0.2 s at 60 fps).
+  deepStageFrames: 15, // Frames between one ring of a wheel breaking apart in a deep bloom and the next.
+};
+
+/**
+ * Bloom Modes: Each mode has an id, a label for the status line and a `select` function
+ * returning the wheels to bloom for a clicked wheel (already-bloomed wheels are filtered
+ * out afterwards). Modes with `chain: true` bloom their selection hop by hop.
+ */
+const bloomModes = [
+  {
+    id: 'baseColor',
+    label: 'Matching base color',
+    select: clicked => wheels.filter(w => w.colors[0] === clicked.colors[0]),
+  },
+  {
+    id: 'anyColor',
+    label: 'Sharing any palette color',
+    select: clicked => wheels.filter(w => w.colors.some(c => clicked.colors.includes(c))),
+  },
+  {
+    id: 'single',
+    label: 'Clicked wheel only',
+    select: clicked => [clicked],
+  },
+  {
+    id: 'reach',
+    label: 'Wheels within reach',
+    select: clicked => {
+      const reach = min(compositionFrame.w, compositionFrame.h) * bloomSettings.reachFraction;
+      return wheels.filter(w => dist(w.x, w.y, clicked.x, clicked.y) <= reach);
+    },
+  },
+  {
+    id: 'connected',
+    label: 'Connected group',
+    select: clicked => connectorHops(clicked).flat(),
+  },
+  {
+    id: 'chain',
+    label: 'Chain reaction',
+    select: clicked => connectorHops(clicked).flat(),
+    chain: true,
+  },
+];
+let activeBloomMode = bloomModes[0];
+let isDeepBloomEnabled = false; // Whether new blooms break every ring of their wheels apart.
+
+/**
+ * Scheduled Hops: Blooms waiting to happen as part of a chain reaction, as
+ * { command, wheels, framesLeft }. Counted in frames so a chain plays the same at any speed,
+ * and counted down rather than compared with `frameCount`, so it also plays the same when a
+ * replayed session runs several frames per `draw()` (see sessionReplay.js).
+ */
+let scheduledHops = [];
+
+/**
+ * Connector Hops Function: Walks the connector graph outwards from a wheel (breadth-first)
+ * and groups the wheels by how many connectors away they are. Already-bloomed wheels still
+ * pass the ripple on, so a chain isn't cut short by a gap in the middle.
+ * @param {Wheel} start - The wheel to start from.
+ * @returns {Wheel[][]} - The wheels at each distance: `[[start], [neighbours], ...]`.
+ */
+function connectorHops(start) {
+  const hops = [[start]];
+  const visited = new Set([start]);
+
+  while (true) {
+    const next = [];
+    for (const w of hops[hops.length - 1]) {
+      for (const conn of connectors) {
+        const other = conn.w1 === w ? conn.w2 : conn.w2 === w ? conn.w1 : null;
+        if (other && !visited.has(other)) {
+          visited.add(other);
+          next.push(other);
+        }
+      }
+    }
+    if (next.length === 0) return hops;
+    hops.push(next);
+  }
+}
+
+/**
+ * Create Bloom Command Function: Builds the command for a click on a wheel, according to
+ * the active bloom mode (or another one, for a choreography score's cues).
+ * @param {Wheel} clicked - The wheel that was clicked.
+ * @param {Object} [mode=activeBloomMode] - The bloom mode, from `bloomModes`.
+ * @returns {BloomCommand|null} - The command, or null if nothing is left to bloom.
+ */
+function createBloomCommand(clicked, mode = activeBloomMode) {
+  if (mode.chain) {
+    const hops = connectorHops(clicked)
+      .map(hop => hop.filter(w => !w.isBlownAway))
+      .filter(hop => hop.length > 0);
+    return hops.length > 0 ? new BloomCommand(hops.flat(), hops, isDeepBloomEnabled) : null;
+  }
+
+  const selected = mode.select(clicked).filter(w => !w.isBlownAway);
+  return selected.length > 0 ? new BloomCommand(selected, null, isDeepBloomEnabled) : null;
+}
+
+/**
+ * Schedule Hop Function: Queues part of a chain reaction to bloom later.
+ * @param {BloomCommand} command - The command the hop belongs to.
+ * @param {Wheel[]} hopWheels - The wheels to bloom.
+ * @param {number} delayFrames - How many frames from now.
+ */
+function scheduleHop(command, hopWheels, delayFrames) {
+  scheduledHops.push({ command, wheels: hopWheels, framesLeft: delayFrames });
+}
+
+/**
+ * Cancel Scheduled Hops Function: Forgets pending hops, either for one command (when it is
+ * undone mid-chain) or all of them (when a new composition is generated or loaded).
+ * @param {BloomCommand} [command] - Only cancel this command's hops.
+ */
+function cancelScheduledHops(command) {
+  scheduledHops = command ? scheduledHops.filter(hop => hop.command !== command) : [];
+}
+
+/**
+ * Forget Scheduled Wheel Function: Takes a deleted wheel out of any pending hops.
+ * @param {Wheel} wheel - The deleted wheel.
+ */
+function forgetScheduledWheel(wheel) {
+  for (const hop of scheduledHops) {
+    hop.wheels = hop.wheels.filter(w => w !== wheel);
+  }
+}
+
+/**
+ * Update Scheduled Hops Function: Blooms any hops that are due. Called every frame from `draw()`.
+ */
+function updateScheduledHops() {
+  for (const hop of scheduledHops) {
+    hop.framesLeft--;
+  }
+  const due = scheduledHops.filter(hop => hop.framesLeft <= 0);
+  if (due.length === 0) return;
+  scheduledHops = scheduledHops.filter(hop => hop.framesLeft > 0);
+  for (const hop of due) {
+    hop.command.bloomHop(hop.wheels);
+  }
+}
+
+/**
+ * Cycle Bloom Mode Function: Switches to the next bloom mode.
+ */
+function cycleBloomMode() {
+  activeBloomMode = bloomModes[(bloomModes.indexOf(activeBloomMode) + 1) % bloomModes.length];
+  showStatusMessage(`Bloom mode: ${activeBloomMode.label}`);
+}
+
+/**
+ * Toggle Deep Bloom Function: Switches between blooms that only release the seeds and deep
+ * blooms that break the whole wheel apart. Blooms already made keep their own depth.
+ */
+function toggleDeepBloom() {
+  isDeepBloomEnabled = !isDeepBloomEnabled;
+  showStatusMessage(`Deep bloom: ${isDeepBloomEnabled ? 'on (every ring breaks apart)' : 'off (only the seeds fly)'}`);
+}
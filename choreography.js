@@ -0,0 +1,401 @@
+/**
+ * --- Choreography Scores ---
+ * Plays scripted bloom performances from a score: timed cues such as
+ *
+ *   at 2s bloom palette 3
+ *   at 5s chain-bloom largest
+ *   at 9s restore all
+ *
+ * Cues bloom and restore through the command history, exactly like clicks and Space, so a
+ * performance can be undone, scrubbed on the timeline and recorded. They can also turn the
+ * wind and switch palette sets. Scores are plain text (one cue per line, see
+ * `scores/example.txt`) or JSON; drop one on the page or open it with `?score=`, and it starts
+ * playing. '/' plays the loaded score from the top, or stops it.
+ *
+ * The score's clock counts frames, like everything else that moves (see recorder.js). While
+ * an audio file is playing (see audioReactive.js), starting a score restarts the track and the
+ * score follows the track's own clock instead, so the cues stay on the beat even if frames
+ * are dropped; a looping score then loops with the track.
+ */
+
+/**
+ * Score Settings: Defaults for scores that don't say otherwise.
+ */
+const scoreSettings = {
+  loopGap: 2, // Seconds after the last cue before a looping score without a `length` starts again.
+};
+
+/**
+ * Score Format: Identifies JSON scores and their schema version. A JSON score holds the same
+ * cues as a text one: { format, version, loop, length, cues: [{ at: 2, do: 'bloom palette 3' }] }.
+ */
+const scoreFormatName = 'wheels-of-fortune-score';
+const scoreSchemaVersion = 1;
+
+/**
+ * Score Targets: The wheels a bloom cue can pick, by the first word after the action. Only
+ * wheels that haven't bloomed yet are picked. Targets with `takesNumber` are followed by one,
+ * no smaller than `minNumber` (e.g. `palette 3`, counting the active set's palettes from 1,
+ * or `wheel 12`, a wheel id).
+ */
+const scoreTargets = [
+  { id: 'all', select: () => openWheels() },
+  { id: 'palette', takesNumber: true, minNumber: 1, select: n => openWheels().filter(w => paletteIndexOf(colorPalettes, w.colors) === n - 1) },
+  { id: 'wheel', takesNumber: true, minNumber: 0, select: n => openWheels().filter(w => w.id === n) },
+  { id: 'largest', select: () => openWheels().sort((a, b) => b.radius - a.radius).slice(0, 1) },
+  { id: 'smallest', select: () => openWheels().sort((a, b) => a.radius - b.radius).slice(0, 1) },
+  { id: 'random', select: () => (openWheels().length > 0 ? [random(openWheels())] : []) },
+];
+
+/**
+ * Score Actions: What a cue can do, by its first word. `parse` turns the rest of the cue into
+ * its parameters (throwing an Error if it can't), and `run` performs it.
+ */
+const scoreActions = [
+  {
+    id: 'bloom', usage: 'bloom <wheels>', parse: parseScoreTarget,
+    run: target => recordScoreBloom(new BloomCommand(target.select(), null, isDeepBloomEnabled)),
+  },
+  {
+    id: 'chain-bloom', usage: 'chain-bloom <wheels>', parse: parseScoreTarget,
+    run: target => {
+      const start = target.select()[0]; // The chain spreads from the first wheel picked.
+      if (start) recordScoreBloom(createBloomCommand(start, bloomModes.find(m => m.chain)));
+    },
+  },
+  {
+    id: 'restore', usage: 'restore [all]',
+    parse: args => {
+      if (args !== '' && args !== 'all') throw new Error('expected "restore" or "restore all".');
+      return { all: args === 'all' };
+    },
+    run: ({ all }) => (all ? commandHistory.goTo(0) : commandHistory.undo()), // Like pressing Space, or rewinding the timeline.
+  },
+  {
+    id: 'wind', usage: 'wind <degrees> [strength]',
+    parse: args => {
+      const words = args.split(/\s+/);
+      const [degrees, strength] = words.map(Number);
+      if (args === '' || !Number.isFinite(degrees)) throw new Error('expected a direction in degrees (0 blows to the right, 90 down).');
+      if (words.length > 2 || (words.length === 2 && !Number.isFinite(strength))) throw new Error('expected a strength from 0 to 10.');
+      return { angle: radians(degrees), strength: words.length === 2 ? constrain(strength, 0, 10) : null };
+    },
+    run: ({ angle, strength }) => {
+      windSettings.angle = angle;
+      if (strength !== null) windSettings.strength = strength;
+    },
+  },
+  {
+    id: 'palette-set', usage: 'palette-set next|previous|<number>',
+    parse: args => {
+      if (args === 'next' || args === 'previous') return { step: args === 'next' ? 1 : -1 };
+      const n = Number(args);
+      if (!Number.isInteger(n) || n < 1) throw new Error('expected "next", "previous" or a set number from 1.');
+      return { index: n - 1 };
+    },
+    run: ({ step, index }) => (step ? cyclePaletteSet(step) : usePaletteSet(min(index, paletteSets.length - 1))),
+  },
+];
+
+let loadedScore = null; // The score '/' plays: { name, loop, length, cues }.
+let scorePlayback = null; // The score playing: { score, frame, nextCue, lastTime, lastCue, isSynced }.
+
+/**
+ * Open Wheels Function: The wheels a cue can still bloom.
+ * @returns {Wheel[]}
+ */
+function openWheels() {
+  return wheels.filter(w => !w.isBlownAway);
+}
+
+/**
+ * Parse Score Target Function: Reads which wheels a bloom cue picks (see `scoreTargets`).
+ * @param {string} args - The rest of the cue, e.g. 'palette 3' or 'largest'.
+ * @returns {{select: Function}} - Picks the wheels when the cue runs, as they are then.
+ */
+function parseScoreTarget(args) {
+  const [id, number, extra] = args.split(/\s+/);
+  const target = scoreTargets.find(t => t.id === id);
+  if (!target) throw new Error(`unknown wheels "${id}" (expected ${scoreTargets.map(t => t.id).join(', ')}).`);
+  const n = Number(number);
+  if (target.takesNumber && (!Number.isInteger(n) || n < target.minNumber)) {
+    throw new Error(`"${id}" needs a number from ${target.minNumber}, e.g. "${id} 3".`);
+  }
+  if (extra !== undefined || (!target.takesNumber && number !== undefined)) throw new Error(`unexpected "${args}".`);
+  return { select: () => target.select(n) };
+}
+
+/**
+ * Parse Score Time Function: Reads a cue time: seconds ('2', '2.5s'), milliseconds ('500ms')
+ * or minutes and seconds ('1:05').
+ * @param {string|number} text - The time.
+ * @returns {number} - Seconds, or NaN if it isn't a time.
+ */
+function parseScoreTime(text) {
+  if (typeof text === 'number') return text >= 0 ? text : NaN;
+  let match = /^(\d+(?:\.\d+)?)(s|ms)?$/.exec(text);
+  if (match) return Number(match[1]) / (match[2] === 'ms' ? 1000 : 1);
+  match = /^(\d+):(\d{1,2}(?:\.\d+)?)$/.exec(text);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Parse Score Cue Function: Turns one cue into something the player can run.
+ * @param {string|number} at - When it happens (see `parseScoreTime()`).
+ * @param {string} text - What happens, e.g. 'bloom palette 3'.
+ * @returns {Object} - { at, text, action, params }.
+ */
+function parseScoreCue(at, text) {
+  const time = parseScoreTime(at);
+  if (Number.isNaN(time)) throw new Error(`"${at}" is not a time (expected e.g. 2s, 500ms or 1:05).`);
+  const [name, ...rest] = String(text).trim().split(/\s+/);
+  const action = scoreActions.find(a => a.id === name);
+  if (!action) throw new Error(`unknown action "${name}" (expected ${scoreActions.map(a => a.id).join(', ')}).`);
+  try {
+    return { at: time, text: String(text).trim(), action, params: action.parse(rest.join(' ')) };
+  } catch (err) {
+    throw new Error(`${name}: ${err.message} Usage: ${action.usage}`);
+  }
+}
+
+/**
+ * Parse Score Text Function: Reads a text score. Each line is a cue (`at <time> <action>`),
+ * `loop`, `length <time>` (how long a loop lasts), blank, or a `#` comment.
+ * @param {string} text - The score.
+ * @param {string} name - A name for the status line.
+ * @returns {Object} - The score: { name, loop, length, cues }, cues in time order.
+ */
+function parseScoreText(text, name) {
+  const score = { name, loop: false, length: null, cues: [] };
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (line === '') return;
+    try {
+      const [word, value, ...rest] = line.split(/\s+/);
+      if (word === 'loop' && value === undefined) {
+        score.loop = true;
+      } else if (word === 'length' && rest.length === 0) {
+        score.length = parseScoreTime(value);
+        if (Number.isNaN(score.length) || score.length <= 0) throw new Error(`"${value}" is not a length (expected e.g. 12s).`);
+      } else if (word === 'at' && rest.length > 0) {
+        score.cues.push(parseScoreCue(value, rest.join(' ')));
+      } else {
+        throw new Error('expected "at <time> <action>", "loop" or "length <time>".');
+      }
+    } catch (err) {
+      throw new Error(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+  return finishScore(score);
+}
+
+/**
+ * Parse Score Document Function: Reads a JSON score (see `scoreFormatName`).
+ * @param {Object} doc - The parsed JSON document.
+ * @param {string} name - A name for the status line.
+ * @returns {Object} - The score, as from `parseScoreText()`.
+ */
+function parseScoreDocument(doc, name) {
+  const fail = message => { throw new Error(message); };
+  if (!isScoreDocument(doc)) fail('File is not a Wheels of Fortune score.');
+  if (doc.version !== scoreSchemaVersion) fail(`Unknown score version ${doc.version}.`);
+  if (doc.loop !== undefined && typeof doc.loop !== 'boolean') fail('loop: expected true or false.');
+  if (doc.length !== undefined && !(parseScoreTime(doc.length) > 0)) fail('length: expected a time such as 12 or "12s".');
+  if (!Array.isArray(doc.cues)) fail('cues: expected an array.');
+  const cues = doc.cues.map((cue, i) => {
+    if (!cue || typeof cue !== 'object' || typeof cue.do !== 'string') fail(`cues[${i}]: expected { "at": <time>, "do": "<action>" }.`);
+    try {
+      return parseScoreCue(cue.at, cue.do);
+    } catch (err) {
+      return fail(`cues[${i}]: ${err.message}`);
+    }
+  });
+  return finishScore({ name, loop: doc.loop === true, length: doc.length === undefined ? null : parseScoreTime(doc.length), cues });
+}
+
+/**
+ * Finish Score Function: Puts a parsed score's cues in time order (keeping the written order
+ * for cues at the same time) and checks it has any.
+ * @param {Object} score - The parsed score.
+ * @returns {Object} - The same score.
+ */
+function finishScore(score) {
+  if (score.cues.length === 0) throw new Error('The score has no cues.');
+  score.cues.sort((a, b) => a.at - b.at);
+  return score;
+}
+
+/**
+ * Is Score Document Function: Tells JSON scores apart from scenes, which share the file
+ * picker and drop target.
+ * @param {Object} doc - A parsed JSON document.
+ * @returns {boolean}
+ */
+function isScoreDocument(doc) {
+  return Boolean(doc) && doc.format === scoreFormatName;
+}
+
+/**
+ * Score Length Function: How long one pass of a looping score lasts, in seconds.
+ * @param {Object} score - The score.
+ * @returns {number}
+ */
+function scoreLength(score) {
+  return score.length !== null ? score.length : score.cues[score.cues.length - 1].at + scoreSettings.loopGap;
+}
+
+/**
+ * Load Score Function: Makes a score the loaded one and starts playing it.
+ * @param {Object} score - The parsed score.
+ */
+function loadScore(score) {
+  loadedScore = score;
+  startScore();
+}
+
+/**
+ * Start Score Function: Plays the loaded score from the top. If an audio file is playing, it
+ * is restarted too, and the score follows its clock.
+ */
+function startScore() {
+  const isSynced = audioSource === 'file' && audioSound !== null;
+  if (isSynced) {
+    audioSound.stop();
+    audioSound.loop(); // From the start, together with the score.
+  }
+  scorePlayback = { score: loadedScore, frame: 0, nextCue: 0, lastTime: 0, lastCue: null, isSynced };
+  showStatusMessage(`Score: playing ${loadedScore.name}${isSynced ? ' with the audio track' : ''} (/ stops it)`);
+}
+
+/**
+ * Stop Score Function: Stops the score playing, leaving the artwork as the last cue left it.
+ */
+function stopScore() {
+  scorePlayback = null;
+}
+
+/**
+ * Toggle Score Function: Plays the loaded score from the top, or stops it if it is playing.
+ */
+function toggleScore() {
+  if (scorePlayback) {
+    stopScore();
+    showStatusMessage('Score: stopped');
+  } else if (loadedScore) {
+    startScore();
+  } else {
+    showStatusMessage('No score loaded: drop a score file (.txt or .json) on the page', true);
+  }
+}
+
+/**
+ * Score Time Function: Where the score is, in seconds.
+ * @param {Object} playback - The score playing.
+ * @returns {number}
+ */
+function scoreTime(playback) {
+  return playback.isSynced ? audioSound.currentTime() : playback.frame / recorderSettings.fps;
+}
+
+/**
+ * Update Score Function: Runs the cues that are due, and loops or ends the score. Called
+ * once per frame from `draw()`, before chain reactions spread and the seeds move.
+ */
+function updateScore() {
+  const playback = scorePlayback;
+  if (!playback) return;
+  if (playback.isSynced && (audioSource !== 'file' || !audioSound.isPlaying())) {
+    playback.isSynced = false; // The track was stopped: carry on counting frames from here.
+    playback.frame = round(playback.lastTime * recorderSettings.fps);
+  }
+
+  const score = playback.score;
+  let time = scoreTime(playback);
+  playback.frame++;
+  // A synced score wraps when the track loops; otherwise a looping score wraps after its length.
+  const hasWrapped = playback.isSynced ? time < playback.lastTime : score.loop && time >= scoreLength(score);
+  if (hasWrapped) {
+    if (!score.loop) {
+      stopScore(); // The track looped before the score was over.
+      return;
+    }
+    playback.nextCue = 0;
+    if (!playback.isSynced) {
+      time = 0;
+      playback.frame = 1;
+    }
+  }
+  playback.lastTime = time;
+
+  while (playback.nextCue < score.cues.length && score.cues[playback.nextCue].at <= time) {
+    const cue = score.cues[playback.nextCue++];
+    cue.action.run(cue.params);
+    playback.lastCue = cue;
+  }
+  if (!score.loop && playback.nextCue >= score.cues.length) {
+    stopScore();
+    showStatusMessage(`Score: ${score.name} finished`);
+  }
+}
+
+/**
+ * Record Score Bloom Function: Blooms the way a click does, through the command history
+ * (starting an armed recording first).
+ * @param {BloomCommand|null} command - The bloom, or null if there was nothing left to bloom.
+ */
+function recordScoreBloom(command) {
+  if (!command || command.wheels.length === 0) return;
+  recordOnBloom();
+  commandHistory.record(command);
+}
+
+/**
+ * Import Score File Function: Reads a text score chosen or dropped by the user and plays it.
+ * Any problem is shown on the canvas, with the line it is on.
+ * @param {File} file - The browser File object to import.
+ */
+function importScoreFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadScore(parseScoreText(reader.result, file.name));
+    } catch (err) {
+      showStatusMessage(`Could not load ${file.name}: ${err.message}`, true);
+    }
+  };
+  reader.onerror = () => showStatusMessage(`Could not read ${file.name}.`, true);
+  reader.readAsText(file);
+}
+
+/**
+ * Load Score From URL Function: Loads and plays the score named by the `?score=` parameter,
+ * if there is one (e.g. `?score=scores/example.txt`). Paths ending in `.json` are read as
+ * JSON scores, anything else as text.
+ */
+function loadScoreFromURL() {
+  const path = new URLSearchParams(window.location.search).get('score');
+  if (!path) return;
+  fetch(path)
+    .then(response => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response.text();
+    })
+    .then(text => loadScore(path.endsWith('.json') ? parseScoreDocument(JSON.parse(text), path) : parseScoreText(text, path)))
+    .catch(err => showStatusMessage(`Could not load ${path}: ${err.message}`, true));
+}
+
+/**
+ * Draw Score Indicator Function: While a score plays, shows its time and last cue in the
+ * bottom-left corner, above the edit mode label.
+ */
+function drawScoreIndicator() {
+  if (!scorePlayback) return;
+  const cue = scorePlayback.lastCue;
+  push();
+  noStroke();
+  fill(255, 200);
+  textSize(12);
+  textAlign(LEFT, BOTTOM);
+  text(`♪ SCORE ${nf(scorePlayback.lastTime, 1, 1)} s${cue ? `  ·  ${cue.text}` : ''}`, 16, height - 34);
+  pop();
+}
@@ -0,0 +1,349 @@
+/**
+ * --- Command History ---
+ * Records every bloom as a command so it can be undone (restoring the wheels) and
+ * redone (blooming them again). A small on-canvas timeline lets the user scrub
+ * through the recorded states; particles fly out or return as the scene moves between them.
+ */
+
+/**
+ * Max History Depth: The number of commands kept in the history by default (the settings
+ * panel changes it, see config.js). When a new command would exceed the limit, the oldest
+ * one is forgotten (its effect stays on the canvas, but it can no longer be undone).
+ */
+const maxHistoryDepth = 50;
+
+/**
+ * --- Bloom Command Class ---
+ * Blows away a group of wheels. Undoing it restores exactly those wheels.
+ * A chain reaction bloom is split into hops: the first blooms straight away and each later
+ * one follows `bloomSettings.hopDelayFrames` after the previous.
+ */
+class BloomCommand {
+  /**
+   * Constructor: Creates a bloom command for a group of wheels.
+   * @param {Wheel[]} targetWheels - The wheels this command blows away.
+   * @param {Wheel[][]} [hops=null] - For a chain reaction, the wheels split into hops, in order.
+   * @param {boolean} [deep=false] - Whether the wheels break apart completely (see bloomModes.js).
+   */
+  constructor(targetWheels, hops = null, deep = false) {
+    this.type = 'bloom';
+    this.wheels = targetWheels;
+    this.hops = hops;
+    this.deep = deep;
+    this.bloomedWheels = []; // The wheels this command has actually blown away so far.
+  }
+
+  /**
+   * Execute Method: Performs the bloom (also used for redo). Later hops of a chain are
+   * scheduled rather than bloomed immediately.
+   */
+  execute() {
+    this.bloomedWheels = [];
+    if (!this.hops) {
+      this.bloomHop(this.wheels);
+      return;
+    }
+    this.bloomHop(this.hops[0]);
+    for (let i = 1; i < this.hops.length; i++) {
+      scheduleHop(this, this.hops[i], i * bloomSettings.hopDelayFrames);
+    }
+  }
+
+  /**
+   * Bloom Hop Method: Blows away some of this command's wheels. Wheels that have bloomed in
+   * the meantime (e.g. clicked while a chain was still spreading) are skipped.
+   * @param {Wheel[]} hopWheels - The wheels to bloom now.
+   */
+  bloomHop(hopWheels) {
+    const ready = hopWheels.filter(w => !w.isBlownAway);
+    if (ready.length === 0) return;
+    bloomWheels(ready, this.deep);
+    this.bloomedWheels.push(...ready);
+  }
+
+  /**
+   * Remove Wheel Method: Forgets a wheel that has been deleted in edit mode.
+   * @param {Wheel} wheel - The deleted wheel.
+   * @returns {boolean} - True if the command still has wheels to bloom.
+   */
+  removeWheel(wheel) {
+    const keep = w => w !== wheel;
+    this.wheels = this.wheels.filter(keep);
+    this.bloomedWheels = this.bloomedWheels.filter(keep);
+    if (this.hops) {
+      this.hops = this.hops.map(hop => hop.filter(keep)).filter(hop => hop.length > 0);
+    }
+    return this.wheels.length > 0;
+  }
+
+  /**
+   * Undo Method: Reverses the bloom, bringing the wheels' patterns and particles back.
+   * Hops of a chain that haven't happened yet are cancelled.
+   */
+  undo() {
+    cancelScheduledHops(this);
+    if (this.bloomedWheels.length > 0) {
+      restoreWheels(this.bloomedWheels);
+    }
+    this.bloomedWheels = [];
+  }
+}
+
+/**
+ * --- Command History Class ---
+ * A linear undo/redo timeline. `position` is the number of commands currently applied:
+ * commands before it can be undone, commands from it onwards can be redone.
+ */
+class CommandHistory {
+  /**
+   * Constructor: Creates an empty history.
+   * @param {number} maxDepth - The maximum number of commands to keep.
+   */
+  constructor(maxDepth) {
+    this.maxDepth = maxDepth;
+    this.commands = [];
+    this.position = 0;
+  }
+
+  /**
+   * Record Method: Executes a new command and adds it to the history.
+   * Any commands that had been undone are discarded, as the timeline now branches.
+   * @param {BloomCommand} command - The command to execute and record.
+   */
+  record(command) {
+    if (shareWallChange('bloom', command)) return; // Every screen of a wall records it on the same frame (see multiScreen.js).
+    this.commands.length = this.position; // Drop the redo tail.
+    command.execute();
+    this.commands.push(command);
+
+    // Forget the oldest commands once the depth limit is exceeded.
+    while (this.commands.length > this.maxDepth) {
+      this.commands.shift();
+    }
+    this.position = this.commands.length;
+  }
+
+  /**
+   * Set Max Depth Method: Changes how many commands are kept. If there are more than that
+   * already, undone commands are forgotten first, the furthest from the current state first,
+   * and then the oldest applied ones, as in `record()`.
+   * @param {number} maxDepth - The new limit.
+   */
+  setMaxDepth(maxDepth) {
+    this.maxDepth = maxDepth;
+    this.commands.length = max(this.position, min(this.commands.length, maxDepth));
+    const excess = max(this.commands.length - maxDepth, 0);
+    this.commands.splice(0, excess);
+    this.position -= excess;
+  }
+
+  /**
+   * Undo Method: Reverses the most recently applied command.
+   * @returns {boolean} - True if something was undone.
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    if (shareWallChange('undo')) return true;
+    this.position--;
+    this.commands[this.position].undo();
+    return true;
+  }
+
+  /**
+   * Redo Method: Re-applies the next command that was undone.
+   * @returns {boolean} - True if something was redone.
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    if (shareWallChange('redo')) return true;
+    this.commands[this.position].execute();
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Go To Method: Undoes or redoes commands one by one until the history reaches
+   * the given position, so each step animates its particles.
+   * @param {number} target - The position to move to (0 is the state before any command).
+   */
+  goTo(target) {
+    target = constrain(target, 0, this.commands.length);
+    if (shareWallChange('goTo', target)) return; // As one change, as the steps below only happen when it is applied.
+    while (this.position > target) this.undo();
+    while (this.position < target) this.redo();
+  }
+
+  /**
+   * Can Undo Method: Checks whether there is a command to undo.
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.position > 0;
+  }
+
+  /**
+   * Can Redo Method: Checks whether there is an undone command to redo.
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.position < this.commands.length;
+  }
+
+  /**
+   * Remove Wheel Method: Takes a deleted wheel out of every command. Commands left with no
+   * wheels are dropped, and the position moves back for each applied one that is dropped.
+   * @param {Wheel} wheel - The deleted wheel.
+   */
+  removeWheel(wheel) {
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+      if (this.commands[i].removeWheel(wheel)) continue;
+      this.commands.splice(i, 1);
+      if (i < this.position) this.position--;
+    }
+  }
+
+  /**
+   * Clear Method: Forgets every command, e.g. when a new composition is generated.
+   */
+  clear() {
+    cancelScheduledHops(); // Pending chain reaction hops belong to the forgotten commands.
+    this.commands = [];
+    this.position = 0;
+  }
+}
+
+/**
+ * --- History Timeline Class ---
+ * A small scrubber drawn at the top of the canvas. Each recorded command is a tick
+ * colored with the base color of the wheels it bloomed; the handle marks the current
+ * position. Clicking or dragging along the bar jumps the scene to that state.
+ */
+class HistoryTimeline {
+  /**
+   * Constructor: Creates a timeline for a command history.
+   * @param {CommandHistory} history - The history to display and control.
+   */
+  constructor(history) {
+    this.history = history;
+    this.isDragging = false; // True while the user is scrubbing.
+    this.height = 24; // Height of the clickable bar.
+  }
+
+  /**
+   * Bounds Method: Calculates where the bar is drawn for the current canvas size.
+   * @returns {{x: number, y: number, w: number, h: number}} - The bar's rectangle.
+   */
+  bounds() {
+    const w = min(400, width * 0.6);
+    return { x: (width - w) / 2, y: 16, w: w, h: this.height };
+  }
+
+  /**
+   * Is Visible Method: The timeline is only shown once there is something to scrub through.
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.history.commands.length > 0;
+  }
+
+  /**
+   * Position X Method: Converts a history position into an x-coordinate on the bar.
+   * @param {number} position - The history position.
+   * @returns {number} - The x-coordinate.
+   */
+  positionX(position) {
+    const b = this.bounds();
+    return map(position, 0, this.history.commands.length, b.x + 10, b.x + b.w - 10);
+  }
+
+  /**
+   * Contains Method: Checks whether a point is over the timeline bar.
+   * @param {number} px - The x-coordinate of the point.
+   * @param {number} py - The y-coordinate of the point.
+   * @returns {boolean}
+   */
+  contains(px, py) {
+    if (!this.isVisible()) return false;
+    const b = this.bounds();
+    return px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h;
+  }
+
+  /**
+   * Scrub To Method: Moves the history to the position nearest an x-coordinate.
+   * @param {number} px - The x-coordinate under the mouse.
+   */
+  scrubTo(px) {
+    const b = this.bounds();
+    const position = round(map(px, b.x + 10, b.x + b.w - 10, 0, this.history.commands.length, true));
+    this.history.goTo(position);
+  }
+
+  /**
+   * Handle Press Method: Starts scrubbing if the press is on the bar.
+   * @param {number} px - The x-coordinate of the press.
+   * @param {number} py - The y-coordinate of the press.
+   * @returns {boolean} - True if the timeline used the press (so it shouldn't bloom a wheel).
+   */
+  handlePress(px, py) {
+    if (!this.contains(px, py)) return false;
+    this.isDragging = true;
+    this.scrubTo(px);
+    return true;
+  }
+
+  /**
+   * Handle Drag Method: Keeps scrubbing while the mouse is dragged.
+   * @param {number} px - The x-coordinate of the mouse.
+   */
+  handleDrag(px) {
+    if (this.isDragging) {
+      this.scrubTo(px);
+    }
+  }
+
+  /**
+   * Handle Release Method: Stops scrubbing.
+   */
+  handleRelease() {
+    this.isDragging = false;
+  }
+
+  /**
+   * Display Method: Draws the bar, one tick per command, and the current-position handle.
+   */
+  display() {
+    if (!this.isVisible()) return;
+    const b = this.bounds();
+
+    push();
+    noStroke();
+    fill(0, 120); // Translucent backing so the bar reads over busy wheels.
+    rect(b.x, b.y, b.w, b.h, b.h / 2);
+
+    // The line between states: solid up to the current position, faint for the redo tail.
+    const midY = b.y + b.h / 2;
+    strokeWeight(2);
+    stroke(255, 200);
+    line(this.positionX(0), midY, this.positionX(this.history.position), midY);
+    stroke(255, 60);
+    line(this.positionX(this.history.position), midY, this.positionX(this.history.commands.length), midY);
+
+    // One tick per command, in the base color of the wheels it bloomed.
+    noStroke();
+    fill(255);
+    circle(this.positionX(0), midY, 6); // The starting state, before any command.
+    this.history.commands.forEach((command, i) => {
+      const c = color(command.wheels[0].colors[0]);
+      c.setAlpha(i < this.history.position ? 255 : 90); // Undone commands are dimmed.
+      fill(c);
+      circle(this.positionX(i + 1), midY, 8);
+    });
+
+    // The handle marking the current state.
+    noFill();
+    stroke(255);
+    strokeWeight(2);
+    circle(this.positionX(this.history.position), midY, 14);
+    pop();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * --- Composition Fit ---
+ * Keeps the composition when the window is resized or a phone is rotated. Instead of
+ * generating a new artwork, every wheel, connector and particle is moved and scaled from
+ * the old composition frame into a new one, so blown-away state, particles in flight and
+ * the undo history all survive.
+ *
+ * The "composition frame" is the rectangle of the canvas the artwork occupies. It starts
+ * as the whole canvas; how it changes on resize depends on the fit mode.
+ */
+
+/**
+ * Fit Modes: How the composition adapts to a new canvas size. Press 'F' to cycle.
+ *   stretch   - Re-fit to the whole canvas, scaling horizontal and vertical positions separately.
+ *   letterbox - Scale uniformly so everything stays visible, with bars filling the leftover space.
+ *   cover     - Scale uniformly so the canvas is filled, cropping whatever falls outside.
+ */
+const fitModes = [
+  { id: 'stretch', label: 'Stretch to fit' },
+  { id: 'letterbox', label: 'Letterbox' },
+  { id: 'cover', label: 'Cover (crop)' },
+];
+let activeFitMode = fitModes[0];
+
+/**
+ * Composition Frame: The rectangle (in canvas coordinates) that the composition occupies.
+ */
+let compositionFrame = { x: 0, y: 0, w: 0, h: 0 };
+
+/**
+ * Letterbox Color: Slightly darker than the background, so the bars read as outside the artwork.
+ */
+const letterboxColor = '#1C2528';
+
+/**
+ * Full Canvas Frame Function: The rectangle a new composition fills, which is also where
+ * seeds stay alive: the whole canvas or, on a wall of screens (see multiScreen.js), the whole
+ * wall, of which this canvas shows one part.
+ * @param {number} [canvasWidth=width] - The canvas width.
+ * @param {number} [canvasHeight=height] - The canvas height.
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function fullCanvasFrame(canvasWidth = width, canvasHeight = height) {
+  return wall
+    ? { x: 0, y: 0, w: canvasWidth * wall.columns, h: canvasHeight * wall.rows }
+    : { x: 0, y: 0, w: canvasWidth, h: canvasHeight };
+}
+
+/**
+ * Reset Composition Frame Function: Makes the whole canvas the composition frame.
+ * Called whenever a new composition is generated.
+ */
+function resetCompositionFrame() {
+  compositionFrame = fullCanvasFrame();
+}
+
+/**
+ * Compute Frame Function: Works out where the composition frame goes on a canvas of the
+ * given size, according to the active fit mode.
+ * @param {Object} frame - The current composition frame.
+ * @param {number} canvasWidth - The new canvas width.
+ * @param {number} canvasHeight - The new canvas height.
+ * @returns {{x: number, y: number, w: number, h: number}} - The new frame.
+ */
+function computeFrame(frame, canvasWidth, canvasHeight) {
+  if (activeFitMode.id === 'stretch' || wall) { // A wall always spans all its screens.
+    return fullCanvasFrame(canvasWidth, canvasHeight);
+  }
+
+  // Uniform modes keep the frame's aspect ratio: letterbox fits inside, cover fills the canvas.
+  const scaleX = canvasWidth / frame.w;
+  const scaleY = canvasHeight / frame.h;
+  const scale = activeFitMode.id === 'letterbox' ? min(scaleX, scaleY) : max(scaleX, scaleY);
+  const w = frame.w * scale;
+  const h = frame.h * scale;
+  return { x: (canvasWidth - w) / 2, y: (canvasHeight - h) / 2, w: w, h: h };
+}
+
+/**
+ * Refit Composition Function: Moves the composition from the current frame into a new
+ * canvas size. Positions map frame-to-frame; sizes scale by the geometric mean of the
+ * horizontal and vertical scale, so circles stay circles even when stretching.
+ * @param {number} canvasWidth - The new canvas width.
+ * @param {number} canvasHeight - The new canvas height.
+ */
+function refitComposition(canvasWidth, canvasHeight) {
+  if (canvasWidth <= 0 || canvasHeight <= 0) return; // e.g. a minimized window; keep the old frame until it's back.
+
+  const from = compositionFrame;
+  const to = computeFrame(from, canvasWidth, canvasHeight);
+  const scaleX = to.w / from.w;
+  const scaleY = to.h / from.h;
+  const scaleSize = sqrt(scaleX * scaleY);
+  const mapX = x => to.x + (x - from.x) * scaleX;
+  const mapY = y => to.y + (y - from.y) * scaleY;
+
+  for (const w of wheels) {
+    w.x = mapX(w.x);
+    w.y = mapY(w.y);
+    w.radius *= scaleSize;
+  }
+
+  for (const body of physicsBodies.values()) { // The places wheels spring back to in physics mode (see physics.js).
+    body.homeX = mapX(body.homeX);
+    body.homeY = mapY(body.homeY);
+  }
+
+  // Connector endpoints were calculated from the old wheel positions.
+  for (const conn of connectors) {
+    conn.updateGeometry();
+    conn.rope = null; // A chain is made again at the new size, in physics mode.
+  }
+
+  const engine = particleEngine;
+  engine.forEach(i => {
+    engine.x[i] = mapX(engine.x[i]);
+    engine.y[i] = mapY(engine.y[i]);
+    engine.targetX[i] = mapX(engine.targetX[i]);
+    engine.targetY[i] = mapY(engine.targetY[i]);
+    engine.size[i] *= scaleSize;
+    engine.baseSize[i] *= scaleSize;
+    engine.vx[i] *= scaleX;
+    engine.vy[i] *= scaleY;
+    engine.returnStartDist[i] *= scaleSize;
+  });
+  isGroundDirty = true; // Restack the pile on the new ground (see ground.js).
+
+  compositionFrame = to;
+}
+
+/**
+ * Cycle Fit Mode Function: Switches to the next fit mode. The current composition is
+ * re-fitted straight away, so the change is visible without resizing the window.
+ */
+function cycleFitMode() {
+  activeFitMode = fitModes[(fitModes.indexOf(activeFitMode) + 1) % fitModes.length];
+  refitComposition(width, height);
+  showStatusMessage(`Fit mode: ${activeFitMode.label}`);
+}
+
+/**
+ * Draw Letterbox Function: Covers the canvas outside the composition frame with bars.
+ * Only visible in letterbox mode, where the frame can be smaller than the canvas.
+ */
+function drawLetterbox() {
+  if (activeFitMode.id !== 'letterbox' || wall) return;
+  const f = compositionFrame;
+
+  push();
+  applyCameraTransform(); // The bars frame the composition, so they zoom with it.
+  noStroke();
+  fill(letterboxColor);
+  rect(0, 0, width, f.y); // Top bar.
+  rect(0, f.y + f.h, width, height - f.y - f.h); // Bottom bar.
+  rect(0, f.y, f.x, f.h); // Left bar.
+  rect(f.x + f.w, f.y, width - f.x - f.w, f.h); // Right bar.
+  pop();
+}
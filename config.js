@@ -0,0 +1,531 @@
+/**
+ * --- Configuration ---
+ * The values that shape the artwork, in one place. `artworkConfig` holds the composition's
+ * tuning (how many wheels, how big, how closely packed and linked, and how quickly patterns
+ * and seeds fade and return); `configParameters` describes each of them, and the modes kept by
+ * other modules (undo steps, wind strength, deep blooms, the ground, physics and attract mode), for:
+ *   - The settings panel: 'U' opens it in the top-right corner, with a slider or switch per
+ *     parameter. Click its title to collapse it to just the title.
+ *   - The address bar: every value that differs from its default is written to the link
+ *     (e.g. `?wheels=60&overlap=0.5&ground=1`), so a shared link restores the whole setup.
+ *   - Named presets (`configPresets`), chosen with the arrows in the panel or `?preset=dense`.
+ * Parameters marked `rebuild` shape the composition itself, so changing one generates it again
+ * from the same seed (once the slider is let go). The others apply at once, even to seeds
+ * already in flight.
+ */
+
+/**
+ * Artwork Config: The composition's tuning values. These are the defaults; the link and the
+ * settings panel change them.
+ */
+let artworkConfig = {
+  wheelCount: 25, // How many wheels a new composition aims for (at most 500, which every layout still places quickly).
+  minRadius: 0.04, // Smallest wheel radius, as a fraction of the canvas width (for 25 wheels; more wheels are smaller).
+  maxRadius: 0.12, // Largest wheel radius, likewise.
+  overlapTolerance: 0.4, // How much two wheels may overlap, as a fraction of the smaller radius, as in Pacita Abad's originals.
+  connectorReach: 1.3, // Wheels are linked when their centers are within this many times their combined radii.
+  fadeSpeed: 5, // How much a wheel's patterns fade in (or out) each frame, out of 255.
+  seedFade: 2, // How much a flying seed fades each frame, out of 255.
+  returnSpeed: 0.05, // Share of the distance to its wheel a returning seed covers each frame.
+};
+
+const formatPercent = value => `${round(value * 100)}%`;
+
+/**
+ * Config Parameters: Everything the settings panel and the link can change. Each has an `id`
+ * (its key in `artworkConfig`, or, with `get` and `set`, a value another module keeps), the
+ * URL `param` it is stored under, a `label`, and either a range (`min`, `max`, `step`, and
+ * `isLogarithmic` for sliders that need finer steps at the low end) or `type: 'toggle'`.
+ * Settings marked `isInstallSetting` belong to the installation rather than the artwork:
+ * presets leave them alone and recorded sessions don't include them (see sessionReplay.js).
+ */
+const configParameters = [
+  { id: 'wheelCount', param: 'wheels', label: 'Wheels', min: 1, max: 500, step: 1, isLogarithmic: true, rebuild: true },
+  { id: 'minRadius', param: 'minRadius', label: 'Min radius', min: 0.01, max: 0.2, step: 0.005, rebuild: true, format: formatPercent },
+  { id: 'maxRadius', param: 'maxRadius', label: 'Max radius', min: 0.02, max: 0.3, step: 0.005, rebuild: true, format: formatPercent },
+  { id: 'overlapTolerance', param: 'overlap', label: 'Overlap', min: 0, max: 0.9, step: 0.05, rebuild: true, format: formatPercent },
+  { id: 'connectorReach', param: 'reach', label: 'Connector reach', min: 1, max: 2, step: 0.05, rebuild: true },
+  { id: 'fadeSpeed', param: 'fade', label: 'Pattern fade-in', min: 1, max: 30, step: 1 },
+  { id: 'seedFade', param: 'seedFade', label: 'Seed fade', min: 0.25, max: 10, step: 0.25 },
+  { id: 'returnSpeed', param: 'return', label: 'Seed return', min: 0.01, max: 0.2, step: 0.01 },
+  {
+    id: 'historyDepth', param: 'undo', label: 'Undo steps', min: 1, max: 200, step: 1,
+    get: () => commandHistory.maxDepth, set: value => commandHistory.setMaxDepth(value),
+  },
+  {
+    id: 'windStrength', param: 'wind', label: 'Wind', min: 0, max: 10, step: 0.25,
+    get: () => windSettings.strength, set: value => { windSettings.strength = value; },
+  },
+  {
+    id: 'attractDelay', param: 'attract', label: 'Attract mode after', min: 0, max: 300, step: 5, isInstallSetting: true,
+    format: value => (value > 0 ? `${value} s` : 'Off'),
+    get: () => sessionSettings.attractDelay, set: value => { sessionSettings.attractDelay = value; },
+  },
+  {
+    id: 'deepBloom', param: 'deep', label: 'Deep blooms', type: 'toggle',
+    get: () => isDeepBloomEnabled, set: value => { if (value !== isDeepBloomEnabled) toggleDeepBloom(); },
+  },
+  {
+    id: 'ground', param: 'ground', label: 'Ground', type: 'toggle',
+    get: () => isGroundEnabled, set: value => { if (value !== isGroundEnabled) toggleGround(); },
+  },
+  {
+    id: 'physics', param: 'physics', label: 'Physics', type: 'toggle',
+    get: () => isPhysicsEnabled, set: value => { if (value !== isPhysicsEnabled) togglePhysics(); },
+  },
+];
+
+/**
+ * Config Presets: Named sets of values. Parameters a preset doesn't list keep their defaults
+ * (apart from install settings, which keep their current values).
+ */
+const configPresets = [
+  { id: 'default', label: 'Default', values: {} },
+  { id: 'sparse', label: 'Sparse', values: { wheelCount: 12, minRadius: 0.06, maxRadius: 0.16, overlapTolerance: 0.2 } },
+  { id: 'dense', label: 'Dense', values: { wheelCount: 80, overlapTolerance: 0.5, connectorReach: 1.5 } },
+  { id: 'gentle', label: 'Gentle', values: { fadeSpeed: 2, seedFade: 0.75, returnSpeed: 0.02, windStrength: 1 } },
+  { id: 'lively', label: 'Lively', values: { windStrength: 4, deepBloom: true, ground: true, physics: true } },
+];
+
+let configDefaults = {}; // Parameter id -> its value before the link or panel changed anything.
+let configURLKey = null; // The values last written to the link, to notice when they change.
+
+/**
+ * Setup Config Function: Remembers every parameter's default, then applies the link's
+ * preset and values. Called from `setup()`, before the composition is generated.
+ */
+function setupConfig() {
+  for (const p of configParameters) {
+    configDefaults[p.id] = configValue(p);
+  }
+  readConfigFromURL();
+}
+
+/**
+ * Config Value Function: A parameter's current value.
+ * @param {Object} p - The parameter, from `configParameters`.
+ * @returns {number|boolean}
+ */
+function configValue(p) {
+  return p.get ? p.get() : artworkConfig[p.id];
+}
+
+/**
+ * Artwork Config Values Function: Every parameter's current value except the install
+ * settings, which belong to the machine rather than the artwork. Sessions save these, and
+ * the screens of a wall share them (see multiScreen.js).
+ * @returns {Object} - Parameter id -> value.
+ */
+function artworkConfigValues() {
+  const values = {};
+  for (const p of configParameters) {
+    if (!p.isInstallSetting) values[p.id] = configValue(p);
+  }
+  return values;
+}
+
+/**
+ * Set Config Value Function: Changes a parameter. This doesn't rebuild the composition; see `applyConfig()`.
+ * @param {Object} p - The parameter.
+ * @param {number|boolean} value - Its new value.
+ */
+function setConfigValue(p, value) {
+  if (p.set) {
+    p.set(value);
+  } else {
+    artworkConfig[p.id] = value;
+  }
+}
+
+/**
+ * Apply Config Function: Changes several parameters at once, and generates the composition
+ * again if any of them shapes it.
+ * @param {Object} values - Parameter id -> new value. Parameters not listed are left alone.
+ * @param {boolean} [canRebuild=true] - Whether to rebuild here (false in `setup()`, which builds the composition next anyway).
+ */
+function applyConfig(values, canRebuild = true) {
+  let needsRebuild = false;
+  for (const p of configParameters) {
+    if (!(p.id in values) || values[p.id] === configValue(p)) continue;
+    setConfigValue(p, values[p.id]);
+    needsRebuild = needsRebuild || Boolean(p.rebuild);
+  }
+  if (needsRebuild && canRebuild) {
+    initializeArtwork();
+  }
+}
+
+/**
+ * Snap Config Value Function: Rounds a value to a parameter's step and keeps it in range.
+ * @param {Object} p - The parameter.
+ * @param {number} value - The value.
+ * @returns {number}
+ */
+function snapConfigValue(p, value) {
+  const snapped = constrain(round(value / p.step) * p.step, p.min, p.max);
+  return Number(snapped.toFixed(6)); // Drop floating-point noise such as 0.30000000000000004.
+}
+
+/**
+ * Slider Position Function: Where a value sits along a parameter's slider.
+ * @param {Object} p - The parameter.
+ * @param {number} value - The value.
+ * @returns {number} - From 0 (minimum) to 1 (maximum).
+ */
+function sliderPosition(p, value) {
+  return p.isLogarithmic ? log(value / p.min) / log(p.max / p.min) : (value - p.min) / (p.max - p.min);
+}
+
+/**
+ * Slider Value Function: The value at a position along a parameter's slider.
+ * @param {Object} p - The parameter.
+ * @param {number} position - From 0 to 1.
+ * @returns {number}
+ */
+function sliderValue(p, position) {
+  position = constrain(position, 0, 1);
+  return snapConfigValue(p, p.isLogarithmic ? p.min * pow(p.max / p.min, position) : lerp(p.min, p.max, position));
+}
+
+/**
+ * Format Config Value Function: A parameter's value as shown in the panel.
+ * @param {Object} p - The parameter.
+ * @param {number|boolean} value - The value.
+ * @returns {string}
+ */
+function formatConfigValue(p, value) {
+  if (p.type === 'toggle') return value ? 'On' : 'Off';
+  return p.format ? p.format(value) : String(value);
+}
+
+/**
+ * Read Config From URL Function: Applies the link's `preset`, then any values given one by
+ * one (which win over the preset's). Values that can't be read are ignored, and numbers
+ * are kept within their parameter's range.
+ */
+function readConfigFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const preset = configPresets.find(p => p.id === params.get('preset'));
+  const values = preset ? presetValues(preset) : {};
+  for (const p of configParameters) {
+    const raw = params.get(p.param);
+    if (raw === null) continue;
+    if (p.type === 'toggle') {
+      if (raw === '1' || raw === '0') values[p.id] = raw === '1';
+    } else if (Number.isFinite(parseFloat(raw))) {
+      values[p.id] = snapConfigValue(p, parseFloat(raw));
+    }
+  }
+  applyConfig(values, false);
+}
+
+/**
+ * Sync Config URL Function: Writes the values that differ from their defaults to the link
+ * whenever one has changed, however it was changed (the panel, a preset, or a key such as
+ * 'G'). The link's `preset` is replaced by the values it set. Called once per frame from
+ * `draw()`; it waits while a slider is dragged, as browsers limit how often the address may change.
+ */
+function syncConfigURL() {
+  if (settingsPanel.dragParameter) return;
+  const key = configParameters.map(configValue).join('|');
+  if (key === configURLKey) return;
+  configURLKey = key;
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete('preset');
+  for (const p of configParameters) {
+    const value = configValue(p);
+    if (value === configDefaults[p.id]) {
+      url.searchParams.delete(p.param);
+    } else {
+      url.searchParams.set(p.param, p.type === 'toggle' ? (value ? '1' : '0') : value);
+    }
+  }
+  window.history.replaceState(null, '', url);
+}
+
+/**
+ * Preset Values Function: Every parameter's value under a preset.
+ * @param {Object} preset - The preset, from `configPresets`.
+ * @returns {Object} - Parameter id -> value, for every parameter but the install settings.
+ */
+function presetValues(preset) {
+  const values = {};
+  for (const p of configParameters) {
+    if (!p.isInstallSetting) {
+      values[p.id] = p.id in preset.values ? preset.values[p.id] : configDefaults[p.id];
+    }
+  }
+  return values;
+}
+
+/**
+ * Matching Preset Function: The preset the current values are exactly, if any.
+ * @returns {Object|undefined}
+ */
+function matchingPreset() {
+  return configPresets.find(preset => {
+    const values = presetValues(preset);
+    return configParameters.every(p => p.isInstallSetting || configValue(p) === values[p.id]);
+  });
+}
+
+/**
+ * Apply Preset Function: Switches every parameter to a preset's values.
+ * @param {Object} preset - The preset.
+ */
+function applyPreset(preset) {
+  applyConfig(presetValues(preset));
+  showStatusMessage(`Preset: ${preset.label}`);
+}
+
+/**
+ * Cycle Preset Function: Applies the next (or previous) preset. From values that match no
+ * preset, it starts at the first one.
+ * @param {number} step - 1 for the next preset, -1 for the previous one.
+ */
+function cyclePreset(step) {
+  const index = configPresets.indexOf(matchingPreset());
+  const next = index === -1 ? 0 : (index + step + configPresets.length) % configPresets.length;
+  applyPreset(configPresets[next]);
+}
+
+/**
+ * Copy Config Link Function: Copies the link, with the current seed and settings, to the clipboard.
+ */
+function copyConfigLink() {
+  configURLKey = null;
+  syncConfigURL(); // Make sure the link is up to date first.
+  const showCopyFailed = () => showStatusMessage('Could not copy the link; copy it from the address bar instead', true);
+  if (!navigator.clipboard) {
+    showCopyFailed(); // Browsers only offer the clipboard to secure (https or localhost) pages.
+    return;
+  }
+  navigator.clipboard.writeText(window.location.href).then(
+    () => showStatusMessage('Link copied: it opens this composition with these settings'),
+    showCopyFailed);
+}
+
+/**
+ * --- Settings Panel Class ---
+ * An in-canvas panel in the top-right corner with a slider or switch for each of the
+ * `configParameters`, the presets between arrows, and buttons to reset everything and copy
+ * the link. It looks and works like the palette editor (see palettes.js).
+ */
+class SettingsPanel {
+  /**
+   * Constructor: Creates a closed, expanded panel.
+   */
+  constructor() {
+    this.isOpen = false;
+    this.isCollapsed = false; // Collapsed to just its title bar.
+    this.dragParameter = null; // The parameter whose slider is being dragged.
+    this.pendingValue = null; // While dragging a `rebuild` slider: the value to apply when it is let go.
+    this.panelWidth = 220;
+    this.padding = 12;
+  }
+
+  /**
+   * Toggle Method: Opens or closes the panel.
+   */
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.handleRelease();
+  }
+
+  /**
+   * Layout Method: Works out where everything in the panel goes.
+   * @returns {Object} - Rectangles ({x, y, w, h}) for the panel, its title, the preset
+   *   arrows, one row per parameter (with `bar` for sliders) and the buttons.
+   */
+  layout() {
+    const { panelWidth, padding } = this;
+    const x = width - 16 - panelWidth;
+    const innerWidth = panelWidth - padding * 2;
+    const panel = { x, y: 56, w: panelWidth }; // Below the history timeline, level with the palette editor.
+    const title = { x, y: panel.y, w: panelWidth, h: 20 + padding };
+    let y = title.y + title.h;
+    if (this.isCollapsed) {
+      panel.h = title.h;
+      return { panel, title, arrows: null, rows: [], buttons: [] };
+    }
+
+    const arrows = {
+      previous: { x: x + padding, y, w: 20, h: 20 },
+      next: { x: x + padding + innerWidth - 20, y, w: 20, h: 20 },
+    };
+    y += 20 + 8;
+
+    const rows = configParameters.map(parameter => {
+      const row = { x: x + padding, y, w: innerWidth, h: parameter.type === 'toggle' ? 18 : 30, parameter };
+      if (parameter.type !== 'toggle') {
+        row.bar = { x: x + padding, y: y + 16, w: innerWidth, h: 10 };
+      }
+      y += row.h + 4;
+      return row;
+    });
+    y += 14; // The note about rebuilding.
+
+    const buttonWidth = (innerWidth - 4) / 2;
+    const buttons = [['Reset', () => applyPreset(configPresets[0])], ['Copy link', copyConfigLink]].map(([label, action], i) => ({
+      x: x + padding + i * (buttonWidth + 4), y, w: buttonWidth, h: 22, label, action,
+    }));
+    y += 22;
+
+    panel.h = y - panel.y + padding;
+    return { panel, title, arrows, rows, buttons };
+  }
+
+  /**
+   * Contains Method: Checks whether a point is over the open panel.
+   * @param {number} px - The x-coordinate of the point.
+   * @param {number} py - The y-coordinate of the point.
+   * @returns {boolean}
+   */
+  contains(px, py) {
+    if (!this.isOpen) return false;
+    return isInRect(px, py, this.layout().panel);
+  }
+
+  /**
+   * Handle Press Method: Uses a press anywhere on the panel: on the title, a preset arrow,
+   * a slider, a switch or a button.
+   * @param {number} px - The x-coordinate of the press.
+   * @param {number} py - The y-coordinate of the press.
+   * @returns {boolean} - True if the press was on the panel (so it shouldn't bloom a wheel).
+   */
+  handlePress(px, py) {
+    if (!this.contains(px, py)) return false;
+    const { title, arrows, rows, buttons } = this.layout();
+    if (isInRect(px, py, title)) {
+      this.isCollapsed = !this.isCollapsed;
+      return true;
+    }
+    if (isInRect(px, py, arrows.previous)) {
+      cyclePreset(-1);
+    } else if (isInRect(px, py, arrows.next)) {
+      cyclePreset(1);
+    }
+    const row = rows.find(r => isInRect(px, py, r));
+    if (row && row.parameter.type === 'toggle') {
+      setConfigValue(row.parameter, !configValue(row.parameter));
+    } else if (row) {
+      this.dragParameter = row.parameter;
+      this.handleDrag(px);
+    }
+    const button = buttons.find(b => isInRect(px, py, b));
+    if (button) {
+      button.action();
+    }
+    return true;
+  }
+
+  /**
+   * Handle Drag Method: Moves the dragged slider. Values that don't rebuild the composition
+   * apply at once; the others wait until the slider is let go.
+   * @param {number} px - The x-coordinate of the mouse.
+   */
+  handleDrag(px) {
+    const p = this.dragParameter;
+    if (!p) return;
+    const bar = this.layout().rows.find(row => row.parameter === p).bar;
+    const value = sliderValue(p, (px - bar.x) / bar.w);
+    if (p.rebuild) {
+      this.pendingValue = value;
+    } else {
+      setConfigValue(p, value);
+    }
+  }
+
+  /**
+   * Handle Release Method: Stops dragging a slider, applying its value if it was waiting.
+   */
+  handleRelease() {
+    const p = this.dragParameter;
+    const value = this.pendingValue;
+    this.dragParameter = null;
+    this.pendingValue = null;
+    if (p && value !== null && value !== configValue(p)) {
+      applyConfig({ [p.id]: value });
+      showStatusMessage(`${p.label}: ${formatConfigValue(p, value)} (composition rebuilt)`);
+    }
+  }
+
+  /**
+   * Display Method: Draws the panel (when open).
+   */
+  display() {
+    if (!this.isOpen) return;
+    const { panel, title, arrows, rows, buttons } = this.layout();
+
+    push();
+    noStroke();
+    fill(0, 170); // Translucent backing, as for the palette editor.
+    rect(panel.x, panel.y, panel.w, panel.h, 8);
+
+    fill(255);
+    textSize(13);
+    textAlign(LEFT, CENTER);
+    text('Settings', title.x + this.padding, title.y + title.h / 2);
+    textAlign(RIGHT, CENTER);
+    text(this.isCollapsed ? '▸' : '▾', title.x + title.w - this.padding, title.y + title.h / 2);
+    if (this.isCollapsed) {
+      pop();
+      return;
+    }
+
+    // Presets: the matching preset's name between the arrows that switch presets.
+    textAlign(CENTER, CENTER);
+    text('‹', arrows.previous.x + arrows.previous.w / 2, arrows.previous.y + arrows.previous.h / 2);
+    text('›', arrows.next.x + arrows.next.w / 2, arrows.next.y + arrows.next.h / 2);
+    const preset = matchingPreset();
+    textSize(11);
+    text(`Preset: ${preset ? preset.label : 'Custom'}`, panel.x + panel.w / 2, arrows.previous.y + arrows.previous.h / 2);
+
+    for (const row of rows) {
+      const p = row.parameter;
+      const isPending = p === this.dragParameter && this.pendingValue !== null;
+      const value = isPending ? this.pendingValue : configValue(p);
+      fill(255, 210);
+      textAlign(LEFT, CENTER);
+      text(p.label + (p.rebuild ? ' ↻' : ''), row.x, row.y + 7);
+      textAlign(RIGHT, CENTER);
+      fill(255);
+      if (p.type === 'toggle') {
+        // A small switch: a track with the knob on the right when on.
+        const track = { x: row.x + row.w - 30, y: row.y + 2, w: 30, h: 14 };
+        fill(value ? color(120, 200, 140) : color(255, 60));
+        rect(track.x, track.y, track.w, track.h, 7);
+        fill(255);
+        circle(value ? track.x + track.w - 7 : track.x + 7, track.y + 7, 10);
+        continue;
+      }
+      text(formatConfigValue(p, value), row.x + row.w, row.y + 7);
+      const bar = row.bar;
+      const markerX = bar.x + sliderPosition(p, value) * bar.w;
+      fill(255, 40);
+      rect(bar.x, bar.y + 3, bar.w, 4, 2);
+      fill(255, 170);
+      rect(bar.x, bar.y + 3, markerX - bar.x, 4, 2);
+      fill(255);
+      circle(markerX, bar.y + 5, 10);
+    }
+
+    textSize(9);
+    fill(255, 170);
+    textAlign(LEFT, CENTER);
+    text('↻ rebuilds the composition', panel.x + this.padding, buttons[0].y - 9);
+
+    textSize(11);
+    textAlign(CENTER, CENTER);
+    for (const b of buttons) {
+      fill(255, 40);
+      rect(b.x, b.y, b.w, b.h, 4);
+      fill(255);
+      text(b.label, b.x + b.w / 2, b.y + b.h / 2);
+    }
+    pop();
+  }
+}
+
+let settingsPanel = new SettingsPanel();
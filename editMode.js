@@ -0,0 +1,313 @@
+/**
+ * --- Edit Mode ---
+ * Lets a composition be curated by hand. While edit mode is on, clicks select wheels
+ * instead of blooming them:
+ *   - Drag a wheel to move it, or drag the handle on its edge to resize it.
+ *   - Scroll over a wheel (or with one selected) to resize it.
+ *   - Double-click empty space to add a wheel there.
+ *   - 'Delete' / 'Backspace' removes the selected wheel.
+ *   - 'P' gives it the next palette and 'Y' the next wheel style; 'T' rotates its stem
+ *     ('Shift+T' the other way).
+ * Connectors follow wheels as they move, and appear or disappear as wheels come within
+ * range of each other or move apart. In physics mode (see physics.js), a dragged wheel pulls
+ * its neighbours along through the connector chains.
+ *
+ * Press 'E' to toggle edit mode.
+ */
+
+/**
+ * Edit Settings: Sizes and limits used while editing.
+ */
+const editSettings = {
+  handleSize: 12, // Side of the square resize handle, in pixels.
+  minRadius: 10, // Smallest radius a wheel can be resized to, in pixels.
+  maxRadiusFraction: 0.3, // Largest radius, as a fraction of the composition frame's shorter side.
+  newRadiusFraction: 0.08, // Radius of added wheels, as a fraction of the composition frame's width.
+  scrollResizeRate: 0.001, // Relative change in radius per pixel scrolled.
+  stemStep: Math.PI / 12, // How far 'T' rotates the stem (15 degrees). (p5's PI isn't defined yet when this file loads.)
+};
+
+let isEditMode = false;
+let selectedWheel = null; // The wheel that keyboard edits and scrolling apply to.
+let editDrag = null; // The drag in progress: { type: 'move' | 'resize', offsetX, offsetY }.
+
+/**
+ * Toggle Edit Mode Function: Turns edit mode on or off.
+ */
+function toggleEditMode() {
+  isEditMode = !isEditMode;
+  clearEditSelection();
+  if (!isEditMode) {
+    markWallStateChanged(); // Show the edited composition on every screen of a wall (see multiScreen.js).
+  }
+  showStatusMessage(isEditMode
+    ? 'Edit mode: drag to move, scroll or drag the handle to resize, double-click to add, Delete to remove'
+    : 'Edit mode off');
+}
+
+/**
+ * Clear Edit Selection Function: Deselects the wheel and drops any drag in progress. Called
+ * whenever `wheels` is replaced (a new composition, or a loaded scene or wall state), as the
+ * selected wheel isn't part of the new one.
+ */
+function clearEditSelection() {
+  selectedWheel = null;
+  editDrag = null;
+}
+
+/**
+ * Forget Removed Selection Function: Clears the selection if its wheel is no longer part of
+ * the composition, so an edit can never act on a wheel that isn't there.
+ */
+function forgetRemovedSelection() {
+  if (selectedWheel && !wheels.includes(selectedWheel)) {
+    clearEditSelection();
+  }
+}
+
+/**
+ * Resize Handle Position Function: Where the selected wheel's resize handle is drawn.
+ * @param {Wheel} w - The wheel.
+ * @returns {{x: number, y: number}} - The centre of the handle, on the wheel's right edge.
+ */
+function resizeHandlePosition(w) {
+  return { x: w.x + w.radius, y: w.y };
+}
+
+/**
+ * Wheel At Function: Finds the topmost wheel under a point.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @returns {Wheel|null} - The wheel, or null if the point is over empty space.
+ */
+function wheelAt(x, y) {
+  for (let i = wheels.length - 1; i >= 0; i--) {
+    if (wheels[i].contains(x, y)) return wheels[i];
+  }
+  return null;
+}
+
+/**
+ * Handle Edit Press Function: Starts resizing if the selected wheel's handle was pressed,
+ * otherwise selects the wheel under the pointer and starts moving it.
+ * @param {number} x - The pointer's x-coordinate.
+ * @param {number} y - The pointer's y-coordinate.
+ */
+function handleEditPress(x, y) {
+  forgetRemovedSelection();
+  if (selectedWheel) {
+    const handle = resizeHandlePosition(selectedWheel);
+    if (abs(x - handle.x) <= editSettings.handleSize && abs(y - handle.y) <= editSettings.handleSize) {
+      editDrag = { type: 'resize' };
+      return;
+    }
+  }
+
+  selectedWheel = wheelAt(x, y);
+  editDrag = selectedWheel ? { type: 'move', offsetX: selectedWheel.x - x, offsetY: selectedWheel.y - y } : null;
+}
+
+/**
+ * Handle Edit Drag Function: Moves or resizes the selected wheel to follow the pointer.
+ * @param {number} x - The pointer's x-coordinate.
+ * @param {number} y - The pointer's y-coordinate.
+ */
+function handleEditDrag(x, y) {
+  forgetRemovedSelection();
+  if (!editDrag || !selectedWheel) return;
+  if (editDrag.type === 'move') {
+    selectedWheel.x = x + editDrag.offsetX;
+    selectedWheel.y = y + editDrag.offsetY;
+  } else {
+    setWheelRadius(selectedWheel, dist(x, y, selectedWheel.x, selectedWheel.y));
+  }
+  wheelGeometryChanged(selectedWheel);
+}
+
+/**
+ * Handle Edit Release Function: Ends the drag in progress.
+ */
+function handleEditRelease() {
+  if (editDrag) {
+    settleEditedWheels(selectedWheel); // In physics mode, wheels pulled along by the chains stay where they are.
+  }
+  editDrag = null;
+}
+
+/**
+ * Handle Edit Scroll Function: Resizes the selected wheel, or the one under the pointer.
+ * @param {number} x - The pointer's x-coordinate.
+ * @param {number} y - The pointer's y-coordinate.
+ * @param {number} delta - The scroll amount (positive when scrolling down, which shrinks).
+ */
+function handleEditScroll(x, y, delta) {
+  forgetRemovedSelection();
+  const target = selectedWheel || wheelAt(x, y);
+  if (!target) return;
+  setWheelRadius(target, target.radius * (1 - delta * editSettings.scrollResizeRate));
+  wheelGeometryChanged(target);
+  settleEditedWheels(target); // Give its chains their new length.
+}
+
+/**
+ * Set Wheel Radius Function: Changes a wheel's radius within the allowed limits.
+ * @param {Wheel} w - The wheel.
+ * @param {number} radius - The requested radius.
+ */
+function setWheelRadius(w, radius) {
+  const maxRadius = min(compositionFrame.w, compositionFrame.h) * editSettings.maxRadiusFraction;
+  w.radius = constrain(radius, editSettings.minRadius, maxRadius);
+}
+
+/**
+ * Add Wheel At Function: Adds a new wheel centred on a point (if it isn't on a wheel already)
+ * and selects it.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ */
+function addWheelAt(x, y) {
+  if (wheelAt(x, y)) return;
+  const w = new Wheel(x, y, compositionFrame.w * editSettings.newRadiusFraction, random(colorPalettes), pickWheelStyle());
+  wheels.push(w);
+  selectedWheel = w;
+  syncConnectorsFor(w);
+}
+
+/**
+ * Delete Selected Wheel Function: Removes the selected wheel along with its connectors,
+ * its particles and its place in the undo history.
+ */
+function deleteSelectedWheel() {
+  const w = selectedWheel;
+  if (!w || !wheels.includes(w)) return; // A wheel from a composition that has since been replaced.
+  wheels.splice(wheels.indexOf(w), 1);
+  connectors = connectors.filter(c => c.w1 !== w && c.w2 !== w);
+  particleEngine.releaseWheel(w.id);
+  commandHistory.removeWheel(w);
+  forgetScheduledWheel(w);
+  if (focusedWheel === w) focusedWheel = null;
+  clearEditSelection();
+}
+
+/**
+ * Cycle Selected Palette Function: Gives the selected wheel the next palette in the active set (`colorPalettes`).
+ */
+function cycleSelectedPalette() {
+  const w = selectedWheel;
+  if (!w) return;
+  const index = paletteIndexOf(colorPalettes, w.colors); // -1 for a palette from another set, which moves on to the first.
+  w.setPalette(colorPalettes[(index + 1) % colorPalettes.length]);
+}
+
+/**
+ * Cycle Selected Style Function: Gives the selected wheel the next style in `wheelStyles`.
+ * Seeds flying back to it are re-aimed at the new style's elements.
+ */
+function cycleSelectedStyle() {
+  const w = selectedWheel;
+  if (!w) return;
+  const wasBrokenApart = w.dispersedStages >= deepStageCount(w.style);
+  w.style = wheelStyles[(wheelStyles.indexOf(w.style) + 1) % wheelStyles.length];
+  // A deep bloom that had finished stays finished; one still under way carries on in the new style's stages.
+  w.dispersedStages = wasBrokenApart ? deepStageCount(w.style) : min(w.dispersedStages, deepStageCount(w.style));
+  wheelGeometryChanged(w);
+  showStatusMessage(`Wheel style: ${w.style.label}`);
+}
+
+/**
+ * Handle Edit Key Function: Applies the edit-mode keyboard shortcuts to the selected wheel.
+ * @returns {boolean} - True if the key was an edit shortcut (and shouldn't do anything else).
+ */
+function handleEditKey() {
+  forgetRemovedSelection();
+  if (keyCode === DELETE || keyCode === BACKSPACE) {
+    deleteSelectedWheel();
+    return true;
+  }
+  if (key === 'p' || key === 'P') {
+    cycleSelectedPalette();
+    return true;
+  }
+  if (key === 'y' || key === 'Y') {
+    cycleSelectedStyle();
+    return true;
+  }
+  if (key === 't' || key === 'T') {
+    if (selectedWheel) {
+      selectedWheel.stemAngle += key === 'T' ? -editSettings.stemStep : editSettings.stemStep;
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Wheel Geometry Changed Function: Brings everything attached to a wheel up to date after
+ * it has moved or changed size: its connectors, and any seeds flying back to it.
+ * @param {Wheel} w - The wheel that changed.
+ */
+function wheelGeometryChanged(w) {
+  syncConnectorsFor(w);
+
+  const slots = w.getSeedSlots();
+  for (const i of particleEngine.slotsOfWheel(w.id, [PARTICLE_RETURNING])) {
+    const slot = findSeedSlot(slots, particleEngine.type[i], particleEngine.slotIndex[i]);
+    if (slot) {
+      particleEngine.targetX[i] = slot.x;
+      particleEngine.targetY[i] = slot.y;
+    }
+  }
+}
+
+/**
+ * Sync Connectors For Function: Re-checks every connection to a wheel. Connectors to wheels
+ * that are now out of range are removed, new ones are added for wheels now in range, and
+ * the rest are re-aimed at the wheel's new position.
+ * @param {Wheel} w - The wheel to check.
+ */
+function syncConnectorsFor(w) {
+  for (const other of wheels) {
+    if (other === w) continue;
+    const existing = connectors.find(c => (c.w1 === w && c.w2 === other) || (c.w1 === other && c.w2 === w));
+    const inRange = isWithinConnectorRange(w, other);
+
+    if (inRange && !existing) {
+      connectors.push(new Connector(w, other, random(colorPalettes)[0]));
+    } else if (!inRange && existing) {
+      connectors.splice(connectors.indexOf(existing), 1);
+    } else if (existing) {
+      existing.updateGeometry();
+    }
+  }
+}
+
+/**
+ * Draw Edit Overlay Function: In edit mode, outlines the selected wheel, draws its resize
+ * handle and labels the mode in the bottom-left corner.
+ */
+function drawEditOverlay() {
+  if (!isEditMode) return;
+
+  push();
+  if (selectedWheel) {
+    const w = selectedWheel;
+    const handle = resizeHandlePosition(w);
+    push();
+    applyCameraTransform(); // The outline and handle follow the wheel when zoomed in.
+    noFill();
+    stroke(255, 220, 120);
+    strokeWeight(2);
+    circle(w.x, w.y, w.radius * 2 + 6);
+    fill(255, 220, 120);
+    noStroke();
+    rectMode(CENTER);
+    rect(handle.x, handle.y, editSettings.handleSize, editSettings.handleSize, 2);
+    pop();
+  }
+  noStroke();
+  fill(255, 200);
+  textSize(12);
+  textAlign(LEFT, BOTTOM);
+  text('EDIT MODE (E to exit)', 16, height - 16);
+  pop();
+}
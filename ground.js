@@ -0,0 +1,135 @@
+/**
+ * --- Ground ---
+ * An optional ground plane along the bottom of the composition. While it is on, flying seeds
+ * feel a little gravity and no longer fade: they drift down, land and pile up. The pile is a
+ * height map: the ground is split into narrow columns, each remembering how high the seeds
+ * landed in it are stacked. A seed landing on a column that stands well above a neighbour
+ * rolls off into it, so piles slope like sand instead of growing into spikes.
+ * Restoring a bloom lifts the wheel's seeds out of the pile and flies them home; the seeds
+ * that were lying on top of them settle into the gap.
+ *
+ * Press 'G' to turn the ground on or off.
+ */
+
+/**
+ * Ground Settings: Tunable values for falling and piling up.
+ */
+const groundSettings = {
+  gravity: 0.04, // Downward pull on flying seeds, in pixels per frame per frame. The wind's drag caps the fall speed.
+  columnWidth: 6, // Width of one column of the height map, in pixels.
+  packing: 0.6, // Share of its size a landed seed adds to its column's height (seeds nestle into each other).
+  maxRoll: 30, // How many columns a landing seed may roll down a slope.
+};
+
+let isGroundEnabled = false; // Whether seeds fall and pile up instead of fading.
+let groundHeights = new Float32Array(0); // Height of the pile in each column, in pixels.
+let isGroundDirty = true; // Set when seeds leave the pile (or move), so the rest are stacked again.
+
+/**
+ * Toggle Ground Function: Turns the ground on or off. Turning it off lets the landed seeds
+ * drift away and fade, as they would have without it.
+ */
+function toggleGround() {
+  isGroundEnabled = !isGroundEnabled;
+  if (!isGroundEnabled) {
+    const engine = particleEngine;
+    engine.forEach(i => {
+      if (engine.state[i] !== PARTICLE_LANDED) return;
+      engine.setState(i, PARTICLE_FLYING);
+      engine.vx[i] = 0;
+      engine.vy[i] = 0;
+    });
+  }
+  showStatusMessage(`Ground: ${isGroundEnabled ? 'on (seeds fall and pile up)' : 'off (seeds drift away and fade)'}`);
+}
+
+/**
+ * Ground Level Function: The y-coordinate of the bare ground, at the bottom of the composition.
+ * @returns {number}
+ */
+function groundLevel() {
+  return compositionFrame.y + compositionFrame.h;
+}
+
+/**
+ * Ground Column At Function: Finds the column of the height map under a point.
+ * @param {number} x - The x-coordinate.
+ * @returns {number} - The column, or -1 if the point is beside the composition.
+ */
+function groundColumnAt(x) {
+  const column = floor((x - compositionFrame.x) / groundSettings.columnWidth);
+  return column >= 0 && column < groundHeights.length ? column : -1;
+}
+
+/**
+ * Ground Surface At Function: The y-coordinate of the top of the pile under a point.
+ * @param {number} x - The x-coordinate.
+ * @returns {number} - The surface, or Infinity beside the composition (nothing to land on).
+ */
+function groundSurfaceAt(x) {
+  const column = groundColumnAt(x);
+  return column === -1 ? Infinity : groundLevel() - groundHeights[column];
+}
+
+/**
+ * Land Seed Function: Puts a seed that has reached the pile to rest on it. It rolls towards
+ * the lower neighbouring column (the way it was travelling, if both are as low) while the
+ * drop is steeper than 45 degrees, then lies flat on top.
+ * @param {ParticleEngine} engine - The particle engine.
+ * @param {number} i - The seed's slot.
+ */
+function landSeed(engine, i) {
+  const start = groundColumnAt(engine.x[i]);
+  const step = groundSettings.columnWidth;
+  let column = start;
+  for (let roll = 0; roll < groundSettings.maxRoll; roll++) {
+    const left = column > 0 ? groundHeights[column - 1] : Infinity;
+    const right = column < groundHeights.length - 1 ? groundHeights[column + 1] : Infinity;
+    const lowest = min(left, right);
+    if (lowest >= groundHeights[column] - step) break; // Gentle enough to stay.
+    column = left < right || (left === right && engine.vx[i] < 0) ? column - 1 : column + 1;
+  }
+
+  const footprint = engine.size[i] * groundSettings.packing;
+  engine.x[i] += (column - start) * step;
+  engine.y[i] = groundLevel() - groundHeights[column] - footprint / 2;
+  groundHeights[column] += footprint;
+  engine.rotation[i] = round(engine.rotation[i] / PI) * PI; // Spokes and petals lie flat.
+  engine.vx[i] = 0;
+  engine.vy[i] = 0;
+  engine.rotationSpeed[i] = 0;
+  engine.setState(i, PARTICLE_LANDED);
+}
+
+/**
+ * Settle Ground Function: Stacks every landed seed again from the bottom up, after seeds
+ * have been lifted out of the pile or culled, or the composition has been resized. Seeds
+ * keep their order and column; the ones above a gap simply drop into it.
+ * @param {ParticleEngine} engine - The particle engine.
+ */
+function settleGround(engine) {
+  const columns = max(ceil(compositionFrame.w / groundSettings.columnWidth), 0);
+  if (groundHeights.length !== columns) {
+    groundHeights = new Float32Array(columns);
+  } else {
+    groundHeights.fill(0);
+  }
+
+  const landed = [];
+  engine.forEach(i => {
+    if (engine.state[i] === PARTICLE_LANDED) landed.push(i);
+  });
+  landed.sort((a, b) => engine.y[b] - engine.y[a]); // Lowest first.
+  const level = groundLevel();
+  for (const i of landed) {
+    const column = groundColumnAt(engine.x[i]);
+    if (column === -1) {
+      engine.setState(i, PARTICLE_FLYING); // Left beside a narrower composition: let it drift away.
+      continue;
+    }
+    const footprint = engine.size[i] * groundSettings.packing;
+    engine.y[i] = level - groundHeights[column] - footprint / 2;
+    groundHeights[column] += footprint;
+  }
+  isGroundDirty = false;
+}
@@ -0,0 +1,228 @@
+/**
+ * --- Layer Cache ---
+ * Most of the artwork doesn't change from one frame to the next, yet drawing it means
+ * thousands of circles and lines: every connector's chain links, and every wheel's rings of
+ * dots, spokes and petals (a classic wheel alone has 84 elements). Instead, static parts are drawn once into offscreen
+ * p5.Graphics layers and copied to the canvas as images each frame:
+ *   - Connector layer: every connector, in one canvas-sized layer.
+ *   - Wheel sprites: one per wheel, with the rings of its style that stay put, plus its
+ *     blooming rings (spokes and outer dots, for the classic style) once they have fully faded in.
+ * Each layer remembers a key describing what it shows (positions, sizes, colors, whether the
+ * patterns are included, the camera's zoom) and is only redrawn when that key changes. Patterns that are fading
+ * in, or being stretched by the music, are drawn live on top of the sprite. In physics mode
+ * sprites are simply turned as their wheels spin, but the connectors are drawn live.
+ *
+ * Controls: 'I' shows the performance overlay (frame rate and frame time), and 'Shift+I'
+ * turns caching off and on so the two can be compared.
+ */
+
+let isLayerCachingEnabled = true;
+let connectorLayer = null; // { graphics, key } for the connector layer.
+let wheelSprites = new Map(); // Wheel -> { graphics, key, size }.
+
+/**
+ * Draw Connectors Function: Draws every connector, from the cached layer when caching is on
+ * (and the chains aren't swinging in physics mode, which changes them every frame).
+ */
+function drawConnectors() {
+  if (!isLayerCachingEnabled || isPhysicsActive()) {
+    push();
+    applyCameraTransform();
+    for (const conn of connectors) {
+      conn.display();
+    }
+    pop();
+    return;
+  }
+
+  const key = [width, height, pixelDensity(), viewCamera.x, viewCamera.y, viewCamera.zoom].concat(connectors.map(c =>
+    `${c.startPoint.x},${c.startPoint.y},${c.endPoint.x},${c.endPoint.y},${c.displayColor}`)).join('|');
+  if (!connectorLayer || connectorLayer.key !== key) {
+    if (!connectorLayer) {
+      connectorLayer = { graphics: createGraphics(width, height), key: null };
+    } else if (connectorLayer.graphics.width !== width || connectorLayer.graphics.height !== height) {
+      connectorLayer.graphics.resizeCanvas(width, height);
+    }
+    const g = connectorLayer.graphics;
+    g.pixelDensity(pixelDensity());
+    g.clear();
+    g.push();
+    applyCameraTransform(g); // The layer shows the connectors as they appear on screen, so it stays sharp when zoomed in.
+    for (const conn of connectors) {
+      conn.display(g);
+    }
+    g.pop();
+    connectorLayer.key = key;
+  }
+  image(connectorLayer.graphics, 0, 0, width, height);
+}
+
+/**
+ * Has Baked Patterns Function: Whether a wheel's blooming rings are steady enough to
+ * be part of its sprite: fully faded in and not being stretched by audio-reactive mode.
+ * @param {Wheel} w - The wheel.
+ * @returns {boolean}
+ */
+function hasBakedPatterns(w) {
+  return !w.isBlownAway && w.innerAlpha >= w.targetInnerAlpha &&
+    abs(w.spokeScale - 1) < 0.01 && abs(w.dotScale - 1) < 0.01; // Audio levels ease towards 1 without ever quite reaching it.
+}
+
+/**
+ * Draw Wheel Function: Draws a wheel, from its cached sprite when caching is on.
+ * @param {Wheel} w - The wheel.
+ */
+function drawWheel(w) {
+  if (!isLayerCachingEnabled) {
+    w.display();
+    return;
+  }
+
+  const baked = hasBakedPatterns(w);
+  if (!baked && w.isDeepBloom && w.dispersedStages > 0) {
+    // Rings broken apart by a deep bloom may lie underneath rings still on the sprite, so
+    // fading them in on top would cover those. Draw the whole wheel live until it is whole again.
+    w.display();
+    return;
+  }
+  const sprite = wheelSpriteFor(w, baked);
+  push();
+  translate(w.x, w.y);
+  rotate(w.angle); // Spinning turns the cached image too (see physics.js).
+  scale(w.pulse); // Pulsing scales the cached image rather than redrawing it.
+  imageMode(CENTER);
+  image(sprite.graphics, 0, 0, sprite.size, sprite.size);
+
+  // Blooming rings that are fading in or reacting to music change every frame, so draw them live.
+  // Styles keep them clear of the other rings, so drawing them on top looks the same as drawing them underneath.
+  if (!baked && (!w.isBlownAway || w.innerAlpha > 0)) {
+    w.drawRings(window, 'blooming');
+  }
+  pop();
+}
+
+/**
+ * Wheel Sprite For Function: Returns a wheel's sprite, redrawing it first if the wheel has
+ * changed since it was last drawn.
+ * @param {Wheel} w - The wheel.
+ * @param {boolean} baked - Whether the sprite should include the blooming rings.
+ * @returns {{graphics: p5.Graphics, key: string, size: number}} - The sprite.
+ */
+function wheelSpriteFor(w, baked) {
+  const density = pixelDensity() * ceil(viewCamera.zoom); // More detail when zoomed in (whole steps, so a pinch doesn't redraw every frame).
+  const key = `${w.radius}|${w.style.id}|${w.displayColors.join()}|${w.stemAngle}|${baked}|${density}`;
+  let sprite = wheelSprites.get(w);
+  if (sprite && sprite.key === key) return sprite;
+
+  const size = ceil(w.radius * 2) + 2; // A pixel of margin for antialiasing at the edge.
+  if (!sprite) {
+    sprite = { graphics: createGraphics(size, size), key: null, size };
+    wheelSprites.set(w, sprite);
+  } else if (sprite.size !== size) {
+    sprite.graphics.resizeCanvas(size, size);
+    sprite.size = size;
+  }
+
+  const g = sprite.graphics;
+  g.pixelDensity(density);
+  g.clear();
+  g.push();
+  g.translate(size / 2, size / 2);
+  w.drawRings(g, baked ? 'all' : 'still');
+  g.pop();
+  sprite.key = key;
+  return sprite;
+}
+
+/**
+ * Prune Wheel Sprites Function: Frees the sprites of wheels that no longer exist (after a
+ * new composition is generated or loaded, or a wheel is deleted). Called once per frame.
+ */
+function pruneWheelSprites() {
+  if (wheelSprites.size <= wheels.length) return; // Nothing can be stale.
+  const current = new Set(wheels);
+  for (const [w, sprite] of wheelSprites) {
+    if (!current.has(w)) {
+      sprite.graphics.remove(); // Each p5.Graphics owns a hidden canvas element.
+      wheelSprites.delete(w);
+    }
+  }
+}
+
+/**
+ * Toggle Layer Caching Function: Switches caching off (everything drawn live, as before) or
+ * back on. Turning it off frees the cached layers.
+ */
+function toggleLayerCaching() {
+  isLayerCachingEnabled = !isLayerCachingEnabled;
+  if (!isLayerCachingEnabled) {
+    for (const sprite of wheelSprites.values()) {
+      sprite.graphics.remove();
+    }
+    wheelSprites.clear();
+    if (connectorLayer) {
+      connectorLayer.graphics.remove();
+      connectorLayer = null;
+    }
+  }
+  showStatusMessage(`Layer caching: ${isLayerCachingEnabled ? 'on' : 'off'}`);
+}
+
+/**
+ * --- Performance Overlay ---
+ * Frame rate and frame time, to check that large compositions keep up with 60 fps.
+ * "Frame time" is how long `draw()` itself took, which shows the headroom left even when
+ * the frame rate is capped at the display's refresh rate.
+ */
+let showPerformanceOverlay = false;
+let frameStartTime = 0;
+let frameTimes = []; // Recent `draw()` durations in milliseconds, newest last.
+let frameIntervals = []; // Recent times between frames in milliseconds, newest last.
+const frameTimeSamples = 60; // How many recent frames the averages cover.
+
+/**
+ * Begin Frame Timing Function: Marks the start of `draw()`.
+ */
+function beginFrameTiming() {
+  frameStartTime = performance.now();
+  frameIntervals.push(deltaTime);
+  if (frameIntervals.length > frameTimeSamples) frameIntervals.shift();
+}
+
+/**
+ * End Frame Timing Function: Records how long `draw()` took. Call it just before the
+ * performance overlay is drawn.
+ */
+function endFrameTiming() {
+  frameTimes.push(performance.now() - frameStartTime);
+  if (frameTimes.length > frameTimeSamples) frameTimes.shift();
+}
+
+/**
+ * Draw Performance Overlay Function: Shows the frame rate, average and worst frame time,
+ * and what is on screen, in the bottom-right corner. Toggle with 'I'.
+ */
+function drawPerformanceOverlay() {
+  if (!showPerformanceOverlay || frameTimes.length === 0) return;
+
+  const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const fps = 1000 / average(frameIntervals);
+  const lines = [
+    `${fps.toFixed(1)} fps`,
+    `draw ${average(frameTimes).toFixed(1)} ms (worst ${max(frameTimes).toFixed(1)} ms)`,
+    `${wheels.length} wheels, ${connectors.length} connectors, ${particleEngine.activeCount} particles`,
+    `caching ${isLayerCachingEnabled ? `on (${wheelSprites.size} sprites)` : 'off'}`,
+  ];
+
+  push();
+  textSize(11);
+  textAlign(RIGHT, BOTTOM);
+  noStroke();
+  fill(0, 150);
+  rect(width - 290, height - 16 - lines.length * 15, 280, lines.length * 15 + 8, 4);
+  fill(fps >= 55 ? color(160, 230, 160) : color(255, 160, 120)); // Green while keeping up with 60 fps.
+  lines.forEach((label, i) => {
+    text(label, width - 16, height - 12 - (lines.length - 1 - i) * 15);
+  });
+  pop();
+}
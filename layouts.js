@@ -0,0 +1,465 @@
+/**
+ * --- Layout Strategies ---
+ * Each strategy decides where the wheels go and how big they are. They all take the
+ * same options and return plain placements, so `initializeArtwork()` can switch
+ * between them at runtime (press 'L') without caring how the placements were found.
+ *
+ * Options passed to every strategy:
+ *   numWheels        - How many wheels to place (a strategy may place fewer if they don't fit).
+ *   minRadius        - Smallest allowed wheel radius.
+ *   maxRadius        - Largest allowed wheel radius.
+ *   overlapTolerance - How much two wheels may overlap, as a fraction of the smaller radius.
+ *   width, height    - The area to fill.
+ * Every strategy returns an array of { x, y, radius }.
+ *
+ * All randomness goes through p5's `random()`, so layouts follow the artwork seed.
+ */
+
+/**
+ * Layout Strategies Registry: The available strategies, in the order 'L' cycles through them.
+ * The `id` is what appears in the `?layout=` URL parameter.
+ */
+const layoutStrategies = [
+  { id: 'random', label: 'Random packer', place: placeRandomPacked },
+  { id: 'poisson', label: 'Poisson-disc sampling', place: placePoissonDisc },
+  { id: 'packing', label: 'Circle packing', place: placeCirclePacked },
+  { id: 'hex', label: 'Hex grid', place: placeHexGrid },
+  { id: 'force', label: 'Force-directed relaxation', place: placeForceDirected },
+];
+
+/**
+ * Find Layout Strategy Function: Looks up a strategy by id.
+ * @param {string} id - The strategy id, e.g. 'poisson'.
+ * @returns {Object|undefined} - The strategy, or undefined if there is none with that id.
+ */
+function findLayoutStrategy(id) {
+  return layoutStrategies.find(strategy => strategy.id === id);
+}
+
+/**
+ * Min Center Distance Function: The closest two wheels may be while staying within the
+ * overlap tolerance (they may overlap by up to `tolerance` of the smaller radius).
+ * @param {number} r1 - Radius of the first wheel.
+ * @param {number} r2 - Radius of the second wheel.
+ * @param {number} tolerance - The allowed overlap fraction.
+ * @returns {number} - The minimum distance between their centers.
+ */
+function minCenterDistance(r1, r2, tolerance) {
+  return r1 + r2 - min(r1, r2) * tolerance;
+}
+
+/**
+ * Largest Fitting Radius Function: Finds the biggest radius (up to `maxRadius`) a wheel at
+ * (x, y) can have without leaving the canvas or overlapping any placed wheel too much.
+ * @param {number} x - Candidate center x.
+ * @param {number} y - Candidate center y.
+ * @param {Object[]} placed - Wheels placed so far, as { x, y, radius }.
+ * @param {Object} options - The layout options (uses maxRadius, overlapTolerance, width, height).
+ * @returns {number} - The largest fitting radius (may be 0 or negative if nothing fits).
+ */
+function largestFittingRadius(x, y, placed, options) {
+  const tolerance = options.overlapTolerance;
+  let r = min(options.maxRadius, x, y, options.width - x, options.height - y); // Stay inside the canvas.
+
+  for (const other of placed) {
+    const d = dist(x, y, other.x, other.y);
+    // Solve minCenterDistance(r, other.radius) = d for r. The formula depends on which wheel is smaller.
+    const ifSmaller = (d - other.radius) / (1 - tolerance);
+    const bound = ifSmaller <= other.radius ? ifSmaller : d - other.radius * (1 - tolerance);
+    r = min(r, bound);
+  }
+  return r;
+}
+
+/**
+ * --- Spatial Grid Class ---
+ * Buckets items with an `x` and `y` into square cells, so the layouts can look up the
+ * wheels near a point without checking every wheel: with hundreds of wheels, checking
+ * every pair blocks the page for seconds or minutes.
+ */
+class SpatialGrid {
+  /**
+   * Constructor: Creates an empty grid.
+   * @param {number} cellSize - The width and height of each cell.
+   */
+  constructor(cellSize) {
+    this.cellSize = max(cellSize, 1);
+    this.cells = new Map(); // cellKey(column, row) -> the items in that cell.
+    this.size = 0;
+  }
+
+  /**
+   * Cell Key Method: A number naming a cell (numbers look up faster than strings).
+   * @param {number} col - The cell's column.
+   * @param {number} row - The cell's row.
+   * @returns {number}
+   */
+  cellKey(col, row) {
+    return col * 100003 + row; // Rows never reach 100003, so no two cells share a key.
+  }
+
+  /**
+   * Add Method: Puts an item into the cell under its position.
+   * @param {Object} item - Anything with `x` and `y`.
+   */
+  add(item) {
+    const key = this.cellKey(floor(item.x / this.cellSize), floor(item.y / this.cellSize));
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(item);
+    this.size++;
+  }
+
+  /**
+   * Near Method: Gets the items in every cell within `range` of a point. This may include
+   * some items a little further away, but never leaves out a closer one.
+   * @param {number} x - The point's x.
+   * @param {number} y - The point's y.
+   * @param {number} range - How far to look.
+   * @returns {Object[]} - The items found.
+   */
+  near(x, y, range) {
+    const found = [];
+    const minCol = floor((x - range) / this.cellSize);
+    const maxCol = floor((x + range) / this.cellSize);
+    const minRow = floor((y - range) / this.cellSize);
+    const maxRow = floor((y + range) / this.cellSize);
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const cell = this.cells.get(this.cellKey(col, row));
+        if (cell) found.push(...cell);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Nearest Method: Finds the item that minimises `measure`, searching outwards ring by ring
+   * and stopping once no further ring could hold anything better.
+   * @param {number} x - The point's x.
+   * @param {number} y - The point's y.
+   * @param {Function} measure - Scores an item; lower is nearer.
+   * @param {Function} lowerBound - Given a distance, the lowest score an item that far away could have.
+   * @returns {Object|null} - The nearest item, or null if the grid is empty.
+   */
+  nearest(x, y, measure, lowerBound) {
+    const col = floor(x / this.cellSize);
+    const row = floor(y / this.cellSize);
+    let best = null;
+    let bestScore = Infinity;
+    let remaining = this.size; // Stop early once every item has been looked at.
+
+    for (let ring = 0; remaining > 0; ring++) {
+      // Nothing in this ring or beyond is closer than (ring - 1) cells away.
+      if (ring > 1 && lowerBound((ring - 1) * this.cellSize) >= bestScore) break;
+      for (let i = -ring; i <= ring; i++) {
+        const isEdgeColumn = i === -ring || i === ring;
+        for (let j = -ring; j <= ring; j += isEdgeColumn || ring === 0 ? 1 : 2 * ring) { // Only the cells on the ring's edge.
+          const cell = this.cells.get(this.cellKey(col + i, row + j));
+          if (!cell) continue;
+          remaining -= cell.length;
+          for (const item of cell) {
+            const score = measure(item);
+            if (score < bestScore) {
+              bestScore = score;
+              best = item;
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Place Random Packed Function: The original layout. Proposes random wheels and keeps
+ * those that don't overlap too much and have a neighbor close enough to connect to.
+ * @param {Object} options - The layout options.
+ * @returns {Object[]} - The placements.
+ */
+function placeRandomPacked(options) {
+  const placed = [];
+  const maxAttempts = 5000; // Maximum attempts to place a wheel, preventing infinite loops.
+  let currentAttempts = 0; // Counter for placement attempts.
+
+  while (placed.length < options.numWheels && currentAttempts < maxAttempts) {
+    let candidateRadius = random(options.minRadius, options.maxRadius); // Propose a random radius for the new wheel.
+    let candidateX = random(candidateRadius, options.width - candidateRadius); // Propose a random X position.
+    let candidateY = random(candidateRadius, options.height - candidateRadius); // Propose a random Y position.
+
+    let isOverlappingTooMuch = false; // Flag to check if the candidate wheel overlaps excessively.
+    let hasNearbyWheel = placed.length === 0; // The first wheel doesn't require any nearby neighbors.
+
+    // Check against all existing wheels for overlap and proximity.
+    for (let other of placed) {
+      let d = dist(candidateX, candidateY, other.x, other.y); // Calculate distance between centers.
+      // Allow for significant overlap, as seen in Pacita Abad's original work.
+      if (d < minCenterDistance(candidateRadius, other.radius, options.overlapTolerance)) {
+        isOverlappingTooMuch = true; // Mark as excessively overlapping.
+        break; // No need to check further if overlap is too much.
+      }
+      // Can be connected if within 1.5 times their combined radius.
+      if (d < (candidateRadius + other.radius) * 1.5) {
+        hasNearbyWheel = true; // Mark as having a potential neighbor.
+      }
+    }
+
+    if (!isOverlappingTooMuch && hasNearbyWheel) {
+      placed.push({ x: candidateX, y: candidateY, radius: candidateRadius });
+    }
+    currentAttempts++; // Increment attempt counter.
+  }
+  return placed;
+}
+
+/**
+ * Place Poisson Disc Function: Spreads wheel centers evenly using Bridson's Poisson-disc
+ * sampling (no two centers closer than a minimum spacing), then gives each wheel a random
+ * radius small enough to respect the overlap tolerance with its nearest neighbor.
+ * @param {Object} options - The layout options.
+ * @returns {Object[]} - The placements.
+ */
+function placePoissonDisc(options) {
+  // Start with the spacing that would share the canvas evenly between the wheels, and
+  // tighten it until sampling yields enough points.
+  let spacing = sqrt((options.width * options.height) / options.numWheels);
+  let points = [];
+  for (let tries = 0; tries < 20 && points.length < options.numWheels; tries++) {
+    points = poissonDiscSample(options.width, options.height, spacing, options.minRadius);
+    spacing *= 0.92;
+  }
+
+  // If there are more points than wheels, drop random ones (leaving the odd gap, as in the painting).
+  while (points.length > options.numWheels) {
+    points.splice(floor(random(points.length)), 1);
+  }
+
+  // Cap each radius by the distance to the nearest other point, so no pair can overlap more
+  // than the tolerance whatever radii they get, then pick a size in the upper part of that range.
+  const grid = new SpatialGrid(spacing);
+  for (const point of points) {
+    grid.add(point);
+  }
+  const placed = [];
+  for (const point of points) {
+    const distanceTo = other => (other === point ? Infinity : dist(point.x, point.y, other.x, other.y));
+    const neighbor = grid.nearest(point.x, point.y, distanceTo, d => d);
+    const nearest = neighbor ? distanceTo(neighbor) : Infinity;
+    const cap = min(options.maxRadius, nearest / (2 - options.overlapTolerance),
+      point.x, point.y, options.width - point.x, options.height - point.y);
+    if (cap >= options.minRadius) {
+      placed.push({ x: point.x, y: point.y, radius: random(max(options.minRadius, cap * 0.7), cap) });
+    }
+  }
+  return placed;
+}
+
+/**
+ * Poisson Disc Sample Function: Bridson's algorithm. Grows a set of points outwards from a
+ * random seed point, trying up to 30 candidates in the ring around each active point.
+ * @param {number} w - Width of the area.
+ * @param {number} h - Height of the area.
+ * @param {number} spacing - Minimum distance between points.
+ * @param {number} margin - Keep points at least this far from the edges.
+ * @returns {Object[]} - The sampled points, as { x, y }.
+ */
+function poissonDiscSample(w, h, spacing, margin) {
+  const cellSize = spacing / sqrt(2); // Each grid cell can hold at most one point.
+  const cols = ceil(w / cellSize);
+  const rows = ceil(h / cellSize);
+  const grid = new Array(cols * rows).fill(null);
+  const points = [];
+  const active = [];
+  const inBounds = (x, y) => x >= margin && x <= w - margin && y >= margin && y <= h - margin;
+
+  const addPoint = (x, y) => {
+    const point = { x, y };
+    points.push(point);
+    active.push(point);
+    grid[floor(x / cellSize) + floor(y / cellSize) * cols] = point;
+  };
+
+  addPoint(random(margin, w - margin), random(margin, h - margin));
+
+  while (active.length > 0) {
+    const index = floor(random(active.length));
+    const origin = active[index];
+    let found = false;
+
+    for (let k = 0; k < 30 && !found; k++) {
+      const angle = random(TWO_PI);
+      const r = random(spacing, spacing * 2);
+      const x = origin.x + cos(angle) * r;
+      const y = origin.y + sin(angle) * r;
+      if (!inBounds(x, y)) continue;
+
+      // Only the surrounding 5x5 cells can hold a point closer than `spacing`.
+      const col = floor(x / cellSize);
+      const row = floor(y / cellSize);
+      let isFarEnough = true;
+      for (let i = max(col - 2, 0); i <= min(col + 2, cols - 1) && isFarEnough; i++) {
+        for (let j = max(row - 2, 0); j <= min(row + 2, rows - 1); j++) {
+          const neighbor = grid[i + j * cols];
+          if (neighbor && dist(x, y, neighbor.x, neighbor.y) < spacing) {
+            isFarEnough = false;
+            break;
+          }
+        }
+      }
+      if (isFarEnough) {
+        addPoint(x, y);
+        found = true;
+      }
+    }
+    if (!found) {
+      active.splice(index, 1); // Nothing fits around this point any more.
+    }
+  }
+  return points;
+}
+
+/**
+ * Place Circle Packed Function: Fills the canvas greedily. Each step scatters candidate
+ * centers and places the wheel that can grow the largest there, so big wheels go in first
+ * and smaller ones fill the remaining gaps.
+ * @param {Object} options - The layout options.
+ * @returns {Object[]} - The placements.
+ */
+function placeCirclePacked(options) {
+  const placed = [];
+  const grid = new SpatialGrid(2 * options.maxRadius); // Only wheels this close can limit a candidate's radius.
+  const candidatesPerStep = floor(400 * min(1, sqrt(50 / options.numWheels))); // Fewer per wheel when there are many wheels to place.
+
+  while (placed.length < options.numWheels) {
+    let best = null;
+    for (let i = 0; i < candidatesPerStep; i++) {
+      const x = random(options.width);
+      const y = random(options.height);
+      const r = largestFittingRadius(x, y, grid.near(x, y, 2 * options.maxRadius), options);
+      if (!best || r > best.radius) {
+        best = { x, y, radius: r };
+      }
+    }
+    if (best.radius < options.minRadius) {
+      break; // The canvas is full: no gap left that fits even the smallest wheel.
+    }
+    placed.push(best);
+    grid.add(best);
+  }
+  return placed;
+}
+
+/**
+ * Place Hex Grid Function: Arranges wheels on a honeycomb grid centered on the canvas,
+ * using the tightest spacing that still gives every wheel a cell. Leftover cells are
+ * dropped at random.
+ * @param {Object} options - The layout options.
+ * @returns {Object[]} - The placements.
+ */
+function placeHexGrid(options) {
+  const rowHeightRatio = sqrt(3) / 2; // Vertical distance between hex rows, per unit of spacing.
+
+  // Neighbors use half the overlap tolerance, so rows nestle together without crowding.
+  const radiusFor = spacing => constrain(spacing / (2 - options.overlapTolerance * 0.5), options.minRadius, options.maxRadius);
+
+  // Shrink the spacing until the grid (kept a radius away from every edge) has a cell per wheel.
+  let spacing = max(options.width, options.height);
+  let radius = radiusFor(spacing);
+  let cols = 0;
+  let rows = 0;
+  while (spacing > 1) {
+    radius = radiusFor(spacing);
+    cols = floor((options.width - 2 * radius - spacing / 2) / spacing) + 1; // Odd rows are shifted by half a cell.
+    rows = floor((options.height - 2 * radius) / (spacing * rowHeightRatio)) + 1;
+    if (cols > 0 && rows > 0 && cols * rows >= options.numWheels) break;
+    spacing *= 0.97;
+  }
+
+  const gridWidth = (cols - 1) * spacing + (rows > 1 ? spacing / 2 : 0);
+  const gridHeight = (rows - 1) * spacing * rowHeightRatio;
+  const offsetX = (options.width - gridWidth) / 2;
+  const offsetY = (options.height - gridHeight) / 2;
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({
+        x: offsetX + col * spacing + (row % 2) * spacing / 2,
+        y: offsetY + row * spacing * rowHeightRatio,
+        radius: radius,
+      });
+    }
+  }
+  while (cells.length > options.numWheels) {
+    cells.splice(floor(random(cells.length)), 1);
+  }
+  return cells;
+}
+
+/**
+ * Place Force Directed Function: Starts with wheels scattered at random and lets them
+ * settle. Overlapping wheels push each other apart, wheels too far from their nearest
+ * neighbor drift towards it (so chains can connect them), and the canvas edges hold
+ * everything in.
+ * @param {Object} options - The layout options.
+ * @returns {Object[]} - The placements.
+ */
+function placeForceDirected(options) {
+  const iterations = floor(300 * min(1, sqrt(50 / options.numWheels))); // Many small wheels have less far to move.
+  const placed = [];
+  for (let i = 0; i < options.numWheels; i++) {
+    const r = random(options.minRadius, options.maxRadius);
+    placed.push({ x: random(r, options.width - r), y: random(r, options.height - r), radius: r, index: i });
+  }
+  const reach = 2 * options.maxRadius; // No two wheels further apart than this can overlap.
+
+  for (let step = 0; step < iterations; step++) {
+    const cooling = 1 - step / iterations; // Forces weaken over time so the layout settles.
+
+    // Wheels move a little each step, so bucket them afresh.
+    const grid = new SpatialGrid(reach);
+    for (const w of placed) {
+      grid.add(w);
+    }
+
+    for (const a of placed) {
+      const neighbors = grid.near(a.x, a.y, reach).filter(b => b.index > a.index); // Each pair once.
+      neighbors.sort((b, c) => b.index - c.index); // In a fixed order, so the seed always gives the same layout.
+      for (const b of neighbors) {
+        const d = max(dist(a.x, a.y, b.x, b.y), 0.01); // Avoid dividing by zero for wheels on top of each other.
+        const minD = minCenterDistance(a.radius, b.radius, options.overlapTolerance);
+        if (d < minD) {
+          // Repel: split the correction between both wheels.
+          const push = (minD - d) / 2;
+          const nx = (b.x - a.x) / d;
+          const ny = (b.y - a.y) / d;
+          a.x -= nx * push;
+          a.y -= ny * push;
+          b.x += nx * push;
+          b.y += ny * push;
+        }
+      }
+
+      const gapTo = b => (b === a ? Infinity : dist(a.x, a.y, b.x, b.y) - (a.radius + b.radius));
+      const nearest = grid.nearest(a.x, a.y, gapTo, d => d - a.radius - options.maxRadius);
+      const nearestGap = nearest ? gapTo(nearest) : Infinity;
+
+      // Attract: pull a loose wheel towards its nearest neighbor until they are within connector range.
+      if (nearest && nearestGap > 0 && nearestGap < Infinity) {
+        const d = dist(a.x, a.y, nearest.x, nearest.y);
+        const pull = nearestGap * 0.1 * cooling;
+        a.x += (nearest.x - a.x) / d * pull;
+        a.y += (nearest.y - a.y) / d * pull;
+      }
+    }
+
+    // Keep every wheel inside the canvas.
+    for (const w of placed) {
+      w.x = constrain(w.x, w.radius, options.width - w.radius);
+      w.y = constrain(w.y, w.radius, options.height - w.radius);
+    }
+  }
+  return placed.map(w => ({ x: w.x, y: w.y, radius: w.radius }));
+}
@@ -0,0 +1,404 @@
+/**
+ * --- Multi-Screen Walls ---
+ * Joins several browser windows into one artwork, for installations with several projectors
+ * or displays. The wall is a virtual canvas made of a grid of screens; each window shows its
+ * own part of it, and they all share one composition:
+ *
+ *   ?wall=3x1&screen=1   ?wall=3x1&screen=2   ?wall=3x1&screen=3
+ *
+ * (screens are numbered from 1, left to right and then top to bottom). A bloom, restore or
+ * drag on any screen happens on all of them, and seeds blown off one screen fly on into the
+ * next. Windows on the same computer talk over a BroadcastChannel. Screens on different
+ * computers add `&relay=ws://<host>:8787` to their links and talk through the small relay in
+ * `relay/wallRelay.js`. `&room=<name>` keeps two walls on one computer or relay apart.
+ *
+ * Every screen runs the whole wall's simulation, in the wall's coordinates, and its camera
+ * shows its own part (see `wallView()`). So the screens stay identical as long as they do the
+ * same things on the same frames:
+ *   - Screen 1 keeps the time. It ticks its frame count to the others, which catch up or
+ *     wait a frame to stay in step, and p5's `random()` is seeded from that count each frame.
+ *   - Blooms, restores and gusts are changes: the screen they happen on sends them to every
+ *     screen, itself included, to be applied a few frames later by screen 1's clock, on the
+ *     same frame everywhere. A screen a change reaches too late still applies it, and then has
+ *     screen 1 send the state again, so they can't drift apart.
+ *   - Anything else that changes the artwork (a new composition, a loaded scene, a palette,
+ *     the settings, edits once edit mode is left) sends the whole state, which every screen,
+ *     the sender included, loads. Screen 1 also sends it to each screen that opens. Chain
+ *     reactions, gusts and jolts in progress are part of the state, so they carry on.
+ * Screens should be the same size, as the projectors of a wall usually are. Others still show
+ * the composition, but seeds only cross the gap between them exactly when the sizes match.
+ */
+
+/**
+ * Wall Settings: Timing of the changes and the clock.
+ */
+const wallSettings = {
+  changeDelay: 6, // Frames between a change and the frame every screen applies it on, so it can reach them all in time.
+  tickInterval: 30, // Frames between screen 1's clock ticks.
+  maxCatchUp: 4, // The most frames a screen that has fallen behind simulates in one draw.
+  resyncFrames: 180, // A screen further out of step than this loads the whole state again instead.
+  reconnectDelay: 2000, // Milliseconds before a lost relay connection is tried again.
+  maxScreens: 16, // The most columns or rows a wall can have.
+};
+
+/**
+ * Wall Change Kinds: The changes applied on every screen on the same frame. `encode` turns
+ * what the screen it happened on knows into plain data to send (wheels as ids), and `apply`
+ * makes the change from that data.
+ */
+const wallChangeKinds = [
+  {
+    kind: 'bloom',
+    encode: command => ({ wheels: wheelIds(command.wheels), hops: command.hops && command.hops.map(wheelIds), deep: command.deep }),
+    apply: data => {
+      const byId = new Map(wheels.map(w => [w.id, w]));
+      const toWheels = ids => ids.map(id => byId.get(id)).filter(Boolean);
+      const targets = toWheels(data.wheels);
+      if (targets.length > 0) {
+        commandHistory.record(new BloomCommand(targets, data.hops && data.hops.map(toWheels), data.deep));
+      }
+    },
+  },
+  { kind: 'undo', apply: () => commandHistory.undo() },
+  { kind: 'redo', apply: () => commandHistory.redo() },
+  { kind: 'goTo', encode: position => ({ position }), apply: data => commandHistory.goTo(data.position) },
+  { kind: 'gust', apply: data => addGust(data.x, data.y, data.dx, data.dy) },
+];
+
+let wall = null; // This page's place in a wall: { columns, rows, column, row, screen, isLead, room }, or null.
+let wallTransport = null; // How messages reach the other screens: { send(message) }.
+let wallClock = 0; // Frames simulated, counted the same on every screen of the wall.
+let wallDrift = 0; // How many frames screen 1 was ahead at its last tick (negative if behind).
+let wallRandomSeed = 0; // Shared with the state; mixed with `wallClock` to seed `random()` each frame.
+let pendingWallChanges = []; // Changes waiting for their frame: { from, seq, frame, kind, data }, in order.
+let wallChangeCount = 0; // Numbers this screen's changes, to order those due on the same frame.
+let isApplyingWallChange = false; // True while a shared change or state is applied here.
+let isWallStateDirty = false; // Whether to send the whole state at the start of the next frame.
+let isWallSynced = false; // Whether this screen has loaded the wall's state (screen 1 always has).
+let wallSettingsKey = ''; // The settings when the state was last sent or loaded, to notice changes.
+
+/**
+ * Setup Wall Function: Reads the `wall` and `screen` parameters and, if the page is one screen
+ * of a wall, connects to the others. Called from `setup()` before the composition is
+ * generated, as it is generated across the whole wall.
+ */
+function setupWall() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('wall')) return;
+  const match = /^(\d+)x(\d+)$/.exec(params.get('wall'));
+  const columns = match ? Number(match[1]) : 0;
+  const rows = match ? Number(match[2]) : 0;
+  const screen = Number(params.get('screen') || 1);
+  if (!match || columns < 1 || rows < 1 || columns > wallSettings.maxScreens || rows > wallSettings.maxScreens) {
+    showStatusMessage(`wall=${params.get('wall')}: expected columns x rows, e.g. wall=3x1`, true);
+    return;
+  }
+  if (!Number.isInteger(screen) || screen < 1 || screen > columns * rows) {
+    showStatusMessage(`screen=${params.get('screen')}: expected a screen number from 1 to ${columns * rows}`, true);
+    return;
+  }
+
+  const room = params.get('room') || 'wall';
+  wall = { columns, rows, column: (screen - 1) % columns, row: floor((screen - 1) / columns), screen, isLead: screen === 1, room };
+  isWallSynced = wall.isLead;
+  wallRandomSeed = artworkSeed;
+  const relay = params.get('relay');
+  wallTransport = relay ? openRelayTransport(relay, room) : openBroadcastTransport(room);
+  showStatusMessage(`Screen ${screen} of a ${columns}x${rows} wall${relay ? ` (relay ${relay})` : ''}`);
+}
+
+/**
+ * Open Broadcast Transport Function: Connects to the other windows of the wall open in this
+ * browser, over a BroadcastChannel.
+ * @param {string} room - The wall's room name.
+ * @returns {{send: Function}}
+ */
+function openBroadcastTransport(room) {
+  const channel = new BroadcastChannel(`wheels-of-fortune-wall:${room}`);
+  channel.onmessage = event => receiveWallMessage(event.data);
+  const transport = { send: message => channel.postMessage(message) };
+  setTimeout(greetWall); // Once `setup()` has finished.
+  return transport;
+}
+
+/**
+ * Open Relay Transport Function: Connects to the other screens of the wall through a
+ * WebSocket relay (see relay/wallRelay.js), reconnecting if the connection is lost.
+ * @param {string} url - The relay's address, e.g. 'ws://localhost:8787'.
+ * @param {string} room - The wall's room name.
+ * @returns {{send: Function}}
+ */
+function openRelayTransport(url, room) {
+  const transport = {
+    socket: null,
+    send: message => {
+      if (transport.socket) transport.socket.send(JSON.stringify(message));
+    },
+  };
+  let wasConnected = true; // So the first failure is reported.
+  const connect = () => {
+    const socket = new WebSocket(`${url}${url.includes('?') ? '&' : '?'}room=${encodeURIComponent(room)}`);
+    socket.onopen = () => {
+      transport.socket = socket;
+      wasConnected = true;
+      greetWall();
+    };
+    socket.onmessage = event => receiveWallMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+      transport.socket = null;
+      if (wasConnected) {
+        showStatusMessage(`No connection to the wall relay at ${url}: trying again`, true);
+      }
+      wasConnected = false;
+      setTimeout(connect, wallSettings.reconnectDelay);
+    };
+  };
+  connect();
+  return transport;
+}
+
+/**
+ * Greet Wall Function: Called once connected, and after a change arrived too late: screen 1
+ * sends its state (at the start of the next frame) to the other screens, and any other screen asks for it.
+ */
+function greetWall() {
+  if (wall.isLead) {
+    isWallStateDirty = true;
+  } else {
+    sendWallMessage({ type: 'hello' });
+  }
+}
+
+/**
+ * Send Wall Message Function: Sends a message to the other screens, signed with this screen's number.
+ * @param {Object} message - The message: { type, ... }.
+ */
+function sendWallMessage(message) {
+  wallTransport.send(Object.assign({ from: wall.screen }, message));
+}
+
+/**
+ * Receive Wall Message Function: Handles a message from another screen.
+ *   hello  - A screen has opened, or fallen out of step: screen 1 sends it the state.
+ *   state  - Load the wall's state (see `captureWallState()`).
+ *   change - A change to apply on its frame (see `wallChangeKinds`).
+ *   tick   - Screen 1's frame count, to keep in step with.
+ * @param {Object} message - The message.
+ */
+function receiveWallMessage(message) {
+  if (!wall || !message || message.from === wall.screen) return;
+  if (message.type === 'hello' && wall.isLead) {
+    isWallStateDirty = true;
+  } else if (message.type === 'state') {
+    try {
+      enterWallState(message.state);
+    } catch (err) {
+      showStatusMessage(`Could not show screen ${message.from}'s composition: ${err.message}`, true);
+      return;
+    }
+    if (!isWallSynced) {
+      showStatusMessage(`Screen ${wall.screen}: joined the wall`);
+    }
+  } else if (message.type === 'change') {
+    queueWallChange(message);
+  } else if (message.type === 'tick' && !wall.isLead) {
+    wallDrift = message.clock - wallClock;
+    if (abs(wallDrift) > wallSettings.resyncFrames) {
+      wallDrift = 0; // Too far to catch up (e.g. the window was hidden): start again from screen 1's state.
+      sendWallMessage({ type: 'hello' });
+    }
+  }
+}
+
+/**
+ * Share Wall Change Function: On a wall, sends a change to every screen (this one included)
+ * to be applied a few frames from now, and returns true: the caller should leave it for then.
+ * The frame is counted from screen 1's clock as far as this screen knows it (or from this
+ * one's, if it is ahead), so a screen running behind doesn't send changes the others have passed.
+ * Elsewhere, or while a change is being applied, it returns false and the caller goes ahead.
+ * @param {string} kind - The kind of change, from `wallChangeKinds`.
+ * @param {*} [value] - What changed, for the kind's `encode()` (or sent as it is).
+ * @returns {boolean}
+ */
+function shareWallChange(kind, value) {
+  if (!wall || isApplyingWallChange) return false;
+  const { encode } = wallChangeKinds.find(k => k.kind === kind);
+  const message = { from: wall.screen, seq: wallChangeCount++, frame: max(wallClock, wallClock + wallDrift) + wallSettings.changeDelay, kind, data: encode ? encode(value) : value };
+  queueWallChange(message);
+  sendWallMessage(Object.assign({ type: 'change' }, message));
+  return true;
+}
+
+/**
+ * Queue Wall Change Function: Adds a change to the pending ones, which are kept in the order
+ * every screen applies them: by frame, then by the screen they came from.
+ * @param {Object} change - The change: { from, seq, frame, kind, data }.
+ */
+function queueWallChange(change) {
+  pendingWallChanges.push(change);
+  pendingWallChanges.sort((a, b) => a.frame - b.frame || a.from - b.from || a.seq - b.seq);
+}
+
+/**
+ * Mark Wall State Changed Function: Notes that the artwork changed in a way that isn't a
+ * change (see `wallChangeKinds`), so the whole state is sent at the start of the next frame.
+ * Does nothing off a wall, while a state is being loaded, or before this screen has joined.
+ */
+function markWallStateChanged() {
+  if (wall && !isApplyingWallChange && isWallSynced) {
+    isWallStateDirty = true;
+  }
+}
+
+/**
+ * Capture Wall State Function: Everything a screen needs to show the wall exactly as this one does.
+ * @returns {Object}
+ */
+function captureWallState() {
+  return {
+    scene: serializeScene(true),
+    config: artworkConfigValues(),
+    windTime,
+    windAngle: windSettings.angle,
+    gusts: gusts.map(gust => Object.assign({}, gust)),
+    ropePulses: captureRopePulses(),
+    isReducedMotion,
+    randomSeed: generateSeed(),
+    clock: wallClock,
+  };
+}
+
+/**
+ * Enter Wall State Function: Loads a state sent by a screen (or by this one, which loads its
+ * own too, so that it starts from exactly what the others receive). The state holds whatever
+ * is still in motion (chain reactions spreading, gusts, jolts along the chains), so loading
+ * it carries on from where the sender was rather than starting afresh.
+ * @param {Object} state - From `captureWallState()`.
+ */
+function enterWallState(state) {
+  isApplyingWallChange = true;
+  try {
+    restoreScene(state.scene); // Throws, changing nothing, if the scene isn't valid.
+    applyConfig(state.config, false); // The scene already holds the composition these settings made.
+  } finally {
+    isApplyingWallChange = false;
+  }
+  isReducedMotion = state.isReducedMotion;
+  restoreRopePulses(state.ropePulses);
+  windTime = state.windTime;
+  windSettings.angle = state.windAngle;
+  gusts = state.gusts.map(gust => Object.assign({}, gust));
+  noiseSeed(artworkSeed);
+  wallRandomSeed = state.randomSeed;
+  wallClock = state.clock;
+  wallDrift = 0;
+  pendingWallChanges = pendingWallChanges.filter(change => change.frame > state.clock); // Older ones are part of the state.
+  wallSettingsKey = currentWallSettingsKey();
+  isWallSynced = true;
+}
+
+/**
+ * Current Wall Settings Key Function: The settings that aren't part of a scene, as a string,
+ * to notice when they change.
+ * @returns {string}
+ */
+function currentWallSettingsKey() {
+  return Object.values(artworkConfigValues()).concat(windSettings.angle, isReducedMotion).join('|');
+}
+
+/**
+ * Update Wall Function: Keeps this screen in step with the rest of the wall. Called at the
+ * start of every frame: sends the state if it changed, counts the frame, seeds `random()` for
+ * it and applies the changes due.
+ */
+function updateWall() {
+  if (!wall) return;
+  if (isWallSynced && !settingsPanel.dragParameter && currentWallSettingsKey() !== wallSettingsKey) {
+    isWallStateDirty = true; // Settings changed here, from the panel, a key or a score.
+  }
+  if (isWallStateDirty) {
+    isWallStateDirty = false;
+    const state = captureWallState();
+    enterWallState(state);
+    sendWallMessage({ type: 'state', state });
+  }
+
+  wallClock++;
+  randomSeed(wallFrameSeed());
+  while (pendingWallChanges.length > 0 && pendingWallChanges[0].frame <= wallClock) {
+    const change = pendingWallChanges.shift();
+    if (change.frame < wallClock) {
+      greetWall(); // It arrived after its frame, so the others applied it earlier: everyone reloads screen 1's state.
+    }
+    const changeKind = wallChangeKinds.find(k => k.kind === change.kind);
+    if (!changeKind) continue; // Not a change this version knows (e.g. from a newer screen, or garbled on the way).
+    isApplyingWallChange = true;
+    try {
+      changeKind.apply(change.data);
+    } catch (err) {
+      showStatusMessage(`Could not apply screen ${change.from}'s ${change.kind}: ${err.message}`, true);
+    } finally {
+      isApplyingWallChange = false;
+    }
+  }
+  if (wall.isLead && wallClock % wallSettings.tickInterval === 0) {
+    sendWallMessage({ type: 'tick', clock: wallClock });
+  }
+}
+
+/**
+ * Wall Frame Seed Function: The seed for `random()` this frame. The shared seed and the frame
+ * count are mixed, so neighbouring frames get unrelated seeds (p5's generator would otherwise
+ * give them almost the same numbers).
+ * @returns {number}
+ */
+function wallFrameSeed() {
+  let h = Math.imul(wallRandomSeed ^ wallClock, 0x9e3779b1);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  return (h ^ (h >>> 13)) >>> 0;
+}
+
+/**
+ * Wall Steps This Frame Function: How many frames to simulate in this `draw()`: one, more to
+ * catch up with screen 1, or none to let it catch up.
+ * @returns {number}
+ */
+function wallStepsThisFrame() {
+  if (!wall || wall.isLead) return 1;
+  const steps = constrain(1 + wallDrift, 0, wallSettings.maxCatchUp);
+  wallDrift -= steps - 1;
+  return steps;
+}
+
+/**
+ * Wall View Function: The camera showing this screen's part of the wall.
+ * @returns {{x: number, y: number, zoom: number}}
+ */
+function wallView() {
+  return { x: -wall.column * width, y: -wall.row * height, zoom: 1 };
+}
+
+/**
+ * Wheel Ids Function: A list of wheels as their ids, to send to other screens.
+ * @param {Wheel[]} list
+ * @returns {number[]}
+ */
+function wheelIds(list) {
+  return list.map(w => w.id);
+}
+
+/**
+ * Draw Wall Indicator Function: Until a screen has joined the wall, says which screen it is
+ * and that it is waiting for screen 1.
+ */
+function drawWallIndicator() {
+  if (!wall || isWallSynced) return;
+  push();
+  noStroke();
+  fill(255, 200);
+  textSize(12);
+  textAlign(LEFT, BOTTOM);
+  text(`SCREEN ${wall.screen} of ${wall.columns}x${wall.rows}: waiting for screen 1`, 16, height - 52);
+  pop();
+}
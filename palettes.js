@@ -0,0 +1,768 @@
+/**
+ * --- Palettes ---
+ * Palette sets the wheels can be colored from. The built-in set is `colorPalettes` in
+ * sketch.js; more can be loaded from JSON files or extracted from a reference image (e.g. a
+ * photo of one of Pacita Abad's paintings), and any of them can be edited by hand:
+ *   - 'K' opens the palette editor: click a swatch to pick one of a palette's five slots
+ *     (base, outer dots, inner dots, spokes, center) and drag the hue, saturation and
+ *     brightness bars to change it. The arrows in its title switch between sets.
+ *   - 'Shift+K' switches to the next palette set without opening the editor.
+ *   - Drop a palette file or an image on the page (or use the editor's Load button).
+ * Whenever a palette changes, or another set becomes active, the wheels and connectors using
+ * it blend to their new colors over a moment instead of switching at once.
+ */
+
+/**
+ * Palette Settings: Timing of the recoloring and limits for loading and extracting palettes.
+ */
+const paletteSettings = {
+  recolorFrames: 45, // How many frames a wheel takes to blend to a new palette.
+  maxPalettesPerSet: 24, // Most palettes a set may have (so the editor always fits on screen).
+  imageSampleSize: 96, // Images are shrunk to at most this many pixels across before clustering.
+  clusterCount: 10, // How many colors k-means reduces an image to.
+  clusterIterations: 12, // Most k-means rounds (it usually settles sooner).
+  mergeDistance: 40, // Clusters closer than this (see `colorDistance()`) are merged, so images with few colors don't repeat them.
+  extractedPalettes: 6, // How many palettes are built from an image's colors.
+};
+
+/**
+ * Palette Format: Identifies palette JSON files. A file holds one or more named sets:
+ * { "format": "wheels-of-fortune-palettes", "version": 1,
+ *   "sets": [{ "name": "Dusk", "palettes": [["#45206A", "#FFD700", "#FF8C00", "#B0E0E6", "#8A2BE2"], ...] }] }
+ * Each palette lists its colors in slot order: base, outer dots, inner dots, spokes, center.
+ */
+const paletteFormatName = 'wheels-of-fortune-palettes';
+const paletteSchemaVersion = 1;
+
+const paletteSlotNames = ['Base', 'Outer dots', 'Inner dots', 'Spokes', 'Center'];
+
+let paletteSets = []; // Every set that can be made active: { name, palettes }.
+let activePaletteSet = 0; // Index into `paletteSets`; its palettes are `colorPalettes`.
+
+/**
+ * Setup Palettes Function: Registers the built-in palettes as the first set. Called from
+ * `setup()`, as `colorPalettes` is only defined once sketch.js has loaded.
+ */
+function setupPalettes() {
+  paletteSets = [{ name: 'Wheels of Fortune', palettes: colorPalettes }];
+  activePaletteSet = 0;
+}
+
+/**
+ * Blend Hex Function: Mixes two hex colors.
+ * @param {string} from - The color at amount 0.
+ * @param {string} to - The color at amount 1.
+ * @param {number} amount - How far to blend, from 0 to 1.
+ * @returns {string} - The mixed color as a hex string.
+ */
+function blendHex(from, to, amount) {
+  return lerpColor(color(from), color(to), amount).toString('#rrggbb');
+}
+
+/**
+ * Update Color Transitions Function: Moves every wheel and connector that is changing
+ * palette on by one frame. Called once per frame from `draw()`.
+ */
+function updateColorTransitions() {
+  for (const w of wheels) {
+    w.updateColors();
+  }
+  for (const c of connectors) {
+    c.updateColor();
+  }
+}
+
+/**
+ * Palette Index Of Function: Finds which palette of a set a wheel uses. The palette itself is
+ * looked for first (so a copy added in the editor isn't mistaken for its original), then one
+ * with the same colors, for wheels loaded from a scene, whose palettes are copies.
+ * @param {string[][]} palettes - The set to search.
+ * @param {string[]} colors - The wheel's palette.
+ * @returns {number} - The index in `palettes`, or -1 if none matches.
+ */
+function paletteIndexOf(palettes, colors) {
+  const index = palettes.indexOf(colors);
+  if (index >= 0) return index;
+  const key = colors.join().toLowerCase();
+  return palettes.findIndex(palette => palette.join().toLowerCase() === key);
+}
+
+/**
+ * Base Color Index Of Function: Finds the first palette of a set with a given base color,
+ * which is how connectors (which only have the one color) are matched to palettes.
+ * @param {string[][]} palettes - The set to search.
+ * @param {string} hexColor - The connector's color.
+ * @returns {number} - The index in `palettes`, or -1 if none matches.
+ */
+function baseColorIndexOf(palettes, hexColor) {
+  return palettes.findIndex(palette => palette[0].toLowerCase() === hexColor.toLowerCase());
+}
+
+/**
+ * Use Palette Set Function: Makes a set active. Each wheel takes the palette at the same
+ * position in the new set as its old one had in the previous set (wheels with a palette from
+ * neither get one picked by their id), and each connector follows the base color it matched.
+ * @param {number} index - Index into `paletteSets`.
+ */
+function usePaletteSet(index) {
+  const previous = colorPalettes;
+  activePaletteSet = (index + paletteSets.length) % paletteSets.length;
+  colorPalettes = paletteSets[activePaletteSet].palettes;
+
+  for (const w of wheels) {
+    const position = paletteIndexOf(previous, w.colors);
+    w.setPalette(colorPalettes[(position >= 0 ? position : w.id) % colorPalettes.length]);
+  }
+  for (const c of connectors) {
+    const position = baseColorIndexOf(previous, c.color);
+    c.setColor(colorPalettes[max(position, 0) % colorPalettes.length][0]);
+  }
+  paletteEditor.select(0, paletteEditor.selectedSlot);
+  markWallStateChanged(); // Recolor every screen of a wall (see multiScreen.js).
+  showStatusMessage(`Palette set: ${paletteSets[activePaletteSet].name} (${activePaletteSet + 1} of ${paletteSets.length})`);
+}
+
+/**
+ * Cycle Palette Set Function: Makes the next (or previous) set active.
+ * @param {number} [step=1] - 1 for the next set, -1 for the previous one.
+ */
+function cyclePaletteSet(step = 1) {
+  usePaletteSet(activePaletteSet + step);
+}
+
+/**
+ * Set Palette Color Function: Changes one slot of a palette in the active set. Palettes are
+ * never changed in place: the edited copy replaces the old one in the set, and every wheel
+ * (and, for the base color, every connector) that used the old one blends to the new one.
+ * @param {number} index - Index of the palette in `colorPalettes`.
+ * @param {number} slot - Which color to change (0-4, see `paletteSlotNames`).
+ * @param {string} hex - The new color.
+ */
+function setPaletteColor(index, slot, hex) {
+  const old = colorPalettes[index];
+  if (old[slot].toLowerCase() === hex.toLowerCase()) return;
+  const users = wheels.filter(w => paletteIndexOf(colorPalettes, w.colors) === index);
+  const linked = slot === 0 ? connectors.filter(c => baseColorIndexOf(colorPalettes, c.color) === index) : [];
+  const updated = old.slice();
+  updated[slot] = hex;
+  colorPalettes[index] = updated;
+
+  for (const w of users) {
+    w.setPalette(updated);
+  }
+  for (const c of linked) {
+    c.setColor(hex);
+  }
+}
+
+/**
+ * Add Palette Function: Appends a copy of a palette to the active set, as a starting point
+ * for a new one.
+ * @param {number} index - Index of the palette to copy.
+ * @returns {number} - Index of the new palette, or -1 if the set is full.
+ */
+function addPalette(index) {
+  if (colorPalettes.length >= paletteSettings.maxPalettesPerSet) {
+    showStatusMessage(`A palette set can have at most ${paletteSettings.maxPalettesPerSet} palettes.`, true);
+    return -1;
+  }
+  colorPalettes.push(colorPalettes[index].slice());
+  return colorPalettes.length - 1;
+}
+
+/**
+ * Remove Palette Function: Takes a palette out of the active set. Wheels using it move on to
+ * the palette that takes its place.
+ * @param {number} index - Index of the palette to remove.
+ * @returns {boolean} - False if it is the set's last palette, which can't be removed.
+ */
+function removePalette(index) {
+  if (colorPalettes.length <= 1) {
+    showStatusMessage('A palette set needs at least one palette.', true);
+    return false;
+  }
+  const users = wheels.filter(w => paletteIndexOf(colorPalettes, w.colors) === index);
+  const linked = connectors.filter(c => baseColorIndexOf(colorPalettes, c.color) === index);
+  colorPalettes.splice(index, 1);
+  const replacement = colorPalettes[index % colorPalettes.length];
+  for (const w of users) {
+    w.setPalette(replacement);
+  }
+  for (const c of linked) {
+    c.setColor(replacement[0]);
+  }
+  markWallStateChanged();
+  return true;
+}
+
+/**
+ * Add Palette Set Function: Adds a set (loaded or extracted) and makes it active.
+ * @param {string} name - Shown in the editor and status line.
+ * @param {string[][]} palettes - The set's palettes.
+ */
+function addPaletteSet(name, palettes) {
+  paletteSets.push({ name, palettes });
+  usePaletteSet(paletteSets.length - 1);
+}
+
+/**
+ * Validate Palette Document Function: Checks that a parsed document is a palette file we can
+ * load. Throws an Error describing the first problem found, including where in the file it is.
+ * @param {Object} doc - The parsed JSON document.
+ */
+function validatePaletteDocument(doc) {
+  const fail = message => { throw new Error(message); };
+  const isColor = v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) fail('File is not a palette object.');
+  if (doc.format !== paletteFormatName) fail('File is not a Wheels of Fortune palette file.');
+  if (!Number.isInteger(doc.version)) fail('Palette file is missing its schema version.');
+  if (doc.version > paletteSchemaVersion) fail(`Palette file version ${doc.version} is newer than this sketch supports (${paletteSchemaVersion}).`);
+  if (doc.version < 1) fail(`Unknown palette file version ${doc.version}.`);
+  if (!Array.isArray(doc.sets) || doc.sets.length === 0) fail('sets: expected a non-empty array.');
+
+  doc.sets.forEach((set, i) => {
+    const where = `sets[${i}]`;
+    if (!set || typeof set !== 'object') fail(`${where}: expected an object.`);
+    if (typeof set.name !== 'string' || set.name.trim() === '') fail(`${where}.name: expected a name.`);
+    if (!Array.isArray(set.palettes) || set.palettes.length === 0) fail(`${where}.palettes: expected a non-empty array.`);
+    if (set.palettes.length > paletteSettings.maxPalettesPerSet) {
+      fail(`${where}.palettes: at most ${paletteSettings.maxPalettesPerSet} palettes per set.`);
+    }
+    set.palettes.forEach((palette, j) => {
+      if (!Array.isArray(palette) || palette.length !== 5 || !palette.every(isColor)) {
+        fail(`${where}.palettes[${j}]: expected 5 hex colors like "#45206A".`);
+      }
+    });
+  });
+}
+
+/**
+ * Is Palette Document Function: Tells palette files apart from scenes, which share the
+ * file picker and drop target.
+ * @param {Object} doc - A parsed JSON document.
+ * @returns {boolean}
+ */
+function isPaletteDocument(doc) {
+  return Boolean(doc) && doc.format === paletteFormatName;
+}
+
+/**
+ * Load Palette Document Function: Validates a palette file and adds its sets. The first of
+ * them becomes active.
+ * @param {Object} doc - The parsed JSON document.
+ * @returns {number} - How many sets were added.
+ */
+function loadPaletteDocument(doc) {
+  validatePaletteDocument(doc);
+  const first = paletteSets.length;
+  for (const set of doc.sets) {
+    paletteSets.push({ name: set.name.trim(), palettes: set.palettes.map(palette => palette.slice()) });
+  }
+  usePaletteSet(first);
+  return doc.sets.length;
+}
+
+/**
+ * Export Palette Set Function: Downloads the active set as a palette file.
+ */
+function exportPaletteSet() {
+  const set = paletteSets[activePaletteSet];
+  const doc = { format: paletteFormatName, version: paletteSchemaVersion, sets: [{ name: set.name, palettes: set.palettes }] };
+  const slug = set.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palettes';
+  saveJSON(doc, `palettes-${slug}.json`);
+  showStatusMessage(`Palette set "${set.name}" saved.`);
+}
+
+/**
+ * Import Palette File Function: Loads a palette file, or extracts palettes from an image.
+ * Problems are shown on the canvas, as for scenes.
+ * @param {File} file - The browser File object to import.
+ */
+function importPaletteFile(file) {
+  if (file.type.startsWith('image/')) {
+    extractPalettesFromImage(file);
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const count = loadPaletteDocument(JSON.parse(reader.result));
+      showStatusMessage(`Loaded ${count} palette set${count === 1 ? '' : 's'} from ${file.name}.`);
+    } catch (err) {
+      showStatusMessage(`Could not load ${file.name}: ${err.message}`, true);
+    }
+  };
+  reader.onerror = () => showStatusMessage(`Could not read ${file.name}.`, true);
+  reader.readAsText(file);
+}
+
+/**
+ * Open Palette Picker Function: Shows the browser's file picker for a palette file or image.
+ */
+function openPalettePicker() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json,image/*';
+  input.onchange = () => {
+    if (input.files.length > 0) {
+      importPaletteFile(input.files[0]);
+    }
+  };
+  input.click();
+}
+
+/**
+ * --- Palette Extraction ---
+ * Builds palettes from the colors of an image. The image is shrunk, its pixels are grouped
+ * into `clusterCount` colors with k-means, and the most common colors become the bases of
+ * the palettes, each paired with the colors that stand out most against it. Everything
+ * happens locally; the image never leaves the browser.
+ */
+
+/**
+ * Extract Palettes From Image Function: Loads an image file and adds a palette set built
+ * from its colors, named after the file.
+ * @param {File} file - An image file.
+ */
+function extractPalettesFromImage(file) {
+  const url = URL.createObjectURL(file);
+  loadImage(url, img => {
+    URL.revokeObjectURL(url);
+    const palettes = palettesFromColors(clusterColors(sampleImageColors(img)));
+    if (palettes.length === 0) {
+      showStatusMessage(`Could not find any colors in ${file.name}.`, true);
+      return;
+    }
+    addPaletteSet(file.name.replace(/\.[^.]+$/, ''), palettes);
+    showStatusMessage(`Extracted ${palettes.length} palettes from ${file.name}.`);
+  }, () => {
+    URL.revokeObjectURL(url);
+    showStatusMessage(`Could not read ${file.name} as an image.`, true);
+  });
+}
+
+/**
+ * Sample Image Colors Function: Shrinks an image and lists the colors of its pixels,
+ * skipping (mostly) transparent ones.
+ * @param {p5.Image} img - The image (it is resized in place).
+ * @returns {number[][]} - One [r, g, b] per pixel.
+ */
+function sampleImageColors(img) {
+  const scale = min(1, paletteSettings.imageSampleSize / max(img.width, img.height));
+  img.resize(max(1, round(img.width * scale)), max(1, round(img.height * scale)));
+  img.loadPixels();
+  const colors = [];
+  for (let i = 0; i < img.pixels.length; i += 4) {
+    if (img.pixels[i + 3] < 128) continue;
+    colors.push([img.pixels[i], img.pixels[i + 1], img.pixels[i + 2]]);
+  }
+  return colors;
+}
+
+/**
+ * Cluster Colors Function: Groups colors with k-means. The starting centers are spread
+ * evenly through the colors sorted by brightness, so the same image always gives the same
+ * palettes.
+ * @param {number[][]} colors - The [r, g, b] colors to group.
+ * @returns {{rgb: number[], count: number}[]} - The distinct clusters that ended up with any colors, most common first.
+ */
+function clusterColors(colors) {
+  if (colors.length === 0) return [];
+  const brightness = ([r, g, b]) => r * 0.299 + g * 0.587 + b * 0.114;
+  const sorted = colors.slice().sort((a, b) => brightness(a) - brightness(b));
+  const k = min(paletteSettings.clusterCount, colors.length);
+  const centers = [];
+  for (let i = 0; i < k; i++) {
+    centers.push(sorted[floor((i + 0.5) * sorted.length / k)].slice());
+  }
+
+  const assignment = new Int32Array(colors.length).fill(-1);
+  for (let iteration = 0; iteration < paletteSettings.clusterIterations; iteration++) {
+    let changed = false;
+    colors.forEach((c, i) => {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      centers.forEach((center, j) => {
+        const d = sq(c[0] - center[0]) + sq(c[1] - center[1]) + sq(c[2] - center[2]);
+        if (d < nearestDistance) {
+          nearest = j;
+          nearestDistance = d;
+        }
+      });
+      if (assignment[i] !== nearest) {
+        assignment[i] = nearest;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    // Move each center to the mean of its colors (an empty cluster keeps its center).
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    colors.forEach((c, i) => {
+      const sum = sums[assignment[i]];
+      sum[0] += c[0];
+      sum[1] += c[1];
+      sum[2] += c[2];
+      sum[3]++;
+    });
+    sums.forEach((sum, j) => {
+      if (sum[3] > 0) centers[j] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+    });
+  }
+
+  const counts = centers.map(() => 0);
+  for (const j of assignment) counts[j]++;
+  const clusters = centers
+    .map((center, j) => ({ rgb: center.map(v => round(v)), count: counts[j] }))
+    .filter(cluster => cluster.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  // Fold near-identical clusters into the more common one.
+  const merged = [];
+  for (const cluster of clusters) {
+    const similar = merged.find(other => colorDistance(other.rgb, cluster.rgb) < paletteSettings.mergeDistance);
+    if (similar) {
+      similar.count += cluster.count;
+    } else {
+      merged.push(cluster);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Palettes From Colors Function: Turns clustered colors into five-color palettes. Each of the
+ * most common colors becomes a base; the colors furthest from it fill the other slots, the
+ * most striking going to the outer dots and spokes, which carry the bloom.
+ * @param {{rgb: number[], count: number}[]} clusters - From `clusterColors()`.
+ * @returns {string[][]} - The palettes, in slot order.
+ */
+function palettesFromColors(clusters) {
+  const toHex = rgb => '#' + rgb.map(v => hex(v, 2)).join('');
+  const palettes = [];
+  const count = min(paletteSettings.extractedPalettes, clusters.length);
+  for (let i = 0; i < count; i++) {
+    const base = clusters[i].rgb;
+    const others = clusters
+      .filter((_, j) => j !== i)
+      .map(cluster => cluster.rgb)
+      .sort((a, b) => colorDistance(b, base) - colorDistance(a, base));
+    const pick = n => toHex(others.length > 0 ? others[n % others.length] : base);
+    palettes.push([toHex(base), pick(0), pick(2), pick(1), pick(3)]); // Base, outer dots, inner dots, spokes, center.
+  }
+  return palettes;
+}
+
+/**
+ * Color Distance Function: How different two colors look, using weights that roughly follow
+ * how sensitive the eye is to red, green and blue.
+ * @param {number[]} a - An [r, g, b] color.
+ * @param {number[]} b - An [r, g, b] color.
+ * @returns {number}
+ */
+function colorDistance(a, b) {
+  return sqrt(2 * sq(a[0] - b[0]) + 4 * sq(a[1] - b[1]) + 3 * sq(a[2] - b[2]));
+}
+
+/**
+ * Hex To HSB Function: Converts a hex color to hue (0-360), saturation and brightness (0-100).
+ * @param {string} hexColor
+ * @returns {number[]} - [hue, saturation, brightness].
+ */
+function hexToHSB(hexColor) {
+  const [r, g, b] = color(hexColor).levels.map(v => v / 255);
+  const brightest = max(r, g, b);
+  const chroma = brightest - min(r, g, b);
+  let hue = 0;
+  if (chroma > 0) {
+    if (brightest === r) {
+      hue = ((g - b) / chroma + 6) % 6 * 60;
+    } else if (brightest === g) {
+      hue = ((b - r) / chroma + 2) * 60;
+    } else {
+      hue = ((r - g) / chroma + 4) * 60;
+    }
+  }
+  return [hue, brightest > 0 ? chroma / brightest * 100 : 0, brightest * 100];
+}
+
+/**
+ * HSB To Hex Function: Converts hue (0-360), saturation and brightness (0-100) to a hex color.
+ * @param {number} h
+ * @param {number} s
+ * @param {number} b
+ * @returns {string}
+ */
+function hsbToHex(h, s, b) {
+  const value = b / 100;
+  const chroma = value * s / 100;
+  const sector = (h % 360) / 60;
+  const second = chroma * (1 - abs(sector % 2 - 1));
+  const rgb = [[chroma, second, 0], [second, chroma, 0], [0, chroma, second], [0, second, chroma], [second, 0, chroma], [chroma, 0, second]][floor(sector)];
+  return '#' + rgb.map(v => hex(round((v + value - chroma) * 255), 2)).join('');
+}
+
+/**
+ * --- Palette Editor Class ---
+ * An in-canvas panel listing the palettes of the active set as rows of swatches. Clicking a
+ * swatch selects it; dragging along the hue, saturation and brightness bars below changes
+ * it, and the wheels follow as you drag. Buttons add, remove, load and save palettes.
+ */
+class PaletteEditor {
+  /**
+   * Constructor: Creates a closed editor with the first palette's base selected.
+   */
+  constructor() {
+    this.isOpen = false;
+    this.selectedPalette = 0;
+    this.selectedSlot = 0;
+    this.hsb = [0, 0, 0]; // The selected color, kept in HSB so hue survives dragging saturation to 0.
+    this.dragChannel = -1; // Which bar is being dragged (0 hue, 1 saturation, 2 brightness), or -1.
+    this.swatchSize = 26;
+    this.gap = 4;
+    this.padding = 12;
+  }
+
+  /**
+   * Toggle Method: Opens or closes the editor.
+   */
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.dragChannel = -1;
+    if (this.isOpen) {
+      this.select(min(this.selectedPalette, colorPalettes.length - 1), this.selectedSlot);
+    }
+  }
+
+  /**
+   * Select Method: Picks the swatch the bars edit.
+   * @param {number} palette - Index of the palette in `colorPalettes`.
+   * @param {number} slot - Which of its colors (0-4).
+   */
+  select(palette, slot) {
+    this.selectedPalette = constrain(palette, 0, colorPalettes.length - 1);
+    this.selectedSlot = slot;
+    this.hsb = hexToHSB(colorPalettes[this.selectedPalette][slot]);
+  }
+
+  /**
+   * Layout Method: Works out where everything in the panel goes.
+   * @returns {Object} - Rectangles ({x, y, w, h}) for the panel, the set arrows, the swatches,
+   *   the bars and the buttons.
+   */
+  layout() {
+    const { swatchSize, gap, padding } = this;
+    const innerWidth = swatchSize * 5 + gap * 4;
+    const x = 16;
+    let y = 56 + padding; // Below the history timeline.
+    const panel = { x, y: 56, w: innerWidth + padding * 2 };
+
+    const arrows = {
+      previous: { x: x + padding, y, w: 20, h: 20 },
+      next: { x: x + padding + innerWidth - 20, y, w: 20, h: 20 },
+    };
+    y += 20 + 18; // Title, then the slot labels.
+
+    const swatches = [];
+    colorPalettes.forEach((palette, p) => {
+      for (let slot = 0; slot < 5; slot++) {
+        swatches.push({ x: x + padding + slot * (swatchSize + gap), y, w: swatchSize, h: swatchSize, palette: p, slot });
+      }
+      y += swatchSize + gap;
+    });
+    y += 24; // The selected color's name and hex value.
+
+    const bars = [0, 1, 2].map(channel => {
+      const bar = { x: x + padding, y, w: innerWidth, h: 14, channel };
+      y += 14 + gap * 2;
+      return bar;
+    });
+
+    const buttonWidth = (innerWidth - gap) / 2;
+    const labels = [['Add', () => this.addPalette()], ['Remove', () => this.removePalette()],
+      ['Load…', openPalettePicker], ['Save', exportPaletteSet]];
+    const buttons = labels.map(([label, action], i) => ({
+      x: x + padding + (i % 2) * (buttonWidth + gap), y: y + floor(i / 2) * (22 + gap), w: buttonWidth, h: 22, label, action,
+    }));
+    y += (22 + gap) * 2;
+
+    panel.h = y - panel.y + padding - gap;
+    return { panel, arrows, swatches, bars, buttons };
+  }
+
+  /**
+   * Contains Method: Checks whether a point is over the open panel.
+   * @param {number} px - The x-coordinate of the point.
+   * @param {number} py - The y-coordinate of the point.
+   * @returns {boolean}
+   */
+  contains(px, py) {
+    if (!this.isOpen) return false;
+    return isInRect(px, py, this.layout().panel);
+  }
+
+  /**
+   * Handle Press Method: Uses a press anywhere on the panel: on an arrow, swatch, bar or button.
+   * @param {number} px - The x-coordinate of the press.
+   * @param {number} py - The y-coordinate of the press.
+   * @returns {boolean} - True if the press was on the panel (so it shouldn't bloom a wheel).
+   */
+  handlePress(px, py) {
+    if (!this.contains(px, py)) return false;
+    const { arrows, swatches, bars, buttons } = this.layout();
+    if (isInRect(px, py, arrows.previous)) {
+      cyclePaletteSet(-1);
+    } else if (isInRect(px, py, arrows.next)) {
+      cyclePaletteSet(1);
+    }
+    const swatch = swatches.find(s => isInRect(px, py, s));
+    if (swatch) {
+      this.select(swatch.palette, swatch.slot);
+    }
+    const bar = bars.find(b => isInRect(px, py, b));
+    if (bar) {
+      this.dragChannel = bar.channel;
+      this.handleDrag(px);
+    }
+    const button = buttons.find(b => isInRect(px, py, b));
+    if (button) {
+      button.action();
+    }
+    return true;
+  }
+
+  /**
+   * Handle Drag Method: Changes the selected color while one of the bars is dragged.
+   * @param {number} px - The x-coordinate of the mouse.
+   */
+  handleDrag(px) {
+    if (this.dragChannel < 0) return;
+    const bar = this.layout().bars[this.dragChannel];
+    this.hsb[this.dragChannel] = map(px, bar.x, bar.x + bar.w, 0, this.dragChannel === 0 ? 359 : 100, true);
+    setPaletteColor(this.selectedPalette, this.selectedSlot, hsbToHex(...this.hsb));
+  }
+
+  /**
+   * Handle Release Method: Stops dragging a bar. The finished color is then shown on every
+   * screen of a wall (see multiScreen.js), rather than each step of the drag.
+   */
+  handleRelease() {
+    if (this.dragChannel >= 0) {
+      markWallStateChanged();
+    }
+    this.dragChannel = -1;
+  }
+
+  /**
+   * Add Palette Method: Adds a copy of the selected palette and selects it.
+   */
+  addPalette() {
+    const index = addPalette(this.selectedPalette);
+    if (index >= 0) {
+      this.select(index, this.selectedSlot);
+    }
+  }
+
+  /**
+   * Remove Palette Method: Removes the selected palette.
+   */
+  removePalette() {
+    if (removePalette(this.selectedPalette)) {
+      this.select(min(this.selectedPalette, colorPalettes.length - 1), this.selectedSlot);
+    }
+  }
+
+  /**
+   * Display Method: Draws the panel (when open).
+   */
+  display() {
+    if (!this.isOpen) return;
+    const { panel, arrows, swatches, bars, buttons } = this.layout();
+    const set = paletteSets[activePaletteSet];
+
+    push();
+    noStroke();
+    fill(0, 170); // Translucent backing, as for the timeline.
+    rect(panel.x, panel.y, panel.w, panel.h, 8);
+
+    // Title: the set's name between the arrows that switch sets.
+    fill(255);
+    textSize(13);
+    textAlign(CENTER, CENTER);
+    text('‹', arrows.previous.x + arrows.previous.w / 2, arrows.previous.y + arrows.previous.h / 2);
+    text('›', arrows.next.x + arrows.next.w / 2, arrows.next.y + arrows.next.h / 2);
+    const name = set.name.length > 16 ? `${set.name.slice(0, 15)}…` : set.name; // Keep long names between the arrows.
+    text(`${name} (${activePaletteSet + 1}/${paletteSets.length})`, panel.x + panel.w / 2, arrows.previous.y + arrows.previous.h / 2);
+
+    // Slot labels above the first row.
+    textSize(9);
+    fill(255, 170);
+    paletteSlotNames.forEach((name, slot) => {
+      const s = swatches[slot];
+      text(name.split(' ')[0], s.x + s.w / 2, s.y - 9);
+    });
+
+    for (const s of swatches) {
+      fill(colorPalettes[s.palette][s.slot]);
+      stroke(255, 60);
+      strokeWeight(1);
+      rect(s.x, s.y, s.w, s.h, 4);
+      if (s.palette === this.selectedPalette && s.slot === this.selectedSlot) {
+        noFill();
+        stroke(255);
+        strokeWeight(2);
+        rect(s.x - 2, s.y - 2, s.w + 4, s.h + 4, 5);
+      }
+    }
+
+    // The selected color's slot and value.
+    const selectedColor = colorPalettes[this.selectedPalette][this.selectedSlot];
+    noStroke();
+    fill(255);
+    textSize(11);
+    textAlign(LEFT, CENTER);
+    text(`${paletteSlotNames[this.selectedSlot]} ${selectedColor.toUpperCase()}`, bars[0].x, bars[0].y - 12);
+
+    // Each bar shows the colors its channel runs through, with a marker at the current value.
+    const segments = 24;
+    for (const bar of bars) {
+      for (let i = 0; i < segments; i++) {
+        const hsb = this.hsb.slice();
+        hsb[bar.channel] = map(i + 0.5, 0, segments, 0, bar.channel === 0 ? 359 : 100);
+        fill(hsbToHex(...hsb));
+        rect(bar.x + i * bar.w / segments, bar.y, bar.w / segments + 0.5, bar.h);
+      }
+      const markerX = map(this.hsb[bar.channel], 0, bar.channel === 0 ? 359 : 100, bar.x, bar.x + bar.w);
+      stroke(0);
+      strokeWeight(3);
+      line(markerX, bar.y - 2, markerX, bar.y + bar.h + 2);
+      stroke(255);
+      strokeWeight(1.5);
+      line(markerX, bar.y - 2, markerX, bar.y + bar.h + 2);
+      noStroke();
+    }
+
+    textAlign(CENTER, CENTER);
+    for (const b of buttons) {
+      fill(255, 40);
+      rect(b.x, b.y, b.w, b.h, 4);
+      fill(255);
+      text(b.label, b.x + b.w / 2, b.y + b.h / 2);
+    }
+    pop();
+  }
+}
+
+/**
+ * Is In Rect Function: Checks whether a point is inside a rectangle.
+ * @param {number} px
+ * @param {number} py
+ * @param {{x: number, y: number, w: number, h: number}} r
+ * @returns {boolean}
+ */
+function isInRect(px, py, r) {
+  return px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h;
+}
+
+let paletteEditor = new PaletteEditor();
@@ -0,0 +1,524 @@
+/**
+ * --- Particle Engine ---
+ * Simulates and draws every dandelion seed. Blooming a big palette group can release tens of
+ * thousands of seeds, so instead of one object per seed the engine keeps each property in
+ * its own typed array (a "struct of arrays") sized for the particle cap:
+ *   - Slots are recycled through a free list (an object pool), so blooming allocates nothing.
+ *   - Live slots are listed in a dense array; removing one swaps the last entry into its place
+ *     instead of splicing.
+ *   - When the cap is reached, the least noticeable seeds are culled to make room: faded ones
+ *     first, then the faintest seeds in the most crowded parts of the canvas, found with a
+ *     uniform-grid spatial index.
+ *   - Seeds are drawn in batches: all seeds of the same shape, color, opacity (and, for spokes,
+ *     thickness) go into one canvas path and are filled or stroked with a single call.
+ *
+ * A seed is in one of five states: free (an unused slot), flying (blown away and fading),
+ * returning (flying back to its wheel), faded (invisible, but kept where it drifted to so a
+ * restore can fly it back) or landed (lying on the ground, when it is on; see ground.js).
+ */
+
+/**
+ * Particle Settings: Limits and tuning for the engine.
+ */
+const particleSettings = {
+  maxParticles: 30000, // Global cap on seeds (flying, returning, faded and landed together).
+  cullFraction: 0.05, // Share of the cap freed at once when it is reached, so culling doesn't run for every seed.
+  offscreenMargin: 100, // Flying seeds this far outside the canvas are treated as faded.
+  cellSize: 32, // Side of a spatial index cell, in pixels.
+  alphaLevels: 32, // Opacity steps used when batching (more steps means more, smaller batches).
+  maxColors: 4096, // Colors registered before those no seed uses are dropped (indices must fit 16 bits).
+};
+
+const particleTypes = ['spoke', 'outerDot', 'innerDot', 'petal', 'fragment']; // Stored as an index into this list.
+const PARTICLE_FREE = 0;
+const PARTICLE_FLYING = 1;
+const PARTICLE_RETURNING = 2;
+const PARTICLE_FADED = 3;
+const PARTICLE_LANDED = 4;
+
+/**
+ * --- Particle Engine Class ---
+ */
+class ParticleEngine {
+  /**
+   * Constructor: Allocates storage for up to `capacity` seeds.
+   * @param {number} capacity - The particle cap.
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    const floats = () => new Float32Array(capacity);
+    this.x = floats();
+    this.y = floats();
+    this.vx = floats();
+    this.vy = floats();
+    this.size = floats();
+    this.baseSize = floats(); // Size on the wheel, restored when the seed returns.
+    this.alpha = floats();
+    this.rotation = floats();
+    this.rotationSpeed = floats();
+    this.drag = floats(); // How quickly the seed takes on the local wind speed.
+    this.targetX = floats(); // Where the seed returns to.
+    this.targetY = floats();
+    this.returnStartDist = floats(); // Distance to the target when the return started, used to time the fade.
+    this.type = new Uint8Array(capacity); // Index into `particleTypes`.
+    this.state = new Uint8Array(capacity);
+    this.colorIndex = new Uint16Array(capacity); // Index into `this.colors`.
+    this.wheelId = new Int32Array(capacity); // Source wheel id, or -1 if unknown.
+    this.slotIndex = new Int32Array(capacity); // Source element within that wheel (see `Wheel.getSeedSlots()`).
+    this.born = new Float64Array(capacity); // Spawn order, so the oldest faded seeds are culled first.
+
+    this.live = new Int32Array(capacity); // Indices of all slots in use, densely packed.
+    this.livePosition = new Int32Array(capacity); // Where each slot sits in `live`.
+    this.freeList = new Int32Array(capacity); // Stack of unused slots.
+    this.colors = []; // Distinct colors seen so far (and not dropped since): { hex, r, g, b }.
+    this.colorLookup = new Map(); // Hex string -> index into `this.colors`.
+    this.batches = new Map(); // Reused between frames by `render()`: batch key -> slot indices.
+    this.wind = { x: 0, y: 0 }; // Reused output of `sampleWindGrid()`.
+    this.clear();
+  }
+
+  /**
+   * Clear Method: Removes every seed.
+   */
+  clear() {
+    this.liveCount = 0;
+    this.freeCount = this.capacity;
+    for (let i = 0; i < this.capacity; i++) {
+      this.freeList[i] = this.capacity - 1 - i; // Hand out low slots first.
+    }
+    this.state.fill(PARTICLE_FREE);
+    this.stateCounts = [this.capacity, 0, 0, 0, 0];
+    this.spawnCount = 0;
+    isGroundDirty = true; // The pile is gone too.
+  }
+
+  /**
+   * Active Count Property: Seeds currently visible (flying, returning or landed).
+   * @returns {number}
+   */
+  get activeCount() {
+    return this.stateCounts[PARTICLE_FLYING] + this.stateCounts[PARTICLE_RETURNING] + this.stateCounts[PARTICLE_LANDED];
+  }
+
+  /**
+   * Set State Method: Changes a slot's state, keeping the per-state counts up to date.
+   * @param {number} i - The slot.
+   * @param {number} state - One of the PARTICLE_* states.
+   */
+  setState(i, state) {
+    if (this.state[i] === PARTICLE_LANDED && state !== PARTICLE_LANDED) {
+      isGroundDirty = true; // Whatever lay on top of it has to settle.
+    }
+    this.stateCounts[this.state[i]]--;
+    this.stateCounts[state]++;
+    this.state[i] = state;
+  }
+
+  /**
+   * Color Index For Method: Finds (or registers) a color. Every palette change adds colors, so
+   * once there are `particleSettings.maxColors` the ones no seed uses are dropped first.
+   * @param {string} hex - A hex color string.
+   * @returns {number} - Its index in `this.colors`.
+   */
+  colorIndexFor(hex) {
+    let index = this.colorLookup.get(hex);
+    if (index === undefined) {
+      if (this.colors.length >= particleSettings.maxColors) {
+        this.pruneColors();
+      }
+      const levels = color(hex).levels;
+      index = this.colors.length;
+      this.colors.push({ hex, r: levels[0], g: levels[1], b: levels[2] });
+      this.colorLookup.set(hex, index);
+    }
+    return index;
+  }
+
+  /**
+   * Prune Colors Method: Drops the colors no seed uses and renumbers the rest.
+   */
+  pruneColors() {
+    const remap = new Map(); // Old index -> new index.
+    const kept = [];
+    for (let n = 0; n < this.liveCount; n++) {
+      const i = this.live[n];
+      let index = remap.get(this.colorIndex[i]);
+      if (index === undefined) {
+        index = kept.length;
+        kept.push(this.colors[this.colorIndex[i]]);
+        remap.set(this.colorIndex[i], index);
+      }
+      this.colorIndex[i] = index;
+    }
+    this.colors = kept;
+    this.colorLookup = new Map(kept.map((c, index) => [c.hex, index]));
+    this.batches.clear(); // Their keys hold the old indices.
+  }
+
+  /**
+   * Spawn Method: Releases a new flying seed, culling others first if the cap is reached.
+   * Uses p5's seeded `random()` for its initial motion, so blooms are reproducible.
+   * @param {Object} seed - { x, y, type, color, size, targetX, targetY, rotation, wheelId, slotIndex }.
+   * @returns {number} - The seed's slot, or -1 if every slot holds a returning seed (those are never culled).
+   */
+  spawn(seed) {
+    if (this.freeCount === 0) {
+      this.cull(ceil(this.capacity * particleSettings.cullFraction));
+      if (this.freeCount === 0) return -1;
+    }
+    const i = this.freeList[--this.freeCount];
+    this.live[this.liveCount] = i;
+    this.livePosition[i] = this.liveCount++;
+    this.setState(i, PARTICLE_FLYING);
+    this.born[i] = this.spawnCount++;
+
+    this.x[i] = seed.x;
+    this.y[i] = seed.y;
+    this.type[i] = particleTypes.indexOf(seed.type);
+    this.colorIndex[i] = this.colorIndexFor(seed.color);
+    this.size[i] = seed.size;
+    this.baseSize[i] = seed.size;
+    this.alpha[i] = 255;
+    this.targetX[i] = seed.targetX;
+    this.targetY[i] = seed.targetY;
+    this.rotation[i] = seed.rotation || 0;
+    this.wheelId[i] = seed.wheelId === null || seed.wheelId === undefined ? -1 : seed.wheelId;
+    this.slotIndex[i] = seed.slotIndex || 0;
+    this.returnStartDist[i] = 0;
+
+    // Initial velocity directed towards the bottom-left, mimicking a gentle wind.
+    const angle = random(PI + PI / 4, PI + PI / 2);
+    const speed = random(1, 3);
+    this.vx[i] = cos(angle) * speed;
+    this.vy[i] = sin(angle) * speed;
+    this.rotationSpeed[i] = random(-0.05, 0.05);
+    this.drag[i] = random(0.02, 0.06); // Lighter seeds react to the wind faster.
+    return i;
+  }
+
+  /**
+   * Release Method: Returns a slot to the pool.
+   * @param {number} i - The slot.
+   */
+  release(i) {
+    const position = this.livePosition[i];
+    const last = this.live[--this.liveCount];
+    this.live[position] = last; // Swap the last live slot into the gap.
+    this.livePosition[last] = position;
+    this.setState(i, PARTICLE_FREE);
+    this.freeList[this.freeCount++] = i;
+  }
+
+  /**
+   * Start Return Method: Sends a seed back to its target. It becomes fully visible again
+   * (even if it had faded out while drifting) so the whole journey back can be seen.
+   * @param {number} i - The slot.
+   */
+  startReturn(i) {
+    this.setState(i, PARTICLE_RETURNING);
+    this.returnStartDist[i] = max(dist(this.x[i], this.y[i], this.targetX[i], this.targetY[i]), 1);
+    this.alpha[i] = 255;
+    this.size[i] = this.baseSize[i];
+  }
+
+  /**
+   * For Each Method: Calls a function for every slot in use (flying, returning or faded).
+   * The function must not spawn or release seeds.
+   * @param {function(number)} callback - Receives the slot index.
+   */
+  forEach(callback) {
+    for (let n = 0; n < this.liveCount; n++) {
+      callback(this.live[n]);
+    }
+  }
+
+  /**
+   * Slots Of Wheel Method: Lists the slots holding a wheel's seeds.
+   * @param {number} wheelId - The wheel's id.
+   * @param {number[]} [states] - Only include seeds in these states.
+   * @returns {number[]} - Slot indices.
+   */
+  slotsOfWheel(wheelId, states = [PARTICLE_FLYING, PARTICLE_RETURNING, PARTICLE_FADED]) {
+    const slots = [];
+    for (let n = 0; n < this.liveCount; n++) {
+      const i = this.live[n];
+      if (this.wheelId[i] === wheelId && states.includes(this.state[i])) slots.push(i);
+    }
+    return slots;
+  }
+
+  /**
+   * Release Wheel Method: Frees a wheel's seeds.
+   * @param {number} wheelId - The wheel's id.
+   * @param {number[]} [states] - Only free seeds in these states.
+   */
+  releaseWheel(wheelId, states) {
+    for (const i of this.slotsOfWheel(wheelId, states)) {
+      this.release(i);
+    }
+  }
+
+  /**
+   * Update Method: Moves every seed on by one frame. Flying seeds drift with the wind, spin,
+   * shrink and fade (or, with the ground on, fall until they land); returning seeds ease back
+   * to their target and are freed when they arrive. Landed seeds stay where they are.
+   */
+  update() {
+    if (this.stateCounts[PARTICLE_FLYING] > 0) {
+      updateWindGrid(); // Sample the wind once per frame, rather than once per seed.
+    }
+    if ((isGroundEnabled || this.stateCounts[PARTICLE_LANDED] > 0) &&
+        (isGroundDirty || groundHeights.length !== ceil(compositionFrame.w / groundSettings.columnWidth))) {
+      settleGround(this);
+    }
+    const margin = particleSettings.offscreenMargin;
+    const bounds = fullCanvasFrame(); // On a wall, seeds fly on across the other screens (see multiScreen.js).
+    const returnSpeed = artworkConfig.returnSpeed; // Fading and returning speeds are settings (see config.js).
+    const fadeRate = artworkConfig.seedFade;
+    const turbulence = windSettings.turbulence;
+    const wind = this.wind;
+    const spokeType = particleTypes.indexOf('spoke');
+
+    // Walk backwards so a released slot is replaced by one that has already been updated.
+    for (let n = this.liveCount - 1; n >= 0; n--) {
+      const i = this.live[n];
+      const state = this.state[i];
+
+      if (state === PARTICLE_FLYING) {
+        this.x[i] += this.vx[i];
+        this.y[i] += this.vy[i];
+        // Drag pulls the seed's velocity towards the local wind (see wind.js), with a little turbulence.
+        sampleWindGrid(this.x[i], this.y[i], wind);
+        this.vx[i] += (wind.x - this.vx[i]) * this.drag[i] + random(-1, 1) * turbulence;
+        this.vy[i] += (wind.y - this.vy[i]) * this.drag[i] + random(-1, 1) * turbulence;
+        this.rotation[i] += this.rotationSpeed[i];
+        if (isGroundEnabled) {
+          this.vy[i] += groundSettings.gravity; // Keep their looks and fall until they land.
+          if (this.y[i] + this.size[i] / 2 >= groundSurfaceAt(this.x[i])) {
+            landSeed(this, i);
+            continue;
+          }
+        } else {
+          this.alpha[i] -= fadeRate;
+          this.size[i] *= 0.99;
+        }
+
+        // Seeds that have faded out, or blown well off the canvas, are set aside (not drawn).
+        // With the ground on, seeds blown up above the canvas are left to fall back.
+        const x = this.x[i];
+        const y = this.y[i];
+        if (this.alpha[i] <= 0 || x < bounds.x - margin || (y < bounds.y - margin && !isGroundEnabled) ||
+            x > bounds.x + bounds.w + margin || y > bounds.y + bounds.h + margin) {
+          this.alpha[i] = 0;
+          this.setState(i, PARTICLE_FADED);
+        }
+      } else if (state === PARTICLE_RETURNING) {
+        this.x[i] += (this.targetX[i] - this.x[i]) * returnSpeed;
+        this.y[i] += (this.targetY[i] - this.y[i]) * returnSpeed;
+        // Stay visible for most of the way, then fade out over the last third to merge with the wheel.
+        const remaining = dist(this.x[i], this.y[i], this.targetX[i], this.targetY[i]);
+        this.alpha[i] = 255 * min(1, remaining / this.returnStartDist[i] * 3);
+        if (this.type[i] === spokeType) {
+          this.size[i] *= 0.92; // Spokes shrink as they slot back in.
+        }
+        this.rotationSpeed[i] *= 0.95; // Stop spinning on the way back.
+        if (remaining < 1) {
+          this.release(i); // Home: the wheel's own pattern takes over.
+        }
+      }
+    }
+  }
+
+  /**
+   * Cull Method: Frees seeds to make room under the cap. Faded seeds go first (oldest first),
+   * as they aren't drawn anyway; a restore simply brings replacements in from off-screen.
+   * If that isn't enough, flying and landed seeds are taken from the most crowded cells of the
+   * spatial index, faintest first, where one fewer is hardest to notice.
+   * @param {number} count - How many seeds to free.
+   */
+  cull(count) {
+    const faded = [];
+    this.forEach(i => {
+      if (this.state[i] === PARTICLE_FADED) faded.push(i);
+    });
+    faded.sort((a, b) => this.born[a] - this.born[b]);
+    for (const i of faded.slice(0, count)) {
+      this.release(i);
+    }
+    count -= min(count, faded.length);
+    if (count === 0) return;
+
+    const cells = [...this.buildSpatialIndex().values()]
+      .map(cell => cell.filter(i => this.state[i] === PARTICLE_FLYING || this.state[i] === PARTICLE_LANDED).sort((a, b) => this.alpha[a] - this.alpha[b]));
+    while (count > 0) {
+      let densest = null;
+      for (const cell of cells) {
+        if (cell.length > 0 && (!densest || cell.length > densest.length)) densest = cell;
+      }
+      if (!densest) return; // Only returning seeds are left; never cut a return short.
+      this.release(densest.shift());
+      count--;
+    }
+  }
+
+  /**
+   * Build Spatial Index Method: Groups the visible seeds into a uniform grid of cells, so
+   * seeds near a point can be found without checking every seed.
+   * @returns {Map<number, number[]>} - Cell key -> slot indices in that cell.
+   */
+  buildSpatialIndex() {
+    const cells = new Map();
+    this.forEach(i => {
+      if (this.state[i] === PARTICLE_FADED) return;
+      const key = this.cellKey(floor(this.x[i] / particleSettings.cellSize), floor(this.y[i] / particleSettings.cellSize));
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+    return cells;
+  }
+
+  /**
+   * Cell Key Method: Combines cell coordinates into one number for use as a Map key.
+   * @param {number} column - The cell column.
+   * @param {number} row - The cell row.
+   * @returns {number}
+   */
+  cellKey(column, row) {
+    return (column + 32768) * 65536 + (row + 32768); // Offset so cells left of or above the canvas still get unique keys.
+  }
+
+  /**
+   * Query Radius Method: Finds the visible seeds within a distance of a point.
+   * @param {Map<number, number[]>} index - A spatial index from `buildSpatialIndex()`.
+   * @param {number} x - The point's x-coordinate.
+   * @param {number} y - The point's y-coordinate.
+   * @param {number} radius - The search distance.
+   * @returns {number[]} - Slot indices.
+   */
+  queryRadius(index, x, y, radius) {
+    const found = [];
+    const cellSize = particleSettings.cellSize;
+    for (let column = floor((x - radius) / cellSize); column <= floor((x + radius) / cellSize); column++) {
+      for (let row = floor((y - radius) / cellSize); row <= floor((y + radius) / cellSize); row++) {
+        for (const i of index.get(this.cellKey(column, row)) || []) {
+          if (dist(x, y, this.x[i], this.y[i]) <= radius) found.push(i);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Render Method: Draws the visible seeds. On a canvas they are drawn in batches straight
+   * through its 2D context; other targets (the SVG recorder) get one p5 call per seed.
+   * @param {Object} [pg=window] - Where to draw (see `Wheel.display()`).
+   */
+  render(pg = window) {
+    if (!pg.drawingContext) {
+      this.renderEach(pg);
+      return;
+    }
+
+    const levels = particleSettings.alphaLevels;
+    const spokeType = particleTypes.indexOf('spoke');
+    const petalType = particleTypes.indexOf('petal');
+    for (const batch of this.batches.values()) {
+      batch.length = 0; // Reuse last frame's arrays.
+    }
+
+    // Sort seeds into batches. Key: color, opacity step, thickness step (spokes only) and shape
+    // (0 circle, 1 line, 2 oval).
+    for (let n = 0; n < this.liveCount; n++) {
+      const i = this.live[n];
+      if (this.state[i] === PARTICLE_FADED || this.alpha[i] <= 0) continue;
+      const alphaStep = ceil(this.alpha[i] / 255 * (levels - 1));
+      const shape = this.type[i] === spokeType ? 1 : this.type[i] === petalType ? 2 : 0;
+      const weightStep = shape === 1 ? min(round(this.size[i] * 0.3 * 4), 255) : 0; // Quarter-pixel steps.
+      const key = ((this.colorIndex[i] * levels + alphaStep) * 256 + weightStep) * 3 + shape;
+      let batch = this.batches.get(key);
+      if (!batch) {
+        batch = [];
+        this.batches.set(key, batch);
+      }
+      batch.push(i);
+    }
+
+    const ctx = pg.drawingContext;
+    ctx.save();
+    ctx.lineCap = 'round';
+    for (const [key, batch] of this.batches) {
+      if (batch.length === 0) continue;
+      const shape = key % 3;
+      const weightStep = floor(key / 3) % 256;
+      const alphaStep = floor(key / 768) % levels;
+      const c = this.colors[floor(key / 768 / levels)];
+      const style = `rgba(${c.r},${c.g},${c.b},${alphaStep / (levels - 1)})`;
+
+      ctx.beginPath();
+      if (shape === 1) {
+        // Spokes are short lines from the seed's position along its rotation.
+        for (const i of batch) {
+          ctx.moveTo(this.x[i], this.y[i]);
+          ctx.lineTo(this.x[i] + Math.cos(this.rotation[i]) * this.size[i], this.y[i] + Math.sin(this.rotation[i]) * this.size[i]);
+        }
+        ctx.strokeStyle = style;
+        ctx.lineWidth = weightStep / 4;
+        ctx.stroke();
+      } else if (shape === 2) {
+        // Petals are ovals half as wide as they are long, along the seed's rotation.
+        for (const i of batch) {
+          const r = this.size[i] / 2;
+          const angle = this.rotation[i];
+          ctx.moveTo(this.x[i] + Math.cos(angle) * r, this.y[i] + Math.sin(angle) * r);
+          ctx.ellipse(this.x[i], this.y[i], r, r / 2, angle, 0, Math.PI * 2);
+        }
+        ctx.fillStyle = style;
+        ctx.fill();
+      } else {
+        for (const i of batch) {
+          const r = this.size[i] / 2;
+          ctx.moveTo(this.x[i] + r, this.y[i]); // Start each circle on its edge, so no joining line is drawn.
+          ctx.arc(this.x[i], this.y[i], r, 0, Math.PI * 2);
+        }
+        ctx.fillStyle = style;
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Render Each Method: Draws the visible seeds one by one with p5 calls.
+   * @param {Object} pg - Where to draw.
+   */
+  renderEach(pg) {
+    const spokeType = particleTypes.indexOf('spoke');
+    const petalType = particleTypes.indexOf('petal');
+    this.forEach(i => {
+      if (this.state[i] === PARTICLE_FADED || this.alpha[i] <= 0) return;
+      const c = this.colors[this.colorIndex[i]];
+      pg.push();
+      pg.translate(this.x[i], this.y[i]);
+      pg.rotate(this.rotation[i]);
+      if (this.type[i] === spokeType) {
+        pg.stroke(c.r, c.g, c.b, this.alpha[i]);
+        pg.strokeWeight(this.size[i] * 0.3);
+        pg.line(0, 0, this.size[i], 0);
+      } else if (this.type[i] === petalType) {
+        pg.noStroke();
+        pg.fill(c.r, c.g, c.b, this.alpha[i]);
+        pg.ellipse(0, 0, this.size[i], this.size[i] / 2);
+      } else {
+        pg.noStroke();
+        pg.fill(c.r, c.g, c.b, this.alpha[i]);
+        pg.circle(0, 0, this.size[i]);
+      }
+      pg.pop();
+    });
+  }
+}
+
+/**
+ * Particle Engine: The one engine holding every seed in the artwork.
+ */
+const particleEngine = new ParticleEngine(particleSettings.maxParticles);
@@ -0,0 +1,473 @@
+/**
+ * --- Physics Mode ---
+ * Brings the composition to life. While physics mode is on:
+ *   - Wheels spin slowly, alternately clockwise and anticlockwise, smaller ones faster. Spin
+ *     has momentum: a wheel that is knocked keeps turning faster for a while.
+ *   - Each wheel is held in its place by a soft spring, so it can be knocked and swing back.
+ *   - Connectors are chains of verlet points that sag and swing. A chain pulled tight pulls
+ *     on the wheels at both of its ends, the lighter (smaller) one more.
+ *   - A bloom jolts the chains of the blooming wheels. The jolt ripples along each chain and
+ *     knocks the wheel at its far end, then travels on, weaker, along that wheel's chains.
+ *   - Dragging a wheel in edit mode drags its neighbours along through the chains; they stay
+ *     where they were pulled to when it is let go.
+ * Turning physics off lets the wheels settle back into place and the chains pull straight.
+ * Under reduced motion wheels don't spin by themselves and blooms don't jolt the chains.
+ *
+ * Press 'J' to turn physics mode on or off.
+ */
+
+/**
+ * Physics Settings: Tunable values for the spinning wheels and swinging chains.
+ */
+const physicsSettings = {
+  spinSpeed: 0.004, // Spin of a wheel of `referenceRadius`, in radians per frame. Smaller wheels spin faster.
+  referenceRadius: 50, // Radius of a wheel of unit mass, in pixels. Mass grows with the wheel's area.
+  spinEase: 0.01, // Share of the difference to its own spin a wheel makes up each frame (lower means more momentum).
+  homeStiffness: 0.01, // Pull back towards its place, per pixel away, in pixels per frame per frame.
+  damping: 0.92, // Share of its speed a wheel keeps from one frame to the next.
+  ropeSlack: 1.12, // Length of a chain, as a multiple of the gap it spans when it is made.
+  segmentLength: 8, // Rough length of one chain segment, in pixels.
+  maxSegments: 24, // Most segments a chain is made of.
+  ropeGravity: 0.25, // Downward pull on each chain point, in pixels per frame per frame.
+  ropeDamping: 0.97, // Share of its speed a chain point keeps from one frame to the next.
+  ropeIterations: 8, // Constraint passes per frame; more passes make chains stretch less.
+  tautStiffness: 0.3, // Share of a tight chain's overstretch taken up by moving its wheels, each frame.
+  straightenRate: 0.1, // While physics settles after being turned off: share of their slack chains lose each frame.
+  recoilStrength: 0.8, // Speed a full-strength jolt gives a wheel of unit mass, in pixels per frame.
+  recoilSpin: 0.02, // Extra spin a full-strength jolt gives a wheel of unit mass, in radians per frame.
+  minMass: 0.5, // Small wheels are jolted as if they were at least this heavy, so they aren't flung away.
+  pulseSpeed: 6, // How fast a jolt travels along a chain, in pixels per frame.
+  pulseKick: 3, // How far a full-strength jolt pushes a chain sideways as it passes, in pixels.
+  pulseFalloff: 0.6, // Share of its strength a jolt keeps when it travels on past a wheel.
+  minPulse: 0.15, // Jolts weaker than this die out.
+  settleDistance: 0.1, // While settling: how close to its place, in pixels, a wheel must be to count as still.
+};
+
+let isPhysicsEnabled = false;
+let physicsBodies = new Map(); // Wheel -> { homeX, homeY, vx, vy }: its place, and how fast it is moving.
+let ropePulses = []; // Jolts travelling along chains: { connector, fromStart, travelled, strength, visited }.
+
+/**
+ * Toggle Physics Function: Turns physics mode on or off. Turning it off lets everything
+ * settle back into place before the wheels and connectors are still again.
+ */
+function togglePhysics() {
+  isPhysicsEnabled = !isPhysicsEnabled;
+  showStatusMessage(`Physics: ${isPhysicsEnabled ? 'on (wheels spin and chains swing)' : 'off (wheels settle back into place)'}`);
+}
+
+/**
+ * Is Physics Active Function: Whether physics is running: on, or still settling after being turned off.
+ * @returns {boolean}
+ */
+function isPhysicsActive() {
+  return isPhysicsEnabled || physicsBodies.size > 0;
+}
+
+/**
+ * Wheel Mass Function: How heavy a wheel is, relative to one of `referenceRadius`.
+ * @param {Wheel} w - The wheel.
+ * @returns {number}
+ */
+function wheelMass(w) {
+  return sq(w.radius / physicsSettings.referenceRadius);
+}
+
+/**
+ * Spin Direction Function: Which way a wheel spins by itself: alternately clockwise (1)
+ * and anticlockwise (-1), by id, so a wheel keeps its direction however the others change.
+ * @param {Wheel} w - The wheel.
+ * @returns {number}
+ */
+function spinDirection(w) {
+  return w.id % 2 === 0 ? 1 : -1;
+}
+
+/**
+ * Is Held Wheel Function: Whether a wheel is being dragged or resized in edit mode. It
+ * follows the pointer instead of the physics, and can't be pulled by its chains.
+ * @param {Wheel} w - The wheel.
+ * @returns {boolean}
+ */
+function isHeldWheel(w) {
+  return isEditMode && editDrag !== null && selectedWheel === w;
+}
+
+/**
+ * Body Of Function: Returns a wheel's body, making one at its current position if it has none yet.
+ * @param {Wheel} w - The wheel.
+ * @returns {{homeX: number, homeY: number, vx: number, vy: number}}
+ */
+function bodyOf(w) {
+  let body = physicsBodies.get(w);
+  if (!body) {
+    body = { homeX: w.x, homeY: w.y, vx: 0, vy: 0 };
+    physicsBodies.set(w, body);
+  }
+  return body;
+}
+
+/**
+ * Resting Place Function: Where a wheel belongs: the place its spring pulls it back to in
+ * physics mode, otherwise simply where it is. Saved scenes store this, not where the wheel
+ * happens to have swung to.
+ * @param {Wheel} w - The wheel.
+ * @returns {{x: number, y: number}}
+ */
+function restingPlace(w) {
+  const body = physicsBodies.get(w);
+  return body ? { x: body.homeX, y: body.homeY } : { x: w.x, y: w.y };
+}
+
+/**
+ * Update Physics Function: Moves the wheels, chains and jolts on by one frame. Called once
+ * per frame from `draw()`, before anything is drawn.
+ */
+function updatePhysics() {
+  if (!isPhysicsActive()) return;
+  const s = physicsSettings;
+
+  if (physicsBodies.size > wheels.length) { // Forget wheels that have been removed.
+    const current = new Set(wheels);
+    for (const w of physicsBodies.keys()) {
+      if (!current.has(w)) physicsBodies.delete(w);
+    }
+  }
+
+  const before = new Map(); // Wheel id -> where the wheel was, to carry its returning seeds along.
+  for (const w of wheels) {
+    const body = bodyOf(w);
+    before.set(w.id, { x: w.x, y: w.y, angle: w.angle, wheel: w });
+    if (isHeldWheel(w)) {
+      body.homeX = w.x; // Its place is wherever it is dragged to.
+      body.homeY = w.y;
+      body.vx = 0;
+      body.vy = 0;
+    } else {
+      body.vx = (body.vx + (body.homeX - w.x) * s.homeStiffness) * s.damping;
+      body.vy = (body.vy + (body.homeY - w.y) * s.homeStiffness) * s.damping;
+      w.x += body.vx;
+      w.y += body.vy;
+    }
+
+    const drive = isPhysicsEnabled && !isReducedMotion ? s.spinSpeed * spinDirection(w) * s.referenceRadius / max(w.radius, 1) : 0;
+    w.spin += (drive - w.spin) * s.spinEase;
+    w.angle = (w.angle + w.spin) % TWO_PI;
+  }
+
+  for (const c of connectors) {
+    c.updateGeometry();
+    updateRope(c);
+  }
+  for (const w of wheels) {
+    if (isHeldWheel(w)) continue;
+    const body = physicsBodies.get(w);
+    const from = before.get(w.id);
+    body.vx = w.x - from.x; // Chains pulling tight may have moved the wheel less (or more) than its
+    body.vy = w.y - from.y; // spring did, so its speed is how far it really moved.
+  }
+  updatePulses();
+  carryReturningSeeds(before);
+
+  if (!isPhysicsEnabled && hasPhysicsSettled()) {
+    for (const [w, body] of physicsBodies) {
+      w.x = body.homeX;
+      w.y = body.homeY;
+      w.spin = 0;
+    }
+    physicsBodies.clear();
+    ropePulses = [];
+    for (const c of connectors) {
+      c.rope = null;
+      c.updateGeometry();
+    }
+  }
+}
+
+/**
+ * Update Rope Function: Moves a connector's chain on by one frame. Its ends are pinned to
+ * the wheels' rims; the points between fall and swing freely, but no segment may stretch
+ * beyond its length. If the wheels are further apart than the chain is long, the chain
+ * pulls them together.
+ * @param {Connector} c - The connector.
+ */
+function updateRope(c) {
+  const s = physicsSettings;
+  const span = dist(c.startPoint.x, c.startPoint.y, c.endPoint.x, c.endPoint.y);
+  if (!c.rope) {
+    c.rope = createRope(c, span);
+  }
+  const rope = c.rope;
+  rope.span = span;
+  if (!isPhysicsEnabled) {
+    rope.length += (span - rope.length) * s.straightenRate; // Settling: pull straight.
+  }
+
+  const points = rope.points;
+  const last = points.length - 1;
+  points[0].x = c.startPoint.x;
+  points[0].y = c.startPoint.y;
+  points[last].x = c.endPoint.x;
+  points[last].y = c.endPoint.y;
+
+  const gravity = isPhysicsEnabled ? s.ropeGravity : 0;
+  for (let k = 1; k < last; k++) {
+    const p = points[k];
+    const vx = (p.x - p.px) * s.ropeDamping;
+    const vy = (p.y - p.py) * s.ropeDamping;
+    p.px = p.x;
+    p.py = p.y;
+    p.x += vx;
+    p.y += vy + gravity;
+  }
+
+  const segment = rope.length / last;
+  for (let pass = 0; pass < s.ropeIterations; pass++) {
+    for (let k = 0; k < last; k++) {
+      const a = points[k];
+      const b = points[k + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const d = sqrt(dx * dx + dy * dy);
+      if (d <= segment) continue; // A chain can bunch up, but not stretch.
+      const isAFree = k > 0;
+      const isBFree = k + 1 < last;
+      const share = (d - segment) / d * (isAFree && isBFree ? 0.5 : 1);
+      if (isAFree) {
+        a.x += dx * share;
+        a.y += dy * share;
+      }
+      if (isBFree) {
+        b.x -= dx * share;
+        b.y -= dy * share;
+      }
+    }
+  }
+
+  // Measured between the rims along the line of centres, so overlapping wheels (whose rim
+  // points have crossed over) never count as pulled apart.
+  const gap = dist(c.w1.x, c.w1.y, c.w2.x, c.w2.y) - c.w1.radius - c.w2.radius;
+  if (isPhysicsEnabled && gap > rope.length) {
+    pullTogether(c.w1, c.w2, gap - rope.length);
+  }
+}
+
+/**
+ * Create Rope Function: Makes a straight chain for a connector, a little longer than the gap
+ * it spans so it sags once it starts to fall.
+ * @param {Connector} c - The connector.
+ * @param {number} span - The gap between its ends, in pixels.
+ * @returns {{points: Object[], length: number, span: number}} - Points are { x, y, px, py }
+ *   (the previous position, from which verlet integration finds the speed).
+ */
+function createRope(c, span) {
+  const s = physicsSettings;
+  const length = span * s.ropeSlack;
+  const count = constrain(ceil(length / s.segmentLength), 2, s.maxSegments);
+  const points = [];
+  for (let k = 0; k <= count; k++) {
+    const x = lerp(c.startPoint.x, c.endPoint.x, k / count);
+    const y = lerp(c.startPoint.y, c.endPoint.y, k / count);
+    points.push({ x, y, px: x, py: y });
+  }
+  return { points, length, span };
+}
+
+/**
+ * Pull Together Function: Takes up part of a tight chain's overstretch by moving the wheels
+ * at its ends towards each other, the lighter one further. A wheel being dragged doesn't
+ * move, so it pulls the other one along.
+ * @param {Wheel} a - The wheel at one end.
+ * @param {Wheel} b - The wheel at the other end.
+ * @param {number} excess - How much further apart the ends are than the chain is long, in pixels.
+ */
+function pullTogether(a, b, excess) {
+  const inverseA = isHeldWheel(a) ? 0 : 1 / wheelMass(a);
+  const inverseB = isHeldWheel(b) ? 0 : 1 / wheelMass(b);
+  const total = inverseA + inverseB;
+  if (total === 0) return;
+  const d = max(dist(a.x, a.y, b.x, b.y), 1);
+  const amount = excess * physicsSettings.tautStiffness / total;
+  const nx = (b.x - a.x) / d * amount;
+  const ny = (b.y - a.y) / d * amount;
+  a.x += nx * inverseA;
+  a.y += ny * inverseA;
+  b.x -= nx * inverseB;
+  b.y -= ny * inverseB;
+}
+
+/**
+ * Apply Bloom Recoil Function: Blooming wheels spin up as their seeds fly off and jolt their
+ * chains. Called by `bloomWheels()`.
+ * @param {Wheel[]} bloomed - The wheels that bloomed.
+ */
+function applyBloomRecoil(bloomed) {
+  if (!isPhysicsEnabled || isReducedMotion) return;
+  const visited = new Set(bloomed); // Each wheel is jolted at most once per bloom.
+  for (const w of bloomed) {
+    w.spin += physicsSettings.recoilSpin * spinDirection(w) / max(wheelMass(w), physicsSettings.minMass);
+    sendPulses(w, 1, visited);
+  }
+}
+
+/**
+ * Send Pulses Function: Starts a jolt along each of a wheel's chains towards wheels that
+ * haven't been jolted yet.
+ * @param {Wheel} w - The wheel the jolts start from.
+ * @param {number} strength - Their strength (1 at the blooming wheel).
+ * @param {Set<Wheel>} visited - Wheels this bloom has already reached; the new ones are added.
+ */
+function sendPulses(w, strength, visited) {
+  for (const c of connectors) {
+    if (c.w1 !== w && c.w2 !== w) continue;
+    const other = c.w1 === w ? c.w2 : c.w1;
+    if (visited.has(other)) continue;
+    visited.add(other);
+    ropePulses.push({ connector: c, fromStart: c.w1 === w, travelled: 0, strength, visited });
+  }
+}
+
+/**
+ * Update Pulses Function: Moves each jolt on along its chain, pushing the chain sideways where
+ * it passes. A jolt reaching the end knocks that wheel away from where it came from, spins it
+ * up and travels on along its chains.
+ */
+function updatePulses() {
+  const s = physicsSettings;
+  const arrived = [];
+  ropePulses = ropePulses.filter(pulse => {
+    const c = pulse.connector;
+    if (!c.rope || !connectors.includes(c)) return false; // The connector was removed.
+    const points = c.rope.points;
+    const last = points.length - 1;
+    pulse.travelled += s.pulseSpeed;
+    const progress = min(pulse.travelled / max(c.rope.length, 1), 1);
+    const k = pulse.fromStart ? round(progress * last) : last - round(progress * last);
+    if (k > 0 && k < last) {
+      const span = max(c.rope.span, 1);
+      const kick = s.pulseKick * pulse.strength;
+      points[k].x -= (c.endPoint.y - c.startPoint.y) / span * kick; // Sideways to the chain.
+      points[k].y += (c.endPoint.x - c.startPoint.x) / span * kick;
+    }
+    if (progress < 1) return true;
+    arrived.push(pulse);
+    return false;
+  });
+
+  for (const pulse of arrived) {
+    const c = pulse.connector;
+    const from = pulse.fromStart ? c.w1 : c.w2;
+    const to = pulse.fromStart ? c.w2 : c.w1;
+    if (!isHeldWheel(to)) {
+      const d = max(dist(from.x, from.y, to.x, to.y), 1);
+      const mass = max(wheelMass(to), s.minMass);
+      const body = bodyOf(to);
+      body.vx += (to.x - from.x) / d * s.recoilStrength * pulse.strength / mass;
+      body.vy += (to.y - from.y) / d * s.recoilStrength * pulse.strength / mass;
+      to.spin += s.recoilSpin * spinDirection(to) * pulse.strength / mass;
+    }
+    if (pulse.strength * s.pulseFalloff >= s.minPulse) {
+      sendPulses(to, pulse.strength * s.pulseFalloff, pulse.visited);
+    }
+  }
+}
+
+/**
+ * Capture Rope Pulses Function: The jolts travelling along chains, as plain data (chains by
+ * their index in `connectors`, wheels by id), for a wall's shared state (see multiScreen.js).
+ * Jolts from the same bloom share the wheels they have reached, so those are stored once per bloom.
+ * @returns {{visited: number[][], pulses: Object[]}}
+ */
+function captureRopePulses() {
+  const visitedSets = [...new Set(ropePulses.map(pulse => pulse.visited))];
+  return {
+    visited: visitedSets.map(visited => [...visited].map(w => w.id)),
+    pulses: ropePulses.map(pulse => ({
+      connector: connectors.indexOf(pulse.connector),
+      fromStart: pulse.fromStart,
+      travelled: pulse.travelled,
+      strength: pulse.strength,
+      visited: visitedSets.indexOf(pulse.visited),
+    })),
+  };
+}
+
+/**
+ * Restore Rope Pulses Function: Sets the jolts travelling along chains back from
+ * `captureRopePulses()`, once the wheels and connectors they refer to have been loaded.
+ * @param {{visited: number[][], pulses: Object[]}} data - The captured jolts.
+ */
+function restoreRopePulses(data) {
+  const byId = new Map(wheels.map(w => [w.id, w]));
+  const visitedSets = data.visited.map(ids => new Set(ids.map(id => byId.get(id)).filter(Boolean)));
+  ropePulses = data.pulses
+    .filter(pulse => connectors[pulse.connector])
+    .map(pulse => ({
+      connector: connectors[pulse.connector],
+      fromStart: pulse.fromStart,
+      travelled: pulse.travelled,
+      strength: pulse.strength,
+      visited: visitedSets[pulse.visited],
+    }));
+}
+
+/**
+ * Carry Returning Seeds Function: Moves and turns the targets of seeds flying back to wheels
+ * along with the wheels, so they still land in the right place.
+ * @param {Map<number, Object>} before - Wheel id -> { x, y, angle, wheel } at the start of the frame.
+ */
+function carryReturningSeeds(before) {
+  const engine = particleEngine;
+  if (engine.stateCounts[PARTICLE_RETURNING] === 0) return;
+  engine.forEach(i => {
+    if (engine.state[i] !== PARTICLE_RETURNING) return;
+    const from = before.get(engine.wheelId[i]);
+    if (!from) return;
+    const w = from.wheel;
+    const turn = w.angle - from.angle;
+    const dx = engine.targetX[i] - from.x;
+    const dy = engine.targetY[i] - from.y;
+    engine.targetX[i] = w.x + dx * cos(turn) - dy * sin(turn);
+    engine.targetY[i] = w.y + dx * sin(turn) + dy * cos(turn);
+  });
+}
+
+/**
+ * Has Physics Settled Function: After physics is turned off, whether every wheel is back in
+ * place and still, and every chain is straight, so they can be drawn without it again.
+ * @returns {boolean}
+ */
+function hasPhysicsSettled() {
+  const s = physicsSettings;
+  for (const [w, body] of physicsBodies) {
+    if (dist(w.x, w.y, body.homeX, body.homeY) > s.settleDistance || abs(body.vx) + abs(body.vy) > s.settleDistance ||
+        abs(w.spin) > 0.0001) {
+      return false;
+    }
+  }
+  return ropePulses.length === 0 && connectors.every(c => !c.rope || abs(c.rope.length - c.rope.span) < 0.5);
+}
+
+/**
+ * Settle Edited Wheels Function: Called when a drag or resize in edit mode ends. Wheels the
+ * chains pulled along make where they are now their place, and the chains of every wheel
+ * that moved are given slack again at their new length.
+ * @param {Wheel|null} w - The wheel that was edited.
+ */
+function settleEditedWheels(w) {
+  if (!isPhysicsActive()) return;
+  const moved = new Set(w ? [w] : []);
+  for (const [other, body] of physicsBodies) {
+    if (dist(other.x, other.y, body.homeX, body.homeY) > 1) {
+      body.homeX = other.x;
+      body.homeY = other.y;
+      moved.add(other);
+    }
+  }
+  for (const c of connectors) {
+    if (c.rope && (moved.has(c.w1) || moved.has(c.w2))) {
+      c.updateGeometry();
+      c.rope.length = dist(c.startPoint.x, c.startPoint.y, c.endPoint.x, c.endPoint.y) * physicsSettings.ropeSlack;
+    }
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * --- Pointer Input ---
+ * Touch and pen support, built on the browser's pointer events (the mouse keeps using p5's
+ * `mousePressed()` and friends in sketch.js). With a finger or a pen:
+ *   - Tap a wheel to bloom it.
+ *   - Tap with two fingers, or swipe up quickly, to undo (restore the last bloom).
+ *   - Press and hold a wheel to preview which wheels a bloom would take with it; lift to cancel.
+ *   - Pinch to zoom and drag with two fingers to pan. Double-tap empty space to zoom back out.
+ *   - Drag with one finger to stir up a gust of wind, as with the mouse.
+ * The timeline, palette editor and edit mode respond to touch just as they do to the mouse.
+ *
+ * The camera (zoom and pan) applies to the whole composition. Everything that hit-tests
+ * wheels converts pointer positions with `screenToWorld()` first, so `Wheel.contains()`
+ * keeps working in the composition's own coordinates. On desktop, scroll to zoom.
+ */
+
+/**
+ * Pointer Settings: Thresholds that tell taps, holds, swipes and pinches apart.
+ */
+const pointerSettings = {
+  tapSlop: 10, // How far a finger may wander (in pixels) and still count as a tap or hold.
+  tapMaxDuration: 300, // Longest press (in milliseconds) that still counts as a tap.
+  longPressDuration: 500, // How long to hold before the bloom preview appears.
+  doubleTapInterval: 300, // Most time between two taps of a double-tap.
+  swipeMinDistance: 80, // How far up a swipe must travel, in pixels.
+  swipeMaxDuration: 400, // Longest a swipe may take.
+  minZoom: 1, // Zooming out stops at the whole composition.
+  maxZoom: 6,
+  wheelZoomRate: 0.0015, // Relative zoom per pixel scrolled (desktop).
+};
+
+let viewCamera = { x: 0, y: 0, zoom: 1 }; // Screen position = composition position * zoom + (x, y). (p5 already has a `camera()`.)
+let pointerCanvas = null; // The canvas element the pointer listeners are attached to.
+let activePointers = new Map(); // Touches and pens currently down: pointerId -> { x, y, startX, startY, startTime }.
+let pointerGesture = null; // What the pointers down are doing: { type: 'single' | 'scrub' | 'palette' | 'settings' | 'edit' | 'pinch' | 'done', ... }.
+let bloomPreview = []; // Wheels highlighted by a long press.
+let lastTap = null; // { x, y, time } of the last tap, for double-taps.
+
+/**
+ * Setup Pointer Input Function: Starts listening for touch and pen input on the canvas.
+ * @param {HTMLCanvasElement} canvas - The main canvas element.
+ */
+function setupPointerInput(canvas) {
+  pointerCanvas = canvas;
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerUp);
+  canvas.addEventListener('pointercancel', handlePointerUp);
+}
+
+/**
+ * Apply Camera Transform Function: Applies the zoom and pan, so that what is drawn next is
+ * placed in composition coordinates. Call between `push()` and `pop()`.
+ * @param {Object} [pg=window] - Where to draw (see `Wheel.display()`).
+ */
+function applyCameraTransform(pg = window) {
+  pg.translate(viewCamera.x, viewCamera.y);
+  pg.scale(viewCamera.zoom);
+}
+
+/**
+ * Screen To World Function: Converts a position on the canvas into composition coordinates.
+ * @param {number} x - The x-coordinate on screen.
+ * @param {number} y - The y-coordinate on screen.
+ * @returns {{x: number, y: number}}
+ */
+function screenToWorld(x, y) {
+  return { x: (x - viewCamera.x) / viewCamera.zoom, y: (y - viewCamera.y) / viewCamera.zoom };
+}
+
+/**
+ * Zoom Camera At Function: Zooms in or out, keeping the composition point under a screen
+ * position where it is (the centre of a pinch, or the mouse).
+ * @param {number} x - The x-coordinate on screen to zoom around.
+ * @param {number} y - The y-coordinate on screen to zoom around.
+ * @param {number} factor - How much to multiply the zoom by.
+ */
+function zoomCameraAt(x, y, factor) {
+  const anchor = screenToWorld(x, y);
+  viewCamera.zoom = constrain(viewCamera.zoom * factor, pointerSettings.minZoom, pointerSettings.maxZoom);
+  viewCamera.x = x - anchor.x * viewCamera.zoom;
+  viewCamera.y = y - anchor.y * viewCamera.zoom;
+  clampCamera();
+}
+
+/**
+ * Pan Camera Function: Moves the view by a distance on screen.
+ * @param {number} dx - Horizontal distance, in pixels.
+ * @param {number} dy - Vertical distance, in pixels.
+ */
+function panCamera(dx, dy) {
+  viewCamera.x += dx;
+  viewCamera.y += dy;
+  clampCamera();
+}
+
+/**
+ * Clamp Camera Function: Keeps the view inside the canvas area, so there is never blank
+ * space beyond the composition's edges. Also called after the window is resized.
+ */
+function clampCamera() {
+  if (wall) {
+    viewCamera = wallView(); // Each screen of a wall always shows its own part of it (see multiScreen.js).
+    return;
+  }
+  viewCamera.x = constrain(viewCamera.x, width - width * viewCamera.zoom, 0);
+  viewCamera.y = constrain(viewCamera.y, height - height * viewCamera.zoom, 0);
+}
+
+/**
+ * Show In View Function: Pans a zoomed-in view just enough to bring a circle fully on screen
+ * (used when the keyboard focus moves to a wheel).
+ * @param {number} x - The circle's centre, in composition coordinates.
+ * @param {number} y
+ * @param {number} radius - Its radius.
+ */
+function showInView(x, y, radius) {
+  const zoom = viewCamera.zoom;
+  const left = (x - radius) * zoom + viewCamera.x;
+  const right = (x + radius) * zoom + viewCamera.x;
+  const top = (y - radius) * zoom + viewCamera.y;
+  const bottom = (y + radius) * zoom + viewCamera.y;
+  panCamera(left < 0 ? -left : right > width ? width - right : 0, top < 0 ? -top : bottom > height ? height - bottom : 0);
+}
+
+/**
+ * Reset Camera Function: Shows the whole composition again (or, on a wall of screens, this
+ * screen's part of it).
+ */
+function resetCamera() {
+  viewCamera = wall ? wallView() : { x: 0, y: 0, zoom: 1 };
+}
+
+/**
+ * Handle Camera Scroll Function: Zooms around the mouse when scrolling outside edit mode.
+ * @param {number} x - The mouse's x-coordinate on screen.
+ * @param {number} y - The mouse's y-coordinate on screen.
+ * @param {number} delta - The scroll amount (positive when scrolling down, which zooms out).
+ */
+function handleCameraScroll(x, y, delta) {
+  zoomCameraAt(x, y, 1 - delta * pointerSettings.wheelZoomRate);
+}
+
+/**
+ * Pointer Position Function: Where a pointer event happened, in canvas pixels.
+ * @param {PointerEvent} event
+ * @returns {{x: number, y: number}}
+ */
+function pointerPosition(event) {
+  const rect = pointerCanvas.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Pinch State Function: The centre of and distance between the first two pointers.
+ * @returns {{x: number, y: number, distance: number}}
+ */
+function pinchState() {
+  const [a, b] = [...activePointers.values()];
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: max(dist(a.x, a.y, b.x, b.y), 1) };
+}
+
+/**
+ * Handle Pointer Down Function: A finger or pen touched the canvas. One pointer may become a
+ * tap, hold, swipe or drag (decided as it moves and lifts); a second one starts a pinch.
+ * @param {PointerEvent} event
+ */
+function handlePointerDown(event) {
+  if (event.pointerType === 'mouse') return; // p5's mouse handlers take care of the mouse.
+  event.preventDefault(); // Stops the browser from also sending (emulated) mouse events.
+  pointerCanvas.setPointerCapture(event.pointerId); // Keep receiving moves if the finger leaves the canvas.
+  unlockSound(); // Audio may only start after a user gesture; this is the first chance.
+  noteVisitor(); // Touches aren't recorded in sessions, but they do stop a replay (see sessionReplay.js).
+
+  const { x, y } = pointerPosition(event);
+  activePointers.set(event.pointerId, { x, y, startX: x, startY: y, startTime: millis() });
+
+  if (activePointers.size === 1) {
+    const world = screenToWorld(x, y);
+    if (historyTimeline.handlePress(x, y)) {
+      pointerGesture = { type: 'scrub' };
+    } else if (paletteEditor.handlePress(x, y)) {
+      pointerGesture = { type: 'palette' };
+    } else if (settingsPanel.handlePress(x, y)) {
+      pointerGesture = { type: 'settings' };
+    } else if (isEditMode) {
+      handleEditPress(world.x, world.y); // Select, move or resize instead of blooming.
+      pointerGesture = { type: 'edit', moved: false };
+    } else {
+      pointerGesture = { type: 'single', moved: false, previewed: false };
+    }
+  } else if (activePointers.size === 2) {
+    // A second finger turns whatever the first was doing into a pinch.
+    if (pointerGesture.type === 'scrub') historyTimeline.handleRelease();
+    if (pointerGesture.type === 'palette') paletteEditor.handleRelease();
+    if (pointerGesture.type === 'settings') settingsPanel.handleRelease();
+    if (pointerGesture.type === 'edit') handleEditRelease();
+    bloomPreview = [];
+    pointerGesture = Object.assign({ type: 'pinch', moved: false, startTime: millis() }, pinchState());
+  }
+}
+
+/**
+ * Handle Pointer Move Function: Follows a finger or pen: drags stir the wind, scrub the
+ * timeline or edit a wheel; two fingers zoom and pan.
+ * @param {PointerEvent} event
+ */
+function handlePointerMove(event) {
+  const pointer = activePointers.get(event.pointerId);
+  if (!pointer || !pointerGesture) return;
+  const { x, y } = pointerPosition(event);
+  const dx = x - pointer.x;
+  const dy = y - pointer.y;
+  pointer.x = x;
+  pointer.y = y;
+  const world = screenToWorld(x, y);
+
+  if (pointerGesture.type === 'single') {
+    if (dist(x, y, pointer.startX, pointer.startY) > pointerSettings.tapSlop) {
+      pointerGesture.moved = true;
+      bloomPreview = [];
+    }
+    if (pointerGesture.moved) {
+      addGust(world.x, world.y, dx / viewCamera.zoom, dy / viewCamera.zoom);
+    }
+  } else if (pointerGesture.type === 'scrub') {
+    historyTimeline.handleDrag(x);
+  } else if (pointerGesture.type === 'palette') {
+    paletteEditor.handleDrag(x);
+  } else if (pointerGesture.type === 'settings') {
+    settingsPanel.handleDrag(x);
+  } else if (pointerGesture.type === 'edit') {
+    handleEditDrag(world.x, world.y);
+    if (dist(x, y, pointer.startX, pointer.startY) > pointerSettings.tapSlop) pointerGesture.moved = true;
+  } else if (pointerGesture.type === 'pinch' && activePointers.size >= 2) {
+    const pinch = pinchState();
+    zoomCameraAt(pinch.x, pinch.y, pinch.distance / pointerGesture.distance);
+    panCamera(pinch.x - pointerGesture.x, pinch.y - pointerGesture.y);
+    for (const p of activePointers.values()) {
+      if (dist(p.x, p.y, p.startX, p.startY) > pointerSettings.tapSlop) pointerGesture.moved = true;
+    }
+    Object.assign(pointerGesture, pinch);
+  }
+}
+
+/**
+ * Handle Pointer Up Function: A finger or pen lifted (or the browser cancelled it). Decides
+ * whether a single touch was a tap or an upward swipe, and whether two fingers were a tap.
+ * @param {PointerEvent} event
+ */
+function handlePointerUp(event) {
+  const pointer = activePointers.get(event.pointerId);
+  if (!pointer || !pointerGesture) return;
+  const { x, y } = pointerPosition(event);
+  const duration = millis() - pointer.startTime;
+  const isCancelled = event.type === 'pointercancel';
+
+  if (pointerGesture.type === 'single' && !isCancelled) {
+    const rise = pointer.startY - y;
+    if (!pointerGesture.moved && !pointerGesture.previewed && duration <= pointerSettings.tapMaxDuration) {
+      handleTap(x, y);
+    } else if (rise >= pointerSettings.swipeMinDistance && abs(x - pointer.startX) < rise / 2 &&
+      duration <= pointerSettings.swipeMaxDuration) {
+      commandHistory.undo(); // A quick swipe up restores the last bloom.
+    }
+    bloomPreview = []; // Lifting after a hold only ends the preview.
+  } else if (pointerGesture.type === 'scrub') {
+    historyTimeline.handleRelease();
+  } else if (pointerGesture.type === 'palette') {
+    paletteEditor.handleRelease();
+  } else if (pointerGesture.type === 'settings') {
+    settingsPanel.handleRelease();
+  } else if (pointerGesture.type === 'edit') {
+    handleEditRelease();
+    if (!isCancelled && !pointerGesture.moved && isDoubleTap(x, y)) {
+      const world = screenToWorld(x, y);
+      addWheelAt(world.x, world.y); // Like double-clicking with the mouse.
+    }
+  } else if (pointerGesture.type === 'pinch') {
+    if (!isCancelled && !pointerGesture.moved && millis() - pointerGesture.startTime <= pointerSettings.tapMaxDuration) {
+      commandHistory.undo(); // A two-finger tap restores the last bloom.
+    }
+    pointerGesture = { type: 'done' }; // The finger still down shouldn't start a new gesture.
+  }
+
+  activePointers.delete(event.pointerId);
+  if (activePointers.size === 0) {
+    pointerGesture = null;
+  }
+}
+
+/**
+ * Is Double Tap Function: Records a tap and reports whether it completes a double-tap.
+ * @param {number} x - Where the tap was, on screen.
+ * @param {number} y - Where the tap was, on screen.
+ * @returns {boolean}
+ */
+function isDoubleTap(x, y) {
+  const now = millis();
+  const isDouble = lastTap !== null && now - lastTap.time <= pointerSettings.doubleTapInterval &&
+    dist(x, y, lastTap.x, lastTap.y) <= pointerSettings.tapSlop * 3;
+  lastTap = isDouble ? null : { x, y, time: now }; // A third tap starts over.
+  return isDouble;
+}
+
+/**
+ * Handle Tap Function: A tap on a wheel blooms it; a double-tap on empty space zooms back out.
+ * @param {number} x - Where the tap was, on screen.
+ * @param {number} y - Where the tap was, on screen.
+ */
+function handleTap(x, y) {
+  const world = screenToWorld(x, y);
+  const isDouble = isDoubleTap(x, y);
+  if (!bloomWheelAt(world.x, world.y) && isDouble) {
+    resetCamera();
+  }
+}
+
+/**
+ * Update Pointer Input Function: Shows the bloom preview once a touch has been held still
+ * long enough. Called once per frame from `draw()`.
+ */
+function updatePointerInput() {
+  if (!pointerGesture || pointerGesture.type !== 'single' || pointerGesture.moved || pointerGesture.previewed) return;
+  const pointer = activePointers.values().next().value;
+  if (millis() - pointer.startTime < pointerSettings.longPressDuration) return;
+
+  pointerGesture.previewed = true;
+  const world = screenToWorld(pointer.x, pointer.y);
+  const wheel = wheelAt(world.x, world.y);
+  const command = wheel && !wheel.isBlownAway ? createBloomCommand(wheel) : null;
+  bloomPreview = command ? command.wheels : [];
+}
+
+/**
+ * Draw Bloom Preview Function: Rings the wheels a held touch would bloom. Drawn in
+ * composition coordinates, so it must be called with the camera transform applied.
+ */
+function drawBloomPreview() {
+  if (bloomPreview.length === 0) return;
+  push();
+  noFill();
+  stroke(255, 220, 120, 160 + 60 * sin(frameCount * 0.15)); // Gently pulsing.
+  strokeWeight(3 / viewCamera.zoom); // The same thickness on screen at any zoom.
+  for (const w of bloomPreview) {
+    circle(w.x, w.y, w.radius * 2 + 8 / viewCamera.zoom);
+  }
+  pop();
+}
@@ -0,0 +1,308 @@
+/**
+ * --- Animation Recorder ---
+ * Captures the bloom and restore animations as video, in one of two formats:
+ *   - PNG sequence: every frame saved as a numbered PNG, bundled into one .zip download.
+ *   - WebM: encoded by the browser's MediaRecorder.
+ * The artwork moves by a fixed amount per frame (wind, fades, chain reaction hops and
+ * particles all count frames, not milliseconds), so each drawn frame is exactly one step of
+ * 1/60 s. A PNG sequence is therefore smooth at 60 fps even if the machine can only draw 15
+ * frames a second while recording. MediaRecorder timestamps frames with the real clock, so a
+ * WebM is only as smooth as the machine is fast; use PNGs for slow machines. PNG frames are
+ * kept in memory until the .zip is made, so a PNG recording stops early if they grow past
+ * `recorderSettings.maxPNGMegabytes` (large windows and long durations).
+ * Frames are drawn offscreen with `drawArtwork()`, so overlays like this indicator, the
+ * timeline and status messages never appear in the recording.
+ *
+ * Controls: 'C' starts or stops recording, 'Shift+C' arms recording to start with the next
+ * bloom, 'D' cycles the duration and 'Shift+D' switches format.
+ */
+
+/**
+ * Recorder Settings: Frame rate of the recording and the durations 'D' cycles through.
+ */
+const recorderSettings = {
+  fps: 60, // Frames per second of the finished recording; one frame per simulation step.
+  durations: [2, 5, 10, 20, 30], // Seconds.
+  maxPNGMegabytes: 800, // A PNG sequence stops once its frames take this much memory.
+};
+
+/**
+ * Recording Formats: The output formats 'Shift+D' switches between.
+ */
+const recordingFormats = [
+  { id: 'png', label: 'PNG sequence (.zip)' },
+  { id: 'webm', label: 'WebM video' },
+];
+
+let recordingFormat = recordingFormats[0];
+let recordingDuration = 5; // Seconds; the recording stops by itself after this long.
+let autoRecordOnBloom = false; // Whether the next bloom starts a recording.
+let isRecording = false;
+let recordedFrameCount = 0; // Frames captured so far in the current recording.
+let recordedFrames = []; // PNG sequence: one Uint8Array of PNG data per frame.
+let recordedBytes = 0; // PNG sequence: the size of `recordedFrames` so far.
+let recordingGraphics = null; // Offscreen buffer each frame is drawn into before capture.
+let mediaRecorder = null; // WebM: the browser's encoder.
+let recordedChunks = []; // WebM: encoded data handed over by MediaRecorder.
+
+/**
+ * Start Recording Function: Begins capturing frames in the selected format.
+ */
+function startRecording() {
+  if (isRecording) return;
+  const frame = compositionFrame;
+  recordingGraphics = createGraphics(round(frame.w), round(frame.h));
+  recordingGraphics.pixelDensity(1);
+  recordedFrameCount = 0;
+  recordedFrames = [];
+  recordedBytes = 0;
+
+  if (recordingFormat.id === 'webm') {
+    // Safari has MediaRecorder, but only for MP4, and throws when asked for WebM.
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported('video/webm') || !recordingGraphics.elt.captureStream) {
+      showStatusMessage('This browser cannot record WebM video; switch to PNG with Shift+D.', true);
+      recordingGraphics.remove();
+      recordingGraphics = null;
+      return;
+    }
+    // A frame rate of 0 means frames are only sent when requested, i.e. once per captured frame.
+    const stream = recordingGraphics.elt.captureStream(0);
+    recordedChunks = [];
+    mediaRecorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    mediaRecorder.ondataavailable = event => recordedChunks.push(event.data);
+    mediaRecorder.onstop = () => {
+      downloadBlob(new Blob(recordedChunks, { type: 'video/webm' }), `wheels-of-fortune-${artworkSeed}.webm`);
+      recordedChunks = [];
+    };
+    mediaRecorder.start();
+  }
+
+  isRecording = true;
+  showStatusMessage(`Recording ${recordingDuration} s as ${recordingFormat.label}...`);
+}
+
+/**
+ * Stop Recording Function: Ends the recording and downloads the result.
+ */
+function stopRecording() {
+  if (!isRecording) return;
+  isRecording = false;
+
+  if (recordingFormat.id === 'webm') {
+    mediaRecorder.stop(); // Downloads the video once the last data arrives (see onstop).
+    mediaRecorder = null;
+  } else {
+    const files = recordedFrames.map((data, i) => ({ name: `frame-${String(i + 1).padStart(5, '0')}.png`, data }));
+    downloadBlob(createZip(files), `wheels-of-fortune-${artworkSeed}-frames.zip`);
+    recordedFrames = [];
+  }
+  recordingGraphics.remove();
+  recordingGraphics = null;
+  showStatusMessage(`Recorded ${recordedFrameCount} frames (${nf(recordedFrameCount / recorderSettings.fps, 1, 1)} s at ${recorderSettings.fps} fps)`);
+}
+
+/**
+ * Toggle Recording Function: Starts a recording, or stops the one in progress.
+ */
+function toggleRecording() {
+  if (isRecording) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+/**
+ * Toggle Auto Record Function: Arms or disarms recording on the next bloom.
+ */
+function toggleAutoRecord() {
+  autoRecordOnBloom = !autoRecordOnBloom;
+  showStatusMessage(autoRecordOnBloom ? 'Recording will start with the next bloom' : 'Auto-record off');
+}
+
+/**
+ * Record On Bloom Function: Called when a bloom is triggered; starts a recording if armed.
+ * The bloom's first frame is drawn after this, so the whole burst is captured.
+ */
+function recordOnBloom() {
+  if (autoRecordOnBloom && !isRecording) {
+    startRecording();
+  }
+}
+
+/**
+ * Cycle Recording Duration Function: Switches to the next duration preset.
+ */
+function cycleRecordingDuration() {
+  const durations = recorderSettings.durations;
+  recordingDuration = durations[(durations.indexOf(recordingDuration) + 1) % durations.length];
+  showStatusMessage(`Recording duration: ${recordingDuration} s`);
+}
+
+/**
+ * Cycle Recording Format Function: Switches between PNG sequence and WebM.
+ */
+function cycleRecordingFormat() {
+  if (isRecording) return; // Changing format mid-recording would lose what has been captured.
+  recordingFormat = recordingFormats[(recordingFormats.indexOf(recordingFormat) + 1) % recordingFormats.length];
+  showStatusMessage(`Recording format: ${recordingFormat.label}`);
+}
+
+/**
+ * Capture Recording Frame Function: Draws this frame of the artwork offscreen and adds it to
+ * the recording. Called once per frame from `draw()`, after everything has moved.
+ */
+function captureRecordingFrame() {
+  if (!isRecording) return;
+
+  drawArtwork(recordingGraphics);
+  if (recordingFormat.id === 'webm') {
+    mediaRecorder.stream.getVideoTracks()[0].requestFrame(); // Hand this frame to the encoder.
+  } else {
+    const data = dataURLToBytes(recordingGraphics.elt.toDataURL('image/png'));
+    recordedFrames.push(data);
+    recordedBytes += data.length;
+  }
+  recordedFrameCount++;
+
+  if (recordedFrameCount >= recordingDuration * recorderSettings.fps) {
+    stopRecording();
+  } else if (recordedBytes > recorderSettings.maxPNGMegabytes * 1e6) {
+    stopRecording();
+    showStatusMessage(`Recording stopped after ${nf(recordedFrameCount / recorderSettings.fps, 1, 1)} s: the PNG frames reached ${recorderSettings.maxPNGMegabytes} MB (try a shorter duration or WebM)`, true);
+  }
+}
+
+/**
+ * Draw Recording Indicator Function: While recording, shows a red dot with the recorded
+ * time in the top-right corner (on screen only; it isn't part of the recording).
+ */
+function drawRecordingIndicator() {
+  if (!isRecording && !autoRecordOnBloom) return;
+
+  push();
+  noStroke();
+  textSize(12);
+  textAlign(RIGHT, CENTER);
+  if (isRecording) {
+    fill(230, 60, 60);
+    circle(width - 20, 20, 12);
+    fill(255, 220);
+    const seconds = recordedFrameCount / recorderSettings.fps;
+    text(`REC ${nf(seconds, 1, 1)} / ${recordingDuration} s`, width - 32, 20);
+  } else {
+    fill(255, 200);
+    text('Recording starts with the next bloom', width - 16, 20);
+  }
+  pop();
+}
+
+/**
+ * Data URL To Bytes Function: Decodes a base64 data URL (as returned by `toDataURL()`).
+ * @param {string} dataURL - The data URL.
+ * @returns {Uint8Array} - The decoded file contents.
+ */
+function dataURLToBytes(dataURL) {
+  const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Download Blob Function: Offers a Blob to the user as a file download.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested file name.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download.
+}
+
+/**
+ * CRC Table: Lookup table for the CRC-32 checksum every zip entry needs.
+ */
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC32 Function: Computes the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} - The checksum, as an unsigned 32-bit integer.
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create Zip Function: Bundles files into an uncompressed ("stored") zip archive. PNGs are
+ * already compressed, so storing them as they are loses almost nothing and keeps this short.
+ * @param {{name: string, data: Uint8Array}[]} files - The files to include.
+ * @returns {Blob} - The zip archive.
+ */
+function createZip(files) {
+  const parts = []; // Local headers and file data, in order.
+  const directory = []; // Central directory entries.
+  let offset = 0;
+
+  // Zip timestamps use MS-DOS date and time fields.
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const crc = crc32(file.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature.
+    local.setUint16(4, 20, true); // Version needed to extract (2.0).
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true); // Compressed size (stored, so the same).
+    local.setUint32(22, file.data.length, true); // Uncompressed size.
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // Central directory header signature.
+    entry.setUint16(4, 20, true); // Version made by.
+    entry.setUint16(6, 20, true); // Version needed to extract.
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.data.length, true);
+    entry.setUint32(24, file.data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true); // Where this file's local header starts.
+    directory.push(entry, name);
+
+    offset += 30 + name.length + file.data.length;
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature.
+  end.setUint16(8, files.length, true); // Entries on this disk.
+  end.setUint16(10, files.length, true); // Entries in total.
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true); // Where the central directory starts.
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
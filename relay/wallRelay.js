@@ -0,0 +1,170 @@
+/**
+ * --- Wall Relay ---
+ * A small WebSocket relay for walls of screens on more than one computer (see multiScreen.js).
+ * Each message a screen sends is passed on to the other screens in the same room; the relay
+ * keeps no state of its own. It only needs Node.js, no packages:
+ *
+ *   node relay/wallRelay.js [port]
+ *
+ * Each screen then adds `&relay=ws://<this computer's address>:8787` to its link.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Relay Settings: Where the relay listens, and its limits.
+ */
+const relaySettings = {
+  port: Number(process.argv[2]) || 8787,
+  maxMessageBytes: 64 * 1024 * 1024, // A state with tens of thousands of seeds in flight runs to a few megabytes.
+};
+
+const websocketGUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by the WebSocket protocol (RFC 6455).
+const rooms = new Map(); // Room name -> Set of connected screens: { socket, buffer, fragments, fragmentBytes, room }.
+
+/**
+ * Encode Frame Function: Wraps a payload in an unmasked WebSocket frame, as servers send them.
+ * @param {Buffer} payload - The data.
+ * @param {number} [opcode=1] - 1 for text, 8 for close, 10 for pong.
+ * @returns {Buffer}
+ */
+function encodeFrame(payload, opcode = 1) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode; // The final (and only) frame of its message.
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read Frames Function: Takes every complete frame out of what a screen has sent so far. Frames
+ * can arrive split across, or packed into, network packets, so the rest waits for more data.
+ * @param {Object} client - The screen.
+ */
+function readFrames(client) {
+  while (client.buffer.length >= 2 && !client.socket.destroyed) {
+    const buffer = client.buffer;
+    const isFinal = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const isMasked = (buffer[1] & 0x80) !== 0; // Browsers always mask what they send.
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > relaySettings.maxMessageBytes) {
+      client.socket.destroy();
+      return;
+    }
+    const maskOffset = offset;
+    if (isMasked) offset += 4;
+    if (buffer.length < offset + length) return;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (isMasked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    client.buffer = buffer.subarray(offset + length);
+    handleFrame(client, isFinal, opcode, payload);
+  }
+}
+
+/**
+ * Handle Frame Function: Passes finished text messages on to the room, and answers pings and
+ * closes. Binary messages aren't used by the screens and are ignored.
+ * @param {Object} client - The screen that sent the frame.
+ * @param {boolean} isFinal - Whether the frame ends its message.
+ * @param {number} opcode - The frame type.
+ * @param {Buffer} payload - The unmasked data.
+ */
+function handleFrame(client, isFinal, opcode, payload) {
+  if (opcode === 8) { // Close.
+    client.socket.end(encodeFrame(Buffer.alloc(0), 8));
+    return;
+  }
+  if (opcode === 9) { // Ping.
+    client.socket.write(encodeFrame(payload, 10));
+    return;
+  }
+  if (opcode === 1 || (opcode === 0 && client.fragments)) { // Text, or the rest of a text message.
+    if (opcode === 1) {
+      client.fragments = [];
+      client.fragmentBytes = 0;
+    }
+    client.fragments.push(payload);
+    client.fragmentBytes += payload.length;
+    if (client.fragmentBytes > relaySettings.maxMessageBytes) {
+      client.fragments = null;
+      client.socket.destroy(); // Each frame was small enough, but the message they make up isn't.
+      return;
+    }
+    if (!isFinal) return;
+    const frame = encodeFrame(Buffer.concat(client.fragments));
+    client.fragments = null;
+    for (const other of rooms.get(client.room)) {
+      if (other !== client) other.socket.write(frame);
+    }
+  }
+}
+
+/**
+ * Leave Room Function: Forgets a screen whose connection has closed.
+ * @param {Object} client - The screen.
+ */
+function leaveRoom(client) {
+  const room = rooms.get(client.room);
+  if (!room || !room.delete(client)) return;
+  if (room.size === 0) rooms.delete(client.room);
+  console.log(`A screen left room "${client.room}" (${room.size} still connected).`);
+}
+
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('This is a Wheels of Fortune wall relay: screens connect to it with a WebSocket.\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + websocketGUID).digest('base64');
+  socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+  socket.setNoDelay(true); // Changes are due on a frame a tenth of a second away.
+
+  const room = new URL(request.url, 'http://relay').searchParams.get('room') || 'wall';
+  const client = { socket, buffer: Buffer.alloc(0), fragments: null, fragmentBytes: 0, room };
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(client);
+  console.log(`A screen joined room "${room}" (${rooms.get(room).size} connected).`);
+
+  socket.on('data', data => {
+    client.buffer = Buffer.concat([client.buffer, data]);
+    readFrames(client);
+  });
+  socket.on('close', () => leaveRoom(client));
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(relaySettings.port, () => {
+  console.log(`Wall relay listening on ws://localhost:${relaySettings.port}`);
+});
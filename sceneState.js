@@ -0,0 +1,447 @@
+/**
+ * --- Scene State ---
+ * Saves the whole artwork (wheels, connectors, undo/redo history and, optionally, live
+ * particles) to a JSON document and restores it later. Scenes are exported as a
+ * file download and imported through a file picker, by dropping a file on the canvas, or
+ * from a path in the `?scene=` URL parameter.
+ */
+
+/**
+ * Scene Format: Identifies our JSON documents and their schema version.
+ * Bump `sceneSchemaVersion` whenever the document layout changes, and teach
+ * `migrateScene()` how to upgrade the previous version, so older files keep loading
+ * and newer ones are rejected with a clear message instead of loading half-broken.
+ *
+ * Version history:
+ * 1 - `blownAwayHistory`: an undo stack of wheel-id groups.
+ * 2 - `history`: the full undo/redo timeline ({ commands, position }).
+ * 3 - particles record the wheel and slot they came from (`wheelId`, `slotIndex`).
+ * 4 - particles store their `drag` instead of a fixed `windX`/`windY` (wind is now global).
+ * 5 - chain reaction blooms record their `hops` (wheel-id groups, one per step of the chain).
+ * 6 - wheels record their `style` (see wheelStyles.js); particles may be `petal`s.
+ * 7 - deep blooms: wheels record `isDeepBloom` and `dispersedStages`, blooms may be `deep`,
+ *     and particles may be `fragment`s or lie on the ground (`isLanded`).
+ * 8 - wheels record how far they have turned (`angle`, see physics.js).
+ * 9 - `history.pending`: the hops of chain reactions still spreading, which resume on load.
+ */
+const sceneFormatName = 'wheels-of-fortune-scene';
+const sceneSchemaVersion = 9;
+
+/**
+ * Serialize Scene Function: Converts the current artwork into a plain JSON-friendly object.
+ * Connectors and history refer to wheels by id rather than holding the wheels themselves.
+ * @param {boolean} [includeParticles=false] - Whether to also save particles that are still in flight.
+ * @returns {Object} - The scene document.
+ */
+function serializeScene(includeParticles = false) {
+  // Coordinates are stored relative to the composition frame, so letterbox bars aren't saved.
+  const frame = compositionFrame;
+  const scene = {
+    format: sceneFormatName,
+    version: sceneSchemaVersion,
+    seed: artworkSeed,
+    canvas: { width: frame.w, height: frame.h }, // Used to scale the scene when loaded on a different screen.
+    wheels: wheels.map(w => ({
+      id: w.id,
+      x: restingPlace(w).x - frame.x, // Where the wheel belongs, not where physics mode has swung it to.
+      y: restingPlace(w).y - frame.y,
+      radius: w.radius,
+      style: w.style.id,
+      palette: w.colors.slice(), // Copy so later palette edits don't change the saved data.
+      stemAngle: w.stemAngle,
+      angle: w.angle,
+      isBlownAway: w.isBlownAway,
+      innerAlpha: w.innerAlpha,
+      isDeepBloom: w.isDeepBloom,
+      dispersedStages: w.dispersedStages,
+    })),
+    connectors: connectors.map(c => ({ from: c.w1.id, to: c.w2.id, color: c.color })),
+    history: {
+      commands: commandHistory.commands.map(command => {
+        const data = { type: command.type, wheels: command.wheels.map(w => w.id) };
+        if (command.hops) {
+          data.hops = command.hops.map(hop => hop.map(w => w.id));
+        }
+        if (command.deep) {
+          data.deep = true;
+        }
+        return data;
+      }),
+      position: commandHistory.position,
+      pending: scheduledHops
+        .filter(hop => commandHistory.commands.includes(hop.command)) // Hops of a command the history has forgotten are lost.
+        .map(hop => ({ command: commandHistory.commands.indexOf(hop.command), wheels: hop.wheels.map(w => w.id), framesLeft: hop.framesLeft })),
+    },
+  };
+
+  if (includeParticles) {
+    const engine = particleEngine;
+    scene.particles = [];
+    engine.forEach(i => {
+      if (engine.state[i] === PARTICLE_FADED) return; // Faded seeds aren't saved; restores spawn them off-screen.
+      scene.particles.push({
+        x: engine.x[i] - frame.x,
+        y: engine.y[i] - frame.y,
+        type: particleTypes[engine.type[i]],
+        color: engine.colors[engine.colorIndex[i]].hex,
+        size: engine.size[i],
+        alpha: engine.alpha[i],
+        targetX: engine.targetX[i] - frame.x,
+        targetY: engine.targetY[i] - frame.y,
+        rotation: engine.rotation[i],
+        rotationSpeed: engine.rotationSpeed[i],
+        velX: engine.vx[i],
+        velY: engine.vy[i],
+        drag: engine.drag[i],
+        isReturning: engine.state[i] === PARTICLE_RETURNING,
+        isLanded: engine.state[i] === PARTICLE_LANDED,
+        wheelId: engine.wheelId[i] === -1 ? null : engine.wheelId[i],
+        slotIndex: engine.slotIndex[i],
+      });
+    });
+  }
+  return scene;
+}
+
+/**
+ * Validate Scene Function: Checks that a parsed document is a scene we can load.
+ * Throws an Error describing the first problem found, including where in the file it is.
+ * @param {Object} scene - The parsed JSON document.
+ */
+function validateScene(scene) {
+  const fail = message => { throw new Error(message); };
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+  const isColor = v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+
+  if (!scene || typeof scene !== 'object' || Array.isArray(scene)) fail('File is not a scene object.');
+  if (scene.format !== sceneFormatName) fail('File is not a Wheels of Fortune scene.');
+  if (!Number.isInteger(scene.version)) fail('Scene is missing its schema version.');
+  if (scene.version > sceneSchemaVersion) fail(`Scene version ${scene.version} is newer than this sketch supports (${sceneSchemaVersion}).`);
+  if (scene.version < 1) fail(`Unknown scene version ${scene.version}.`);
+  if (!scene.canvas || !isNumber(scene.canvas.width) || !isNumber(scene.canvas.height) ||
+      scene.canvas.width <= 0 || scene.canvas.height <= 0) fail('canvas: width and height must be positive numbers.');
+  if (!Array.isArray(scene.wheels)) fail('wheels: expected an array.');
+
+  const ids = new Set();
+  scene.wheels.forEach((w, i) => {
+    const where = `wheels[${i}]`;
+    if (!w || typeof w !== 'object') fail(`${where}: expected an object.`);
+    if (!Number.isInteger(w.id)) fail(`${where}.id: expected an integer.`);
+    if (ids.has(w.id)) fail(`${where}.id: duplicate id ${w.id}.`);
+    ids.add(w.id);
+    for (const field of ['x', 'y', 'radius', 'stemAngle', 'angle', 'innerAlpha']) {
+      if (!isNumber(w[field])) fail(`${where}.${field}: expected a number.`);
+    }
+    if (w.radius <= 0) fail(`${where}.radius: must be greater than 0.`);
+    if (w.innerAlpha < 0 || w.innerAlpha > 255) fail(`${where}.innerAlpha: must be between 0 and 255.`);
+    if (typeof w.isBlownAway !== 'boolean') fail(`${where}.isBlownAway: expected true or false.`);
+    if (!Array.isArray(w.palette) || w.palette.length !== 5 || !w.palette.every(isColor)) {
+      fail(`${where}.palette: expected 5 hex colors like "#45206A".`);
+    }
+    if (!findWheelStyle(w.style)) fail(`${where}.style: unknown wheel style "${w.style}".`);
+    if (typeof w.isDeepBloom !== 'boolean') fail(`${where}.isDeepBloom: expected true or false.`);
+    if (!Number.isInteger(w.dispersedStages) || w.dispersedStages < 0 || w.dispersedStages > deepStageCount(findWheelStyle(w.style))) {
+      fail(`${where}.dispersedStages: expected a whole number from 0 to ${deepStageCount(findWheelStyle(w.style))}.`);
+    }
+  });
+
+  if (!Array.isArray(scene.connectors)) fail('connectors: expected an array.');
+  scene.connectors.forEach((c, i) => {
+    const where = `connectors[${i}]`;
+    if (!c || typeof c !== 'object') fail(`${where}: expected an object.`);
+    if (!ids.has(c.from)) fail(`${where}.from: no wheel with id ${c.from}.`);
+    if (!ids.has(c.to)) fail(`${where}.to: no wheel with id ${c.to}.`);
+    if (!isColor(c.color)) fail(`${where}.color: expected a hex color.`);
+  });
+
+  if (!scene.history || typeof scene.history !== 'object') fail('history: expected an object.');
+  if (!Array.isArray(scene.history.commands)) fail('history.commands: expected an array.');
+  scene.history.commands.forEach((command, i) => {
+    const where = `history.commands[${i}]`;
+    if (!command || command.type !== 'bloom') fail(`${where}.type: unknown command type.`);
+    if (!Array.isArray(command.wheels) || command.wheels.length === 0) fail(`${where}.wheels: expected a non-empty array of wheel ids.`);
+    command.wheels.forEach((id, j) => {
+      if (!ids.has(id)) fail(`${where}.wheels[${j}]: no wheel with id ${id}.`);
+    });
+    if (command.hops !== undefined) {
+      if (!Array.isArray(command.hops) || command.hops.length === 0) fail(`${where}.hops: expected a non-empty array of wheel-id groups.`);
+      command.hops.forEach((hop, j) => {
+        if (!Array.isArray(hop) || hop.length === 0) fail(`${where}.hops[${j}]: expected a non-empty array of wheel ids.`);
+        hop.forEach((id, k) => {
+          if (!command.wheels.includes(id)) fail(`${where}.hops[${j}][${k}]: wheel ${id} is not part of this bloom.`);
+        });
+      });
+    }
+    if (command.deep !== undefined && typeof command.deep !== 'boolean') fail(`${where}.deep: expected true or false.`);
+  });
+  if (!Number.isInteger(scene.history.position) || scene.history.position < 0 ||
+      scene.history.position > scene.history.commands.length) fail('history.position: out of range.');
+  if (!Array.isArray(scene.history.pending)) fail('history.pending: expected an array.');
+  scene.history.pending.forEach((hop, i) => {
+    const where = `history.pending[${i}]`;
+    if (!hop || typeof hop !== 'object') fail(`${where}: expected an object.`);
+    if (!Number.isInteger(hop.command) || hop.command < 0 || hop.command >= scene.history.position) {
+      fail(`${where}.command: expected the index of an applied command.`);
+    }
+    const command = scene.history.commands[hop.command];
+    if (!Array.isArray(hop.wheels)) fail(`${where}.wheels: expected an array of wheel ids.`);
+    hop.wheels.forEach((id, j) => {
+      if (!command.wheels.includes(id)) fail(`${where}.wheels[${j}]: wheel ${id} is not part of that bloom.`);
+    });
+    if (!Number.isInteger(hop.framesLeft) || hop.framesLeft < 0) fail(`${where}.framesLeft: expected a whole number.`);
+  });
+
+  if (scene.particles !== undefined) {
+    if (!Array.isArray(scene.particles)) fail('particles: expected an array.');
+    scene.particles.forEach((p, i) => {
+      const where = `particles[${i}]`;
+      if (!p || typeof p !== 'object') fail(`${where}: expected an object.`);
+      if (!particleTypes.includes(p.type)) fail(`${where}.type: unknown particle type "${p.type}".`);
+      if (!isColor(p.color)) fail(`${where}.color: expected a hex color.`);
+      for (const field of ['x', 'y', 'size', 'alpha', 'targetX', 'targetY', 'rotation', 'rotationSpeed', 'velX', 'velY', 'drag']) {
+        if (!isNumber(p[field])) fail(`${where}.${field}: expected a number.`);
+      }
+      if (typeof p.isReturning !== 'boolean') fail(`${where}.isReturning: expected true or false.`);
+      if (typeof p.isLanded !== 'boolean') fail(`${where}.isLanded: expected true or false.`);
+      if (p.isReturning && p.isLanded) fail(`${where}: a particle can't be returning and landed at once.`);
+      if (p.wheelId !== null && !ids.has(p.wheelId)) fail(`${where}.wheelId: no wheel with id ${p.wheelId}.`);
+      if (!Number.isInteger(p.slotIndex) || p.slotIndex < 0) fail(`${where}.slotIndex: expected a non-negative integer.`);
+    });
+  }
+}
+
+/**
+ * Migrate Scene Function: Upgrades a document saved by an older version of the sketch
+ * to the current schema, one version at a time. Unknown or future versions are left
+ * untouched for `validateScene()` to reject.
+ * @param {Object} scene - The parsed JSON document.
+ * @returns {Object} - The document in the current schema.
+ */
+function migrateScene(scene) {
+  if (!scene || typeof scene !== 'object' || scene.format !== sceneFormatName) return scene;
+
+  if (scene.version === 1 && Array.isArray(scene.blownAwayHistory)) {
+    // Version 1 only had an undo stack; every entry in it was an applied bloom.
+    const stack = scene.blownAwayHistory;
+    scene = Object.assign({}, scene, {
+      version: 2,
+      history: { commands: stack.map(group => ({ type: 'bloom', wheels: group })), position: stack.length },
+    });
+    delete scene.blownAwayHistory;
+  }
+
+  if (scene.version === 2) {
+    // Version 2 particles didn't know their owner; they keep drifting but can't be called back.
+    scene = Object.assign({}, scene, { version: 3 });
+    if (Array.isArray(scene.particles)) {
+      scene.particles = scene.particles.map(p => Object.assign({ wheelId: null, slotIndex: 0 }, p));
+    }
+  }
+
+  if (scene.version === 3) {
+    // Version 3 particles carried their own fixed wind; they now follow the global wind field.
+    scene = Object.assign({}, scene, { version: 4 });
+    if (Array.isArray(scene.particles)) {
+      scene.particles = scene.particles.map(p => {
+        const upgraded = Object.assign({ drag: 0.04 }, p);
+        delete upgraded.windX;
+        delete upgraded.windY;
+        return upgraded;
+      });
+    }
+  }
+
+  if (scene.version === 4) {
+    // Version 4 had no chain reactions; every bloom happened at once, which is what a bloom without `hops` means.
+    scene = Object.assign({}, scene, { version: 5 });
+  }
+
+  if (scene.version === 5) {
+    // Version 5 wheels all had the anatomy that is now the classic style.
+    scene = Object.assign({}, scene, { version: 6 });
+    if (Array.isArray(scene.wheels)) {
+      scene.wheels = scene.wheels.map(w => Object.assign({ style: 'classic' }, w));
+    }
+  }
+
+  if (scene.version === 6) {
+    // Version 6 had no deep blooms and no ground: every bloom released only the seeds, and no seed had landed.
+    scene = Object.assign({}, scene, { version: 7 });
+    if (Array.isArray(scene.wheels)) {
+      scene.wheels = scene.wheels.map(w => Object.assign({ isDeepBloom: false, dispersedStages: 0 }, w));
+    }
+    if (Array.isArray(scene.particles)) {
+      scene.particles = scene.particles.map(p => Object.assign({ isLanded: false }, p));
+    }
+  }
+
+  if (scene.version === 7) {
+    // Version 7 wheels never turned: there was no physics mode.
+    scene = Object.assign({}, scene, { version: 8 });
+    if (Array.isArray(scene.wheels)) {
+      scene.wheels = scene.wheels.map(w => Object.assign({ angle: 0 }, w));
+    }
+  }
+
+  if (scene.version === 8) {
+    // Version 8 didn't save chain reactions still spreading: their remaining hops were lost.
+    scene = Object.assign({}, scene, { version: 9 });
+    if (scene.history && typeof scene.history === 'object') {
+      scene.history = Object.assign({ pending: [] }, scene.history);
+    }
+  }
+  return scene;
+}
+
+/**
+ * Restore Scene Function: Validates a scene document and, if it is valid, replaces the
+ * current artwork with it. Positions and sizes are scaled uniformly so the saved
+ * composition fits the current canvas. Nothing is changed if validation fails.
+ * @param {Object} scene - The parsed JSON document.
+ */
+function restoreScene(scene) {
+  scene = migrateScene(scene);
+  validateScene(scene); // Throws before touching the current artwork if the file is malformed.
+
+  // Fit the saved canvas inside the current one (or wall), centering it (letterboxing any leftover space).
+  const area = fullCanvasFrame();
+  const scale = min(area.w / scene.canvas.width, area.h / scene.canvas.height);
+  const offsetX = area.x + (area.w - scene.canvas.width * scale) / 2;
+  const offsetY = area.y + (area.h - scene.canvas.height * scale) / 2;
+  compositionFrame = { x: offsetX, y: offsetY, w: scene.canvas.width * scale, h: scene.canvas.height * scale };
+
+  if (Number.isInteger(scene.seed)) {
+    artworkSeed = scene.seed; // Keep particle motion consistent with the saved scene.
+  }
+
+  const wheelsById = new Map();
+  wheels = scene.wheels.map(data => {
+    const w = new Wheel(offsetX + data.x * scale, offsetY + data.y * scale, data.radius * scale, data.palette.slice(), findWheelStyle(data.style));
+    w.id = data.id; // Keep the saved id so connectors and history still point at the right wheel.
+    w.stemAngle = data.stemAngle;
+    w.angle = data.angle;
+    w.isBlownAway = data.isBlownAway;
+    w.innerAlpha = data.innerAlpha;
+    w.isDeepBloom = data.isDeepBloom;
+    w.dispersedStages = data.dispersedStages;
+    w.bloomFrames = data.dispersedStages * bloomSettings.deepStageFrames; // A deep bloom in progress carries on from its next stage.
+    wheelsById.set(w.id, w);
+    return w;
+  });
+  nextWheelId = wheels.reduce((maxId, w) => max(maxId, w.id + 1), 0); // New wheels must not reuse a loaded id.
+  clearEditSelection(); // The selected wheel was one of the old ones.
+
+  connectors = scene.connectors.map(c => new Connector(wheelsById.get(c.from), wheelsById.get(c.to), c.color));
+  commandHistory.clear();
+  const toWheels = group => group.map(id => wheelsById.get(id));
+  commandHistory.commands = scene.history.commands.map(command =>
+    new BloomCommand(toWheels(command.wheels), command.hops ? command.hops.map(toWheels) : null, command.deep === true));
+  commandHistory.position = scene.history.position;
+  commandHistory.commands.slice(0, commandHistory.position).forEach(command => {
+    command.bloomedWheels = command.wheels.filter(w => w.isBlownAway); // Applied blooms own their blown-away wheels, so undo restores them.
+  });
+  for (const hop of scene.history.pending) {
+    scheduleHop(commandHistory.commands[hop.command], toWheels(hop.wheels), hop.framesLeft); // Chains carry on spreading.
+  }
+
+  particleEngine.clear(); // Seeds that faded before saving weren't stored; restores spawn them off-screen.
+  for (const data of scene.particles || []) {
+    const i = particleEngine.spawn({
+      x: offsetX + data.x * scale, y: offsetY + data.y * scale, type: data.type, color: data.color, size: data.size * scale,
+      targetX: offsetX + data.targetX * scale, targetY: offsetY + data.targetY * scale, rotation: data.rotation,
+      wheelId: data.wheelId, slotIndex: data.slotIndex,
+    });
+    if (i === -1) break; // More returning seeds than the cap holds: the rest aren't loaded.
+    particleEngine.alpha[i] = data.alpha;
+    particleEngine.rotationSpeed[i] = data.rotationSpeed;
+    particleEngine.vx[i] = data.velX * scale;
+    particleEngine.vy[i] = data.velY * scale;
+    particleEngine.drag[i] = data.drag;
+    if (data.isReturning) {
+      particleEngine.startReturn(i); // Resume the journey back from where it was saved.
+    } else if (data.isLanded) {
+      particleEngine.setState(i, PARTICLE_LANDED); // Back on the pile; it is restacked on this canvas's ground.
+    }
+  }
+  markWallStateChanged(); // Show it on every screen of a wall.
+}
+
+/**
+ * Export Scene Function: Downloads the current scene as a JSON file.
+ * @param {boolean} [includeParticles=false] - Whether to also save particles that are still in flight.
+ */
+function exportScene(includeParticles = false) {
+  saveJSON(serializeScene(includeParticles), `wheels-of-fortune-${artworkSeed}.json`);
+  showStatusMessage(includeParticles ? 'Scene saved (with particles).' : 'Scene saved.');
+}
+
+/**
+ * Import Scene File Function: Reads a JSON file chosen by the user and loads it.
+ * Any problem (unreadable file, invalid JSON, failed validation) is shown on the canvas.
+ * The file is read with a plain FileReader rather than p5's file helpers, because those
+ * parse JSON internally and a malformed file would throw where we can't catch it.
+ * @param {File} file - The browser File object to import.
+ */
+function importSceneFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const doc = JSON.parse(reader.result);
+      if (isSessionDocument(doc)) {
+        loadSession(doc); // Session files share the picker and drop target too (see sessionReplay.js).
+        showStatusMessage(`Loaded session ${file.name}: press H to replay it.`);
+        return;
+      }
+      if (isScoreDocument(doc)) {
+        loadScore(parseScoreDocument(doc, file.name)); // So do JSON choreography scores (see choreography.js).
+        return;
+      }
+      if (isPaletteDocument(doc)) {
+        const count = loadPaletteDocument(doc); // Palette files share the picker and drop target (see palettes.js).
+        showStatusMessage(`Loaded ${count} palette set${count === 1 ? '' : 's'} from ${file.name}.`);
+        return;
+      }
+      restoreScene(doc);
+      showStatusMessage(`Loaded ${file.name}.`);
+    } catch (err) {
+      showStatusMessage(`Could not load ${file.name}: ${err.message}`, true);
+    }
+  };
+  reader.onerror = () => showStatusMessage(`Could not read ${file.name}.`, true);
+  reader.readAsText(file);
+}
+
+/**
+ * Load Scene From URL Function: Loads the scene named by the `?scene=` parameter, if there is
+ * one (e.g. `?scene=scenes/stress-test.json`). Like `importSceneFile()`, the file is fetched as
+ * text and parsed here, so any problem is shown on the canvas instead of being thrown.
+ */
+function loadSceneFromURL() {
+  const path = new URLSearchParams(window.location.search).get('scene');
+  if (!path) return;
+  fetch(path)
+    .then(response => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response.text();
+    })
+    .then(text => {
+      restoreScene(JSON.parse(text));
+      showStatusMessage(`Loaded ${path}.`);
+    })
+    .catch(err => showStatusMessage(`Could not load ${path}: ${err.message}`, true));
+}
+
+/**
+ * Open Scene Picker Function: Shows the browser's file picker for choosing a scene to import.
+ */
+function openScenePicker() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.onchange = () => {
+    if (input.files.length > 0) {
+      importSceneFile(input.files[0]);
+    }
+  };
+  input.click();
+}
@@ -0,0 +1,512 @@
+/**
+ * --- Session Recording and Replay ---
+ * Records a visitor's session as a log of their input and plays it back exactly, for gallery
+ * installations:
+ *   - 'Q' starts recording and 'Q' again stops; 'Shift+Q' saves the last session as JSON.
+ *   - 'H' replays it, or pauses and resumes a replay; 'Shift+H' changes the replay speed.
+ *   - Attract mode: with "Attract mode after" set in the settings panel (or `?attract=60` in
+ *     the link), the session replays on a loop whenever nobody has touched the artwork for
+ *     that many seconds. Any click or key press hands the artwork back to the visitor.
+ * Saved sessions load like scenes ('O' or dropping the file), or from a link such as
+ * `?session=sessions/visit.json&attract=60`.
+ *
+ * A session starts from a snapshot: the scene with its particles, the settings, the wind
+ * and the bloom mode, and a fresh seed for p5's `random()`. Starting to record loads that
+ * snapshot straight back, so recording and replay both begin from exactly the same state.
+ * Everything moves by a fixed amount per frame (see recorder.js), so the log only needs the
+ * frame each input arrived before: clicks, drags, scrolls, key presses and window resizes.
+ * Replay hands them to the same `mousePressed()`, `keyPressed()` and other handlers, so the
+ * session plays back frame for frame.
+ *   - The canvas is resized to the recorded size for the replay, and back afterwards.
+ *   - Keys that save or open files, record video or start audio are not recorded, so an
+ *     attract loop can't fire them again (see `unrecordedKeys`).
+ *   - Touch gestures are not recorded: taps and holds are timed with the clock rather than
+ *     in frames, so they couldn't be replayed exactly. They do stop a replay.
+ *   - Faster replays draw several frames per `draw()`; slower ones lower the frame rate.
+ */
+
+/**
+ * Session Settings: Replay speeds and attract mode.
+ */
+const sessionSettings = {
+  speeds: [0.25, 0.5, 1, 2, 4], // The speeds 'Shift+H' cycles through.
+  attractDelay: 0, // Seconds without input before attract mode replays the session (0 is off).
+};
+
+/**
+ * Session Format: Identifies session documents and their schema version.
+ */
+const sessionFormatName = 'wheels-of-fortune-session';
+const sessionSchemaVersion = 1;
+
+/**
+ * Session Event Types: Each kind of input a session records, with the fields it stores
+ * (all numbers) and how to `replay` it. Mouse events also store the mouse position (`x`,
+ * `y`), which replaying puts back into `mouseX` and `mouseY` before calling the handler.
+ */
+const sessionEventTypes = [
+  { type: 'press', fields: ['x', 'y'], replay: () => mousePressed() },
+  { type: 'drag', fields: ['x', 'y', 'px', 'py'], replay: () => mouseDragged() },
+  { type: 'release', fields: ['x', 'y'], replay: () => mouseReleased() },
+  { type: 'doubleClick', fields: ['x', 'y'], replay: () => doubleClicked() },
+  { type: 'wheel', fields: ['x', 'y', 'delta'], replay: event => mouseWheel({ delta: event.delta }) },
+  {
+    type: 'key', fields: ['keyCode'],
+    replay: event => {
+      key = event.key;
+      keyCode = event.keyCode;
+      replayHeldKeys = event.held; // Answers `isKeyHeld()` for Shift and Control.
+      keyPressed();
+      replayHeldKeys = null;
+    },
+  },
+  { type: 'resize', fields: ['width', 'height'], replay: event => resizeForSession(event.width, event.height) },
+];
+
+/**
+ * Unrecorded Keys: Keys a session neither records nor replays, as they reach outside the
+ * artwork: saving files ('s', 'x'), choosing one ('o'), the video recorder ('c', 'd'), asking
+ * for the microphone or loading the sample track ('a', 'm') and the palette editor with its
+ * Load and Save buttons ('k', but not 'Shift+K', which only recolors).
+ */
+const unrecordedKeys = ['s', 'S', 'x', 'X', 'o', 'O', 'c', 'C', 'd', 'D', 'a', 'A', 'm', 'M', 'k'];
+
+let sessionRecording = null; // The session being recorded; its `events` grow as input arrives.
+let recordedSession = null; // The last session recorded or loaded, ready to replay.
+let sessionReplay = null; // The replay in progress: { session, frame, nextEvent, isPaused, isAttract, reducedMotion }.
+let replaySpeed = 1;
+let isDispatchingReplay = false; // True while a replayed event is being handled.
+let replayHeldKeys = null; // While a key press is replayed: the key codes held with it.
+let lastInteractionTime = 0; // millis() of the last input from a visitor.
+
+/**
+ * Note Interaction Function: Called by the input handlers with each real click, drag, scroll,
+ * key press or resize. Adds it to the session being recorded, and hands the artwork back
+ * from any replay. Replayed input, which goes through the same handlers, is ignored.
+ * @param {Object} event - The input, as one of the `sessionEventTypes` (without its frame).
+ */
+function noteInteraction(event) {
+  if (isDispatchingReplay) return;
+  noteVisitor();
+  if (sessionRecording) {
+    sessionRecording.events.push(Object.assign({ frame: sessionRecording.frames }, event));
+  }
+}
+
+/**
+ * Note Visitor Function: Someone is using the artwork: restart the attract mode countdown and
+ * stop any replay. Touch input (see pointerInput.js) calls this directly, as it isn't recorded.
+ */
+function noteVisitor() {
+  lastInteractionTime = millis();
+  if (sessionReplay) {
+    stopReplay();
+  }
+}
+
+/**
+ * Is Key Held Function: Like p5's `keyIsDown()`, but while a key press is being replayed it
+ * answers for the keys that were held when it was recorded.
+ * @param {number} code - The key code (e.g. SHIFT).
+ * @returns {boolean}
+ */
+function isKeyHeld(code) {
+  return replayHeldKeys ? replayHeldKeys.includes(code) : keyIsDown(code);
+}
+
+/**
+ * Held Modifier Keys Function: The modifier keys down right now, to record with a key press.
+ * @returns {number[]} - Key codes: Shift, Control, and 91 for the Command key on macOS.
+ */
+function heldModifierKeys() {
+  return [SHIFT, CONTROL, 91].filter(code => keyIsDown(code));
+}
+
+/**
+ * Capture Session Start Function: Takes the snapshot a new session starts from.
+ * @returns {Object} - A session document with no events yet.
+ */
+function captureSessionStart() {
+  return {
+    format: sessionFormatName,
+    version: sessionSchemaVersion,
+    canvas: { width, height },
+    randomSeed: generateSeed(),
+    windTime,
+    windAngle: windSettings.angle,
+    bloomMode: activeBloomMode.id,
+    fitMode: activeFitMode.id,
+    isReducedMotion,
+    config: artworkConfigValues(),
+    scene: serializeScene(true),
+    frames: 0,
+    events: [],
+  };
+}
+
+/**
+ * Enter Session Start Function: Puts the artwork into the state a session starts from.
+ * Used both when recording starts and when a replay starts (or loops).
+ * @param {Object} session - The session document.
+ */
+function enterSessionStart(session) {
+  resizeForSession(session.canvas.width, session.canvas.height);
+  restoreScene(session.scene);
+  applyConfig(session.config, false); // The scene already holds the composition these settings made.
+  activeBloomMode = bloomModes.find(m => m.id === session.bloomMode);
+  activeFitMode = fitModes.find(m => m.id === session.fitMode);
+  isReducedMotion = session.isReducedMotion;
+  stopScore(); // A score started during the session is started again by its recorded key press.
+  ropePulses = [];
+  resetCamera();
+  resetWind();
+  windTime = session.windTime;
+  windSettings.angle = session.windAngle;
+  if (isEditMode) {
+    toggleEditMode();
+  }
+  focusedWheel = null;
+  noiseSeed(artworkSeed);
+  randomSeed(session.randomSeed);
+}
+
+/**
+ * Resize For Session Function: Resizes the canvas through `windowResized()`, as if the window
+ * had that size. Does nothing if the canvas is that size already.
+ * @param {number} w - The width.
+ * @param {number} h - The height.
+ */
+function resizeForSession(w, h) {
+  if (w === width && h === height) return;
+  const wasDispatching = isDispatchingReplay;
+  isDispatchingReplay = true; // Not a visitor resizing the window.
+  windowWidth = w;
+  windowHeight = h;
+  windowResized();
+  isDispatchingReplay = wasDispatching;
+}
+
+/**
+ * Toggle Session Recording Function: Starts recording a session, or stops and keeps it.
+ */
+function toggleSessionRecording() {
+  if (sessionRecording) {
+    recordedSession = sessionRecording;
+    sessionRecording = null;
+    const seconds = recordedSession.frames / recorderSettings.fps;
+    showStatusMessage(`Session recorded (${nf(seconds, 1, 1)} s, ${recordedSession.events.length} inputs): H replays it, Shift+Q saves it`);
+    return;
+  }
+  if (sessionReplay) {
+    stopReplay();
+  }
+  const session = captureSessionStart();
+  enterSessionStart(session); // Start from the snapshot, exactly as a replay will.
+  sessionRecording = session;
+  showStatusMessage('Recording session: press Q to stop');
+}
+
+/**
+ * Toggle Replay Function: Replays the last session from the start, or pauses or resumes the
+ * replay in progress.
+ */
+function toggleReplay() {
+  if (sessionReplay) {
+    setReplayPaused(!sessionReplay.isPaused);
+  } else if (sessionRecording) {
+    showStatusMessage('Stop recording (Q) before replaying', true);
+  } else if (!recordedSession) {
+    showStatusMessage('No session to replay: press Q to record one, or open a session file', true);
+  } else {
+    startReplay(recordedSession, false);
+  }
+}
+
+/**
+ * Start Replay Function: Plays a session back from its start.
+ * @param {Object} session - The session document.
+ * @param {boolean} isAttract - Whether attract mode started it (it then loops).
+ */
+function startReplay(session, isAttract) {
+  sessionReplay = { session, frame: 0, nextEvent: 0, isPaused: false, isAttract, reducedMotion: isReducedMotion };
+  enterSessionStart(session);
+  frameRate(recorderSettings.fps * min(replaySpeed, 1)); // Faster speeds draw several frames per `draw()` instead.
+  if (!isAttract) {
+    showStatusMessage('Replaying session: H pauses, Shift+H changes the speed');
+  }
+}
+
+/**
+ * Stop Replay Function: Ends the replay, leaving the artwork as it is, and puts the window's
+ * own size, the frame rate and the reduced-motion setting back.
+ */
+function stopReplay() {
+  isReducedMotion = sessionReplay.reducedMotion;
+  sessionReplay = null;
+  frameRate(recorderSettings.fps);
+  loop();
+  resizeForSession(window.innerWidth, window.innerHeight);
+}
+
+/**
+ * Set Replay Paused Function: Pauses or resumes the replay. While paused, the sketch stops
+ * drawing, so the artwork holds still exactly where the replay is.
+ * @param {boolean} isPaused - Whether to pause.
+ */
+function setReplayPaused(isPaused) {
+  sessionReplay.isPaused = isPaused;
+  if (isPaused) {
+    noLoop();
+    drawSessionIndicator(); // Show that it is paused, over the last frame drawn.
+  } else {
+    loop();
+  }
+}
+
+/**
+ * Cycle Replay Speed Function: Switches to the next replay speed.
+ */
+function cycleReplaySpeed() {
+  const speeds = sessionSettings.speeds;
+  replaySpeed = speeds[(speeds.indexOf(replaySpeed) + 1) % speeds.length];
+  if (sessionReplay) {
+    frameRate(recorderSettings.fps * min(replaySpeed, 1));
+  }
+  showStatusMessage(`Replay speed: ${replaySpeed}×`);
+}
+
+/**
+ * Session Steps This Frame Function: How many frames `draw()` should draw: one, or more
+ * while a session replays faster than real time.
+ * @returns {number}
+ */
+function sessionStepsThisFrame() {
+  return sessionReplay ? max(1, replaySpeed) : 1;
+}
+
+/**
+ * Advance Session Function: Called before each frame the artwork moves. Counts the frame
+ * towards the session being recorded, or replays the input recorded before it. Once a
+ * replay has played every frame, attract mode starts it again and otherwise it ends.
+ * @returns {boolean} - False when a replay has just ended, so the frame isn't drawn (the
+ *   recording ended before it too).
+ */
+function advanceSession() {
+  if (sessionRecording) {
+    sessionRecording.frames++;
+  }
+  const replay = sessionReplay;
+  if (!replay) return true;
+
+  const events = replay.session.events;
+  while (replay.nextEvent < events.length && events[replay.nextEvent].frame <= replay.frame) {
+    dispatchSessionEvent(events[replay.nextEvent++]);
+  }
+  if (replay.frame < replay.session.frames) {
+    replay.frame++;
+    return true;
+  }
+  if (replay.isAttract && replay.session.frames > 0) {
+    startReplay(replay.session, true); // Loop, from the snapshot.
+    return advanceSession();
+  }
+  stopReplay();
+  if (!replay.isAttract) {
+    showStatusMessage('Replay finished');
+  }
+  return false;
+}
+
+/**
+ * Dispatch Session Event Function: Hands a recorded input to its handler.
+ * @param {Object} event - The recorded input.
+ */
+function dispatchSessionEvent(event) {
+  if (event.type === 'key' && unrecordedKeys.includes(event.key)) {
+    return; // A hand-edited or older session file; a replay never saves or opens anything.
+  }
+  isDispatchingReplay = true;
+  if ('x' in event) {
+    mouseX = event.x;
+    mouseY = event.y;
+    pmouseX = 'px' in event ? event.px : event.x;
+    pmouseY = 'py' in event ? event.py : event.y;
+  }
+  sessionEventTypes.find(t => t.type === event.type).replay(event);
+  isDispatchingReplay = false;
+}
+
+/**
+ * Update Attract Mode Function: Starts replaying the session on a loop once nobody has
+ * used the artwork for `sessionSettings.attractDelay` seconds. Called every frame from `draw()`.
+ */
+function updateAttractMode() {
+  const delay = sessionSettings.attractDelay;
+  if (delay <= 0 || !recordedSession || sessionReplay || sessionRecording) return;
+  if (millis() - lastInteractionTime >= delay * 1000) {
+    startReplay(recordedSession, true);
+  }
+}
+
+/**
+ * Handle Session Key Function: Applies the session keys. These are never recorded, and
+ * don't stop a replay.
+ * @returns {boolean} - True if the key was a session key.
+ */
+function handleSessionKey() {
+  if (key === 'q' || key === 'Q') {
+    if (key === 'Q') {
+      exportSession();
+    } else {
+      toggleSessionRecording();
+    }
+    return true;
+  }
+  if (key === 'h' || key === 'H') {
+    if (key === 'H') {
+      cycleReplaySpeed();
+    } else {
+      toggleReplay();
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Export Session Function: Downloads the last recorded session as a JSON file.
+ */
+function exportSession() {
+  if (!recordedSession) {
+    showStatusMessage(sessionRecording ? 'Stop recording (Q) before saving' : 'No session to save: press Q to record one', true);
+    return;
+  }
+  saveJSON(recordedSession, `wheels-of-fortune-session-${recordedSession.scene.seed}.json`);
+  showStatusMessage('Session saved.');
+}
+
+/**
+ * Is Session Document Function: Tells session files apart from scenes, which share the file
+ * picker and drop target.
+ * @param {Object} doc - A parsed JSON document.
+ * @returns {boolean}
+ */
+function isSessionDocument(doc) {
+  return Boolean(doc) && doc.format === sessionFormatName;
+}
+
+/**
+ * Load Session Function: Validates a session document and makes it the one 'H' and attract
+ * mode replay. Throws an Error describing the first problem if it isn't valid.
+ * @param {Object} session - The parsed JSON document.
+ */
+function loadSession(session) {
+  validateSession(session);
+  if (sessionReplay) {
+    stopReplay();
+  }
+  recordedSession = session;
+}
+
+/**
+ * Validate Session Function: Checks that a parsed document is a session we can replay,
+ * including the scene it starts from. Throws an Error describing the first problem found.
+ * @param {Object} session - The parsed JSON document.
+ */
+function validateSession(session) {
+  const fail = message => { throw new Error(message); };
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+  if (!session || typeof session !== 'object' || Array.isArray(session)) fail('File is not a session object.');
+  if (session.format !== sessionFormatName) fail('File is not a Wheels of Fortune session.');
+  if (session.version !== sessionSchemaVersion) fail(`Unknown session version ${session.version}.`);
+  if (!session.canvas || !Number.isInteger(session.canvas.width) || !Number.isInteger(session.canvas.height) ||
+      session.canvas.width <= 0 || session.canvas.height <= 0) fail('canvas: width and height must be positive whole numbers.');
+  if (!Number.isInteger(session.randomSeed)) fail('randomSeed: expected an integer.');
+  if (!isNumber(session.windTime) || !isNumber(session.windAngle)) fail('windTime and windAngle: expected numbers.');
+  if (!bloomModes.some(m => m.id === session.bloomMode)) fail(`bloomMode: unknown bloom mode "${session.bloomMode}".`);
+  if (!fitModes.some(m => m.id === session.fitMode)) fail(`fitMode: unknown fit mode "${session.fitMode}".`);
+  if (typeof session.isReducedMotion !== 'boolean') fail('isReducedMotion: expected true or false.');
+
+  if (!session.config || typeof session.config !== 'object') fail('config: expected an object.');
+  for (const [id, value] of Object.entries(session.config)) {
+    const p = configParameters.find(param => param.id === id && !param.isInstallSetting);
+    if (!p) fail(`config.${id}: unknown setting.`);
+    if (p.type === 'toggle' ? typeof value !== 'boolean' : !isNumber(value) || value < p.min || value > p.max) {
+      fail(`config.${id}: expected ${p.type === 'toggle' ? 'true or false' : `a number from ${p.min} to ${p.max}`}.`);
+    }
+  }
+
+  if (!Number.isInteger(session.frames) || session.frames < 0) fail('frames: expected a whole number.');
+  if (!Array.isArray(session.events)) fail('events: expected an array.');
+  let previousFrame = 0;
+  session.events.forEach((event, i) => {
+    const where = `events[${i}]`;
+    if (!event || typeof event !== 'object') fail(`${where}: expected an object.`);
+    if (!Number.isInteger(event.frame) || event.frame < previousFrame || event.frame > session.frames) {
+      fail(`${where}.frame: expected a whole number from ${previousFrame} to ${session.frames}, in order.`);
+    }
+    previousFrame = event.frame;
+    const eventType = sessionEventTypes.find(t => t.type === event.type);
+    if (!eventType) fail(`${where}.type: unknown input "${event.type}".`);
+    for (const field of eventType.fields) {
+      if (!isNumber(event[field])) fail(`${where}.${field}: expected a number.`);
+    }
+    if (event.type === 'key' && (typeof event.key !== 'string' || !Array.isArray(event.held) || !event.held.every(Number.isInteger))) {
+      fail(`${where}: a key press needs its key and the key codes held with it.`);
+    }
+  });
+
+  try {
+    validateScene(migrateScene(session.scene));
+  } catch (err) {
+    fail(`scene: ${err.message}`);
+  }
+}
+
+/**
+ * Load Session From URL Function: Loads the session named by the `?session=` parameter, if
+ * there is one (e.g. `?session=sessions/visit.json`), for attract mode to replay.
+ */
+function loadSessionFromURL() {
+  const path = new URLSearchParams(window.location.search).get('session');
+  if (!path) return;
+  fetch(path)
+    .then(response => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response.text();
+    })
+    .then(text => {
+      loadSession(JSON.parse(text));
+      showStatusMessage(`Loaded session ${path}.`);
+    })
+    .catch(err => showStatusMessage(`Could not load ${path}: ${err.message}`, true));
+}
+
+/**
+ * Draw Session Indicator Function: While a session is recorded or replayed, shows it with
+ * the time so far below the recorder's indicator in the top-right corner. The backing is
+ * opaque, so it can be drawn again over a paused frame.
+ */
+function drawSessionIndicator() {
+  if (!sessionRecording && (!sessionReplay || sessionReplay.isAttract)) return;
+
+  const time = frames => nf(frames / recorderSettings.fps, 1, 1);
+  let label;
+  if (sessionRecording) {
+    label = `● SESSION ${time(sessionRecording.frames)} s`;
+  } else {
+    const replay = sessionReplay;
+    label = `${replay.isPaused ? '❚❚ PAUSED' : '▶ REPLAY'} ${replaySpeed}×  ${time(replay.frame)} / ${time(replay.session.frames)} s`;
+  }
+
+  push();
+  noStroke();
+  textSize(12);
+  textAlign(RIGHT, CENTER);
+  fill(20);
+  rect(width - 24 - textWidth(label), 32, textWidth(label) + 12, 18, 4);
+  fill(sessionRecording ? color(230, 60, 60) : color(255, 220));
+  text(label, width - 18, 41);
+  pop();
+}
@@ -4,16 +4,40 @@
  */
 let wheels = []; // Stores all Wheel objects, representing the main circular elements.
 let connectors = []; // Stores all Connector objects, which link the wheels.
-let dandelionParticles = []; // Stores particles that "blow away" from wheels, creating a dynamic effect.
-let blownAwayHistory = []; // Tracks the state of wheels that have been "blown away" for undo functionality.
+let commandHistory = new CommandHistory(maxHistoryDepth); // Records blooms so they can be undone and redone.
+let historyTimeline = new HistoryTimeline(commandHistory); // On-canvas scrubber for the command history.
+let nextWheelId = 0; // Counter used to give every Wheel a unique id, so other objects can refer to it.
+
+/**
+ * Artwork Seed: Every random choice in the composition (wheel packing, palettes,
+ * stem angles, connector colors and particle motion) is derived from this number,
+ * so the same seed always reproduces the same artwork. It is read from the
+ * `?seed=` URL parameter, or picked at random when none is given.
+ */
+let artworkSeed;
+
+/**
+ * Active Layout: The layout strategy (from layouts.js) used to place the wheels.
+ * Read from the `?layout=` URL parameter so shared links keep their layout; 'L' cycles through them.
+ */
+let activeLayout;
+
+/**
+ * Status Message: A short line of text shown at the bottom of the canvas to give
+ * feedback (e.g. "Scene saved" or a file validation error). It fades out after a few seconds.
+ */
+let statusMessage = null; // { text, isError, shownAt } or null when nothing is shown.
+const statusMessageDuration = 4000; // How long (in milliseconds) a message stays on screen.
 
 /**
  * Color Palettes: Inspired by Pacita Abad's "Wheels of Fortune," these palettes
  * define the vibrant and layered color schemes for each wheel. Each sub-array
  * contains colors for different parts of a wheel (Base, Outer Dots, Inner Dots, Spokes, Center).
  * These are approximations and can be fine-tuned for precise matching.
+ * This is the built-in set; `colorPalettes` always holds the active set, which can be
+ * swapped for a loaded or extracted one and edited by hand (see palettes.js).
  */
-const colorPalettes = [
+let colorPalettes = [
   // Palette 1: Deep Blue/Purple with Yellow/Orange Accents, evoking a rich, contrasting feel.
   ['#45206A', '#FFD700', '#FF8C00', '#B0E0E6', '#8A2BE2'], // Base, Outer Dots, Inner Dots, Spokes, Center
   // Palette 2: Fiery Reds and Oranges with Green/Blue contrast, creating a dynamic and energetic visual.
@@ -40,54 +64,106 @@ const backgroundColor = '#2A363B';
  * This function runs once at the beginning of the program.
  */
 function setup() {
-  createCanvas(windowWidth, windowHeight); // Create a canvas that fills the browser window.
+  const canvas = createCanvas(windowWidth, windowHeight); // Create a canvas that fills the browser window.
   angleMode(RADIANS); // Set angle mode to RADIANS for consistent trigonometric calculations.
 
+  artworkSeed = readSeedFromURL(); // Use the shared seed if the link has one, otherwise pick a new one.
+  activeLayout = findLayoutStrategy(new URLSearchParams(window.location.search).get('layout')) || layoutStrategies[0];
+  activeWheelStyle = readWheelStyleFromURL();
+  setupConfig(); // Wheel count, sizes and other settings from the link (see config.js).
+  writeSeedToURL(artworkSeed); // Keep the address bar in sync so the current artwork can be shared.
+  setupWall(); // Join the other screens of a wall (`?wall=3x1&screen=2`, see multiScreen.js).
+
+  setupPalettes(); // Register the built-in palettes before the wheels pick from them.
   initializeArtwork(); // Call the function to populate the artwork with wheels and connectors.
+  loadSceneFromURL(); // Replace it with a saved scene if the link names one (`?scene=`).
+  loadSessionFromURL(); // And load a recorded session for attract mode (`?session=`).
+  loadScoreFromURL(); // And play a choreography score (`?score=`).
+  setupFileDrop(); // Allow scene, palette, image and audio files to be dropped onto the page.
+  setupPointerInput(canvas.elt); // Taps, holds, swipes and pinches from touch screens and pens.
+  setupAccessibility(canvas.elt); // Keyboard focus, screen-reader descriptions and reduced motion.
 }
 
 /**
  * Draw Function: This function is continuously called by p5.js, typically 60 times per second.
- * It's responsible for rendering all elements and updating their states for animation.
+ * It's responsible for rendering all elements and updating their states for animation,
+ * which `drawFrame()` does one frame at a time.
  */
 function draw() {
+  beginFrameTiming(); // For the performance overlay ('I').
+  updateAttractMode(); // Replay the recorded session once nobody has used the artwork for a while (see sessionReplay.js).
+  // One, unless a session is replaying faster than real time or this screen of a wall is out of step.
+  const steps = sessionStepsThisFrame() * wallStepsThisFrame();
+  for (let step = 0; step < steps; step++) {
+    if (!advanceSession()) break; // Replay the input recorded before this frame, or count it towards the recording.
+    drawFrame();
+  }
+  endFrameTiming();
+  drawPerformanceOverlay(); // Frame rate and frame time (toggle with 'I').
+}
+
+/**
+ * Draw Frame Function: Moves everything on by one frame and draws it, with the overlays on top.
+ */
+function drawFrame() {
   background(backgroundColor); // Clear the canvas with the defined background color in each frame.
+  updateWall(); // Apply what the other screens of a wall did, on the same frame as they do (see multiScreen.js).
+  updateColorTransitions(); // Blend wheels and connectors towards a changed palette.
+  updatePhysics(); // Spin the wheels and swing the connector chains, in physics mode ('J').
 
   /**
    * Display Connectors: Connectors are drawn first to ensure they appear
-   * behind the wheels, creating a layered visual effect.
+   * behind the wheels, creating a layered visual effect. They come from a cached
+   * layer that is only redrawn when a connector changes (see layerCache.js), except
+   * while their chains swing in physics mode.
    */
-  for (const conn of connectors) {
-    conn.display(); // Call the display method for each connector object.
-  }
+  drawConnectors();
+
+  push();
+  applyCameraTransform(); // Zoom and pan (see pointerInput.js); the connector layer applies it itself.
 
   /**
-   * Display Wheels: Each wheel is drawn and its fading-in animation is updated.
-   * Wheels are drawn on top of the connectors.
+   * Display Wheels: Each wheel is drawn (from its cached sprite where possible) and its
+   * fading-in animation is updated. Wheels are drawn on top of the connectors.
    */
   for (const wheel of wheels) {
-    wheel.display(); // Call the display method for each wheel object.
+    drawWheel(wheel);
     wheel.updateAlpha(); // Update the alpha (transparency) value for fade-in effect.
+    wheel.updateStages(); // Break the next ring apart, during a deep bloom.
   }
+  pruneWheelSprites(); // Free the sprites of wheels that have been removed.
+
+  updateScore(); // Run the cues of a choreography score that are due (see choreography.js).
+  updateScheduledHops(); // Let any chain reaction in progress spread to its next wheels.
+  updateAudioReactive(); // Let the music (if any) pulse the wheels before they are drawn next frame.
+  updateWind(); // Advance the wind field and fade out old gusts before the particles move.
 
   /**
-   * Update and Display Dandelion Particles: Iterates through particles in reverse
-   * to safely remove faded particles without affecting the loop index.
+   * Update and Display Dandelion Particles: The particle engine (see particleEngine.js) moves
+   * every seed on by one frame, then draws the visible ones in batches.
    */
-  for (let i = dandelionParticles.length - 1; i >= 0; i--) {
-    let p = dandelionParticles[i];
-    p.update(); // Update particle's position, alpha, and size.
-    p.display(); // Draw the particle on the canvas.
-
-    // Remove particles that have completely faded out AND are not in a returning state.
-    if (p.alpha <= 0 && !p.isReturning) {
-      dandelionParticles.splice(i, 1); // Remove the particle from the array.
-    }
-    // Remove returning particles that have reached their target and faded out.
-    if (p.isReturning && dist(p.x, p.y, p.targetX, p.targetY) < 1 && p.alpha <= 0) {
-      dandelionParticles.splice(i, 1); // Remove the returning particle from the array.
-    }
-  }
+  particleEngine.update();
+  particleEngine.render();
+  drawBloomPreview(); // Rings around the wheels a held touch would bloom.
+  drawFocusRing(); // Ring around the wheel focused with the keyboard.
+  pop();
+
+  updatePointerInput(); // Notice touches held long enough to preview a bloom.
+  updateAnnouncements(); // Tell screen readers about blooms and restores once they settle.
+  captureRecordingFrame(); // Add this frame to the recording (if one is running), before any overlays.
+  drawWindField(); // Debug overlay of the wind vectors (only when toggled on with 'W').
+  drawLetterbox(); // Cover anything outside the composition frame (letterbox fit mode only).
+  drawAudioMeters(); // Band meters, while audio-reactive mode is on.
+  drawEditOverlay(); // Selection outline and resize handle (edit mode only).
+  drawRecordingIndicator(); // Red "REC" dot while recording (drawn on screen only).
+  drawSessionIndicator(); // While a session is recorded or replayed.
+  drawScoreIndicator(); // While a choreography score plays.
+  drawWallIndicator(); // Until this screen of a wall has joined it.
+  historyTimeline.display(); // Draw the undo/redo scrubber above the artwork.
+  paletteEditor.display(); // The palette editor panel (only when opened with 'K').
+  settingsPanel.display(); // The settings panel (only when opened with 'U').
+  syncConfigURL(); // Keep the settings in the link up to date.
+  drawStatusMessage(); // Draw any feedback message on top of everything else.
 }
 
 /**
@@ -99,64 +175,43 @@ function initializeArtwork() {
   // Clear all existing arrays to start fresh.
   wheels = [];
   connectors = [];
-  dandelionParticles = []; // Clear particles on re-initialization.
-  blownAwayHistory = []; // Clear history on re-initialization.
-
-  const numWheels = 25; // Defines the target number of wheels to be generated for a denser composition.
-  const minRadius = width * 0.04; // Minimum radius for a wheel, relative to canvas width.
-  const maxRadius = width * 0.12; // Maximum radius for a wheel, relative to canvas width.
-  const maxAttempts = 5000; // Maximum attempts to place a wheel, preventing infinite loops.
-  let currentAttempts = 0; // Counter for placement attempts.
+  particleEngine.clear(); // Clear particles on re-initialization.
+  commandHistory.clear(); // Clear history on re-initialization.
+  clearEditSelection(); // The selected wheel isn't part of the new composition (see editMode.js).
+  nextWheelId = 0; // Restart wheel ids so the same seed always produces the same ids.
+  resetCompositionFrame(); // A new composition fills the whole canvas.
+  resetCamera(); // And is shown whole.
+  resetWind(); // Start the wind from the same point in time, so it follows the seed too.
+
+  // Seed p5's random generators so the layout below is identical for the same seed.
+  randomSeed(artworkSeed);
+  noiseSeed(artworkSeed);
+
+  // Sizes and spacing come from the settings (see config.js).
+  const numWheels = artworkConfig.wheelCount; // Defines the target number of wheels to be generated.
+  const radiusScale = sqrt(25 / numWheels); // More wheels are made smaller, so they cover about the same area as 25.
+  const minRadius = width * artworkConfig.minRadius * radiusScale; // Minimum radius for a wheel, relative to canvas width.
+  const maxRadius = width * max(artworkConfig.minRadius, artworkConfig.maxRadius) * radiusScale; // Never below the minimum.
+  const overlapTolerance = artworkConfig.overlapTolerance; // How much wheels may overlap, as a fraction of the smaller radius.
 
   /**
-   * Generate Wheels with Optimized Packing: This loop attempts to place wheels
-   * randomly while minimizing excessive overlap and ensuring connectivity.
+   * Generate Wheels: The active layout strategy (see layouts.js) decides where each
+   * wheel goes and how big it is; here we give each placement a palette.
    */
-  while (wheels.length < numWheels && currentAttempts < maxAttempts) {
-    let candidateRadius = random(minRadius, maxRadius); // Propose a random radius for the new wheel.
-    let candidateX = random(candidateRadius, width - candidateRadius); // Propose a random X position.
-    let candidateY = random(candidateRadius, height - candidateRadius); // Propose a random Y position.
-
-    let isOverlappingTooMuch = false; // Flag to check if the candidate wheel overlaps excessively.
-    let hasNearbyWheel = false; // Flag to check if the candidate wheel is close enough to existing wheels.
-
-    // Check against all existing wheels for overlap and proximity.
-    for (let other of wheels) {
-      let d = dist(candidateX, candidateY, other.x, other.y); // Calculate distance between centers.
-      let combinedRadius = candidateRadius + other.radius; // Sum of their radii.
-
-      // Allow for significant overlap, as seen in Pacita Abad's original work.
-      const overlapThreshold = min(candidateRadius, other.radius) * 0.4; // Allow up to 40% overlap of the smaller radius.
-      if (d < combinedRadius - overlapThreshold) {
-        isOverlappingTooMuch = true; // Mark as excessively overlapping.
-        break; // No need to check further if overlap is too much.
-      }
-      // Check if it's within a reasonable distance to form a connection.
-      if (d < combinedRadius * 1.5) { // Can be connected if within 1.5 times their combined radius.
-        hasNearbyWheel = true; // Mark as having a potential neighbor.
-      }
-    }
-
-    // The first wheel doesn't require any nearby neighbors.
-    if (wheels.length === 0) {
-      hasNearbyWheel = true;
-    }
-
-    // Add the wheel if it's not excessively overlapping and has a potential neighbor (or is the first wheel).
-    if (!isOverlappingTooMuch && hasNearbyWheel) {
-      let selectedPalette = random(colorPalettes); // Pick a random color palette.
-      // Ensure diversity: avoid using the same palette consecutively.
-      if (wheels.length > 0 && selectedPalette === wheels[wheels.length - 1].colors) {
-        selectedPalette = random(colorPalettes.filter(p => p !== selectedPalette)); // Select a different palette.
-      }
-      wheels.push(new Wheel(candidateX, candidateY, candidateRadius, selectedPalette)); // Add the new Wheel object.
+  const frame = compositionFrame; // The canvas, or a whole wall of screens (see multiScreen.js).
+  const placements = activeLayout.place({ numWheels, minRadius, maxRadius, overlapTolerance, width: frame.w, height: frame.h });
+  for (const placement of placements) {
+    let selectedPalette = random(colorPalettes); // Pick a random color palette.
+    // Ensure diversity: avoid using the same palette consecutively.
+    if (wheels.length > 0 && selectedPalette === wheels[wheels.length - 1].colors) {
+      selectedPalette = random(colorPalettes.filter(p => p !== selectedPalette)); // Select a different palette.
     }
-    currentAttempts++; // Increment attempt counter.
+    wheels.push(new Wheel(placement.x, placement.y, placement.radius, selectedPalette)); // Add the new Wheel object.
   }
 
-  // Log a message if not all wheels could be placed within the maximum attempts.
-  if (currentAttempts >= maxAttempts) {
-    console.log("Could not place all wheels within limits.");
+  // Log a message if the layout couldn't fit all the wheels.
+  if (wheels.length < numWheels) {
+    console.log(`Could not place all wheels within limits (${activeLayout.label} placed ${wheels.length} of ${numWheels}).`);
   }
 
   /**
@@ -167,13 +222,188 @@ function initializeArtwork() {
     for (let j = i + 1; j < wheels.length; j++) { // Avoid duplicate connections and self-connection.
       let w1 = wheels[i];
       let w2 = wheels[j];
-      let d = dist(w1.x, w1.y, w2.x, w2.y); // Calculate distance between wheel centers.
-      // Connect wheels if they are within a certain range (allowing for some gap or slight overlap).
-      if (d < (w1.radius + w2.radius) * 1.3) { // Connect if distance is within 1.3 times their combined radii.
+      if (isWithinConnectorRange(w1, w2)) {
         connectors.push(new Connector(w1, w2, random(colorPalettes)[0])); // Add a new Connector with a random base color.
       }
     }
   }
+
+  /**
+   * Assign Styles: Each wheel gets its anatomy from the style registry (see wheelStyles.js).
+   * Styles are picked from a random stream of their own, so a seed gives the same layout,
+   * palettes and connectors whichever styles are in use.
+   */
+  randomSeed(artworkSeed + 104729); // Offset by a prime, as for each wheel's particles.
+  for (const w of wheels) {
+    w.style = pickWheelStyle();
+  }
+  markWallStateChanged(); // Show it on every screen of a wall.
+}
+
+/**
+ * Is Within Connector Range Function: Checks whether two wheels are close enough to be
+ * linked by a connector (allowing for some gap or slight overlap).
+ * @param {Wheel} w1 - The first wheel.
+ * @param {Wheel} w2 - The second wheel.
+ * @returns {boolean} - True if their centers are within `artworkConfig.connectorReach` (1.3 by
+ *   default) times their combined radii.
+ */
+function isWithinConnectorRange(w1, w2) {
+  let d = dist(w1.x, w1.y, w2.x, w2.y); // Calculate distance between wheel centers.
+  return d < (w1.radius + w2.radius) * artworkConfig.connectorReach;
+}
+
+/**
+ * Show Status Message Function: Displays a short message at the bottom of the canvas.
+ * @param {string} text - The message to show.
+ * @param {boolean} [isError=false] - Whether the message reports an error (drawn in red).
+ */
+function showStatusMessage(text, isError = false) {
+  statusMessage = { text, isError, shownAt: millis() };
+}
+
+/**
+ * Draw Status Message Function: Renders the current status message, fading it out
+ * over the last second of its display time.
+ */
+function drawStatusMessage() {
+  if (!statusMessage) return;
+
+  const elapsed = millis() - statusMessage.shownAt;
+  if (elapsed > statusMessageDuration) {
+    statusMessage = null; // The message has expired.
+    return;
+  }
+  const alpha = map(elapsed, statusMessageDuration - 1000, statusMessageDuration, 255, 0, true); // Fade during the last second.
+
+  push();
+  textSize(16);
+  textAlign(CENTER, CENTER);
+  const boxWidth = textWidth(statusMessage.text) + 32; // Pad the text on both sides.
+  noStroke();
+  fill(0, alpha * 0.7); // Semi-transparent dark box behind the text for readability.
+  rectMode(CENTER);
+  rect(width / 2, height - 40, boxWidth, 36, 8);
+  fill(statusMessage.isError ? color(255, 110, 110, alpha) : color(255, alpha)); // Red for errors, white otherwise.
+  text(statusMessage.text, width / 2, height - 40);
+  pop();
+}
+
+/**
+ * Setup File Drop Function: Lets files be dragged onto the page. Audio files start the
+ * audio-reactive mode, images have palettes extracted from them and text files are played as
+ * choreography scores; anything else is treated as a saved scene (or a palette, session or
+ * JSON score file, which `importSceneFile()` hands on).
+ */
+function setupFileDrop() {
+  window.addEventListener('dragover', event => event.preventDefault()); // Required for the drop event to fire.
+  window.addEventListener('drop', event => {
+    event.preventDefault(); // Stop the browser from opening the file in a new tab.
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    if (file.type.startsWith('audio/')) {
+      playAudioFile(file, file.name);
+    } else if (file.type.startsWith('image/')) {
+      importPaletteFile(file);
+    } else if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
+      importScoreFile(file);
+    } else {
+      importSceneFile(file);
+    }
+  });
+}
+
+/**
+ * --- Seed Functions ---
+ * Helpers for reading, writing and re-rolling the artwork seed.
+ */
+
+/**
+ * Read Seed From URL Function: Looks for a `seed` query parameter in the page address.
+ * @returns {number} - The seed from the URL, or a fresh random seed if it is missing or invalid.
+ */
+function readSeedFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const seed = parseInt(params.get('seed'), 10); // NaN when the parameter is missing or not a number.
+  return Number.isFinite(seed) ? seed : generateSeed();
+}
+
+/**
+ * Read Wheel Style From URL Function: Gets the wheel style choice from the `?style=` parameter.
+ * @returns {string} - A style id, or 'mixed' if the parameter is missing or unknown.
+ */
+function readWheelStyleFromURL() {
+  const id = new URLSearchParams(window.location.search).get('style');
+  return findWheelStyle(id) ? id : 'mixed';
+}
+
+/**
+ * Write Seed To URL Function: Stores the seed in the address bar without reloading the page,
+ * so copying the link shares this exact composition.
+ * @param {number} seed - The seed to write into the URL.
+ */
+function writeSeedToURL(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', seed);
+  url.searchParams.set('layout', activeLayout.id); // The layout is part of what the seed reproduces.
+  url.searchParams.set('style', activeWheelStyle); // And so are the wheel styles.
+  window.history.replaceState(null, '', url); // Replace (not push) so the back button isn't flooded with seeds.
+}
+
+/**
+ * Generate Seed Function: Creates a new random seed.
+ * `Math.random()` is used rather than p5's `random()`, because p5's generator is
+ * seeded and would otherwise keep producing the same "new" seed.
+ * @returns {number} - A positive integer seed.
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * Reroll Seed Function: Picks a new seed, writes it into the URL and rebuilds the artwork.
+ * While a session is recorded or replayed the seed comes from p5's seeded `random()` instead,
+ * so a recorded re-roll picks the same composition when it is replayed.
+ */
+function rerollSeed() {
+  artworkSeed = sessionRecording || sessionReplay ? floor(random(1000000)) : generateSeed();
+  writeSeedToURL(artworkSeed);
+  initializeArtwork();
+}
+
+/**
+ * Cycle Layout Function: Switches to the next layout strategy and rebuilds the artwork
+ * with it, keeping the current seed.
+ */
+function cycleLayout() {
+  const index = layoutStrategies.indexOf(activeLayout);
+  activeLayout = layoutStrategies[(index + 1) % layoutStrategies.length];
+  writeSeedToURL(artworkSeed);
+  initializeArtwork();
+  showStatusMessage(`Layout: ${activeLayout.label}`);
+}
+
+/**
+ * Cycle Wheel Style Function: Moves on to the next style choice (all styles mixed, then each
+ * style on its own, see wheelStyles.js) and rebuilds the artwork with it, keeping the seed.
+ */
+function cycleWheelStyle() {
+  const choices = ['mixed', ...wheelStyles.map(style => style.id)];
+  activeWheelStyle = choices[(choices.indexOf(activeWheelStyle) + 1) % choices.length];
+  writeSeedToURL(artworkSeed);
+  initializeArtwork();
+  showStatusMessage(`Wheel style: ${activeWheelStyle === 'mixed' ? 'Mixed' : findWheelStyle(activeWheelStyle).label}`);
+}
+
+/**
+ * Seed Particles For Function: Re-seeds the random generator before a wheel's particles
+ * are created, so the same wheel always disperses with the same motion for a given seed,
+ * no matter how many blooms happened before it.
+ * @param {number} wheelIndex - The index of the wheel in the `wheels` array.
+ * @param {number} [stage=0] - The stage of a deep bloom the particles belong to.
+ */
+function seedParticlesFor(wheelIndex, stage = 0) {
+  randomSeed(artworkSeed + (wheelIndex + 1) * 7919 + stage * 1000003); // Offset by primes so each wheel (and stage) gets its own stream.
 }
 
 /**
@@ -188,172 +418,179 @@ class Wheel {
    * @param {number} y - The y-coordinate of the wheel's center.
    * @param {number} radius - The radius of the wheel.
    * @param {string[]} palette - An array of color strings for the wheel's components.
+   * @param {Object} [style=wheelStyles[0]] - The wheel's anatomy, from `wheelStyles`.
    */
-  constructor(x, y, radius, palette) {
+  constructor(x, y, radius, palette, style = wheelStyles[0]) {
+    this.id = nextWheelId++; // Unique id, used when saving connectors and history that refer to this wheel.
     this.x = x;
     this.y = y;
     this.radius = radius;
     this.colors = palette; // Stores the assigned color palette.
+    this.displayColors = palette; // The colors drawn; blends towards `colors` after a palette change.
+    this.previousColors = palette; // The colors the blend started from.
+    this.colorProgress = 1; // How far the blend has got (1 when finished).
+    this.style = style; // The rings the wheel is drawn with (see wheelStyles.js).
     this.stemAngle = random(TWO_PI); // Random angle for the decorative "stem" element.
+    this.angle = 0; // How far the whole wheel has turned, in physics mode (see physics.js).
+    this.spin = 0; // How fast it is turning, in radians per frame.
     this.isBlownAway = false; // Flag to indicate if the wheel's inner patterns have been "blown away."
+    this.isDeepBloom = false; // Whether its last bloom breaks every ring apart, not just the seeds.
+    this.dispersedStages = 0; // In a deep bloom, how many of its other rings have broken apart so far.
+    this.bloomFrames = 0; // Frames since its last bloom, to time the stages of a deep bloom.
 
     // Properties for fade-in effect of inner patterns.
     this.innerAlpha = 0; // Current transparency of inner patterns (starts fully transparent).
     this.targetInnerAlpha = 255; // Target opacity (fully opaque).
-    this.fadeSpeed = 5; // Rate at which the alpha value changes.
+    // The rate at which it changes is `artworkConfig.fadeSpeed` (see config.js).
+
+    // Audio-reactive modifiers (see audioReactive.js); 1 means unchanged.
+    this.pulse = 1; // Scale of the whole wheel.
+    this.spokeScale = 1; // Length multiplier for the blooming lines (spokes and zigzags).
+    this.dotScale = 1; // Size multiplier for the blooming dots and petals.
   }
 
   /**
    * Display Method: Draws all the components of the wheel on the canvas.
    * It uses `push()` and `pop()` to isolate transformations for each wheel.
+   * @param {Object} [pg=window] - Where to draw: the main canvas (p5's global functions live on
+   *   `window`), a p5.Graphics, or an SVG recorder (see artworkExport.js).
    */
-  display() {
-    push(); // Save the current drawing style and transformations.
-    translate(this.x, this.y); // Move the origin to the center of the wheel.
+  display(pg = window) {
+    pg.push(); // Save the current drawing style and transformations.
+    pg.translate(this.x, this.y); // Move the origin to the center of the wheel.
+    pg.rotate(this.angle); // Turn with the wheel's spin in physics mode.
+    pg.scale(this.pulse); // Pulse with the music in audio-reactive mode.
 
-    this.drawBaseCircle(); // Draw the main circular base.
-
-    // Only draw the outer dots and spokes if the wheel has not been "blown away".
-    // These elements will fade in based on `innerAlpha`.
-    if (!this.isBlownAway) {
-      this.drawOuterDots();
-      this.drawSpokes();
-    }
-    this.drawInnerCircles(); // Draw the nested inner circles.
-    this.drawStem(); // Draw the decorative stem element.
+    // The rings that break apart are only drawn if the wheel has not been "blown away" (or, in
+    // reduced-motion mode, is still fading out). They fade based on `innerAlpha`.
+    this.drawRings(pg, !this.isBlownAway || this.innerAlpha > 0 ? 'all' : 'still');
 
-    pop(); // Restore the previous drawing style and transformations.
+    pg.pop(); // Restore the previous drawing style and transformations.
   }
 
   /**
-   * Update Alpha Method: Manages the fade-in effect for the wheel's inner patterns.
-   * If the wheel is blown away, its inner patterns become fully transparent.
+   * Draw Rings Method: Draws the rings of the wheel's style, relative to its center.
+   * @param {Object} pg - Where to draw (see `display()`).
+   * @param {string} which - 'all', 'still' (the rings that stay when the wheel blooms) or
+   *   'blooming' (the rings that break apart, see `isRingDispersed()`).
    */
-  updateAlpha() {
-    if (this.isBlownAway) {
-      this.innerAlpha = 0; // If blown away, immediately make inner patterns invisible.
-    } else {
-      // Gradually increase innerAlpha towards the target (255) for a fade-in effect.
-      if (this.innerAlpha < this.targetInnerAlpha) {
-        this.innerAlpha = min(this.innerAlpha + this.fadeSpeed, this.targetInnerAlpha);
+  drawRings(pg, which) {
+    for (const ring of this.style.rings) {
+      if (which === 'all' || (which === 'blooming') === this.isRingDispersed(ring)) {
+        drawRing(pg, ring, this);
       }
     }
   }
 
   /**
-   * Draw Base Circle Method: Draws the outermost, solid circle of the wheel.
+   * Is Ring Dispersed Method: Whether a ring breaks apart when the wheel blooms, and so
+   * fades with `innerAlpha`: its blooming rings always do, and in a deep bloom the others
+   * follow one stage at a time (see `updateStages()`).
+   * @param {Object} ring - A ring of the wheel's style.
+   * @returns {boolean}
    */
-  drawBaseCircle() {
-    noStroke(); // No outline for the base circle.
-    fill(this.colors[0]); // Use the first color from the palette for the base.
-    circle(0, 0, this.radius * 2); // Draw a circle at the origin (relative to translated canvas).
+  isRingDispersed(ring) {
+    return Boolean(ring.blooms) || (this.isDeepBloom && ringStage(this.style, ring) <= this.dispersedStages);
   }
 
   /**
-   * Draw Outer Dots Method: Draws a ring of small dots around the outer edge of the wheel.
-   * The color of these dots is affected by the `innerAlpha` for fading.
+   * Update Stages Method: Moves a deep bloom on by one frame, breaking the next ring apart
+   * every `bloomSettings.deepStageFrames` frames until none are left.
    */
-  drawOuterDots() {
-    const dotCount = 40; // Number of dots in the outer ring.
-    const dotRadius = this.radius * 0.9; // Radius on which the dots are placed.
-    const dotSize = this.radius * 0.08; // Size of each individual dot.
-
-    // Apply the current `innerAlpha` to the dot color for the fade-in effect.
-    let dotColor = color(this.colors[1]);
-    dotColor.setAlpha(this.innerAlpha);
-    fill(dotColor); // Set fill color for the dots.
-    noStroke(); // No outline for the dots.
-
-    // Loop to draw each dot at its calculated position.
-    for (let i = 0; i < dotCount; i++) {
-      const angle = map(i, 0, dotCount, 0, TWO_PI); // Calculate angle for even distribution.
-      const dx = cos(angle) * dotRadius; // X-offset from the center.
-      const dy = sin(angle) * dotRadius; // Y-offset from the center.
-      circle(dx, dy, dotSize); // Draw the dot.
+  updateStages() {
+    if (!this.isBlownAway || !this.isDeepBloom || this.dispersedStages >= deepStageCount(this.style)) return;
+    this.bloomFrames++;
+    if (this.bloomFrames >= (this.dispersedStages + 1) * bloomSettings.deepStageFrames) {
+      this.dispersedStages++;
+      releaseDeepStage(this, this.dispersedStages);
     }
   }
 
   /**
-   * Draw Spokes Method: Draws radial lines (spokes) extending from the center of the wheel.
-   * The color of these spokes is affected by the `innerAlpha` for fading.
+   * Update Alpha Method: Manages the fade-in effect for the wheel's inner patterns.
+   * If the wheel is blown away, its inner patterns become fully transparent (gradually, in
+   * reduced-motion mode, where there are no flying seeds to show where they went).
    */
-  drawSpokes() {
-    const spokeCount = 24; // Number of spokes.
-    const innerRadius = this.radius * 0.55; // Inner starting point for spokes.
-    const outerRadius = this.radius * 0.8; // Outer ending point for spokes.
-
-    // Apply the current `innerAlpha` to the spoke color for the fade-in effect.
-    let spokeColor = color(this.colors[3]);
-    spokeColor.setAlpha(this.innerAlpha);
-    stroke(spokeColor); // Set stroke color for the spokes.
-    strokeWeight(this.radius * 0.03); // Set stroke thickness.
-
-    // Loop to draw each spoke.
-    for (let i = 0; i < spokeCount; i++) {
-      const angle = map(i, 0, spokeCount, 0, TWO_PI); // Calculate angle for even distribution.
-      const x1 = cos(angle) * innerRadius; // Inner X-coordinate.
-      const y1 = sin(angle) * innerRadius; // Inner Y-coordinate.
-      const x2 = cos(angle) * outerRadius; // Outer X-coordinate.
-      const y2 = sin(angle) * outerRadius; // Outer Y-coordinate.
-      line(x1, y1, x2, y2); // Draw the line segment.
+  updateAlpha() {
+    if (this.isBlownAway) {
+      // If blown away, immediately make inner patterns invisible.
+      this.innerAlpha = isReducedMotion ? max(this.innerAlpha - artworkConfig.fadeSpeed, 0) : 0;
+    } else {
+      // Gradually increase innerAlpha towards the target (255) for a fade-in effect.
+      if (this.innerAlpha < this.targetInnerAlpha) {
+        this.innerAlpha = min(this.innerAlpha + artworkConfig.fadeSpeed, this.targetInnerAlpha);
+      }
     }
   }
 
   /**
-   * Draw Inner Circles Method: Draws several concentric circles and a ring of dots
-   * towards the center of the wheel, creating layered patterns.
+   * Set Palette Method: Gives the wheel a new palette, which it blends to over the next
+   * frames (see `updateColors()`). Its seeds still in flight take the new colors at once, so
+   * they match the wheel when they fly back.
+   * @param {string[]} palette - The new palette.
    */
-  drawInnerCircles() {
-    noStroke(); // No outline for these circles.
-
-    fill(this.colors[2]); // Use the third color for the first inner circle.
-    circle(0, 0, this.radius * 0.6); // Draw the first inner circle.
-
-    fill(this.colors[3]); // Use the fourth color for the inner dots.
-    const innerDotCount = 20; // Number of dots in the inner ring.
-    const innerDotRadius = this.radius * 0.4; // Radius on which inner dots are placed.
-    const innerDotSize = this.radius * 0.06; // Size of each inner dot.
-
-    // Loop to draw each inner dot.
-    for (let i = 0; i < innerDotCount; i++) {
-      const angle = map(i, 0, innerDotCount, 0, TWO_PI); // Calculate angle.
-      const dx = cos(angle) * innerDotRadius; // X-offset.
-      const dy = sin(angle) * innerDotRadius; // Y-offset.
-      circle(dx, dy, innerDotSize); // Draw the inner dot.
+  setPalette(palette) {
+    if (palette === this.colors) return;
+    this.previousColors = this.displayColors;
+    this.colors = palette;
+    this.colorProgress = 0;
+
+    const engine = particleEngine;
+    const slots = this.getSeedSlots();
+    for (const i of engine.slotsOfWheel(this.id)) {
+      const slot = findSeedSlot(slots, engine.type[i], engine.slotIndex[i]);
+      if (slot) engine.colorIndex[i] = engine.colorIndexFor(slot.color);
     }
-
-    fill(this.colors[4]); // Use the fifth color for the second inner circle.
-    circle(0, 0, this.radius * 0.3); // Draw the second inner circle.
-
-    fill(this.colors[0]); // Reuse the first color for the smallest central circle.
-    circle(0, 0, this.radius * 0.15); // Draw the smallest central circle.
   }
 
   /**
-   * Draw Stem Method: Draws a decorative, curved "stem" or accent originating
-   * from the center of the wheel.
+   * Update Colors Method: Moves the blend to a new palette on by one frame, easing in and out.
    */
-  drawStem() {
-    stroke(this.colors[1]); // Use the second color for the stem's stroke.
-    strokeWeight(this.radius * 0.04); // Set stem thickness.
-    noFill(); // No fill for the stem curve.
-
-    // Define start, end, and control points for a quadratic Bezier curve.
-    const startX = cos(this.stemAngle) * (this.radius * 0.075);
-    const startY = sin(this.stemAngle) * (this.radius * 0.075);
-    const endX = cos(this.stemAngle) * (this.radius * 0.5);
-    const endY = sin(this.stemAngle) * (this.radius * 0.5);
-    const controlX = cos(this.stemAngle + 0.5) * (this.radius * 0.4);
-    const controlY = sin(this.stemAngle + 0.5) * (this.radius * 0.4);
-
-    beginShape(); // Begin custom shape drawing.
-    vertex(startX, startY); // Start point of the curve.
-    quadraticVertex(controlX, controlY, endX, endY); // Define quadratic Bezier curve.
-    endShape(); // End custom shape.
+  updateColors() {
+    if (this.colorProgress >= 1) return;
+    this.colorProgress = min(this.colorProgress + 1 / paletteSettings.recolorFrames, 1);
+    const amount = this.colorProgress * this.colorProgress * (3 - 2 * this.colorProgress); // Smoothstep.
+    this.displayColors = this.colorProgress >= 1
+      ? this.colors
+      : this.colors.map((c, i) => blendHex(this.previousColors[i], c, amount));
+  }
 
-    noStroke(); // No stroke for the circle at the end of the stem.
-    fill(this.colors[1]); // Fill with the second color.
-    circle(endX, endY, this.radius * 0.08); // Draw a circle at the end of the stem.
+  /**
+   * Get Seed Slots Method: Lists every element of the wheel that becomes a particle when it
+   * blooms: one slot per element drawn by its blooming rings (see wheelStyles.js), followed
+   * in a deep bloom by the fragments of its other rings, stage by stage. Slots are numbered
+   * per particle type, so a particle can always be matched back to the exact spot it came from.
+   * Positions and rotations include how far the wheel has turned.
+   * @returns {Object[]} - Slots with { type, slotIndex, stage, x, y, rotation, color, size }, in canvas coordinates.
+   */
+  getSeedSlots() {
+    const slots = [];
+    const counts = {}; // Slots so far of each particle type.
+    const cosAngle = cos(this.angle);
+    const sinAngle = sin(this.angle);
+    const rings = this.style.rings.filter(ring => ring.blooms);
+    if (this.isDeepBloom) {
+      rings.push(...deepBloomOrder(this.style)); // After the seeds, so their numbering is the same as in a normal bloom.
+    }
+    for (const ring of rings) {
+      const type = wheelRingTypes[ring.type];
+      const elements = type.elements ? type.elements(ring, this, { line: 1, dot: 1 }) : type.fragments(ring, this);
+      for (const element of elements) {
+        const seed = seedForElement(element, ring);
+        counts[seed.type] = (counts[seed.type] || 0) + 1;
+        slots.push({
+          type: seed.type,
+          slotIndex: counts[seed.type] - 1,
+          stage: ringStage(this.style, ring),
+          x: this.x + seed.x * cosAngle - seed.y * sinAngle,
+          y: this.y + seed.x * sinAngle + seed.y * cosAngle,
+          rotation: seed.rotation + this.angle,
+          color: this.colors[element.color !== undefined ? element.color : ring.color],
+          size: seed.size,
+        });
+      }
+    }
+    return slots;
   }
 
   /**
@@ -384,8 +621,19 @@ class Connector {
     this.w1 = wheel1; // Reference to the first wheel.
     this.w2 = wheel2; // Reference to the second wheel.
     this.color = connectColor; // Color of the connector.
+    this.displayColor = connectColor; // The color drawn; blends towards `color` after a palette change.
+    this.previousColor = connectColor; // The color the blend started from.
+    this.colorProgress = 1; // How far the blend has got (1 when finished).
+    this.rope = null; // The chain's verlet points, while physics mode is on (see physics.js).
+
+    this.updateGeometry(); // Pre-calculate angle and start/end points for drawing efficiency.
+  }
 
-    // Pre-calculate angle and start/end points for drawing efficiency.
+  /**
+   * Update Geometry Method: Calculates the connector's angle and its start/end points on the
+   * edges of the two wheels. Must be called again whenever either wheel moves or is resized.
+   */
+  updateGeometry() {
     this.angle = atan2(this.w2.y - this.w1.y, this.w2.x - this.w1.x); // Angle from w1 to w2.
     this.startPoint = createVector(
       this.w1.x + cos(this.angle) * this.w1.radius, // Point on the edge of w1.
@@ -398,20 +646,62 @@ class Connector {
   }
 
   /**
-   * Display Method: Draws the connector line and its decorative chain-like elements.
+   * Set Color Method: Gives the connector a new color, which it blends to like a wheel's palette.
+   * @param {string} newColor - The new color.
+   */
+  setColor(newColor) {
+    if (newColor === this.color) return;
+    this.previousColor = this.displayColor;
+    this.color = newColor;
+    this.colorProgress = 0;
+  }
+
+  /**
+   * Update Color Method: Moves the blend to a new color on by one frame (see `Wheel.updateColors()`).
    */
-  display() {
-    stroke(this.color); // Set stroke color for the main connection line.
-    strokeWeight(5); // Thicker line for better visibility.
-    noFill(); // No fill for the line itself.
+  updateColor() {
+    if (this.colorProgress >= 1) return;
+    this.colorProgress = min(this.colorProgress + 1 / paletteSettings.recolorFrames, 1);
+    const amount = this.colorProgress * this.colorProgress * (3 - 2 * this.colorProgress);
+    this.displayColor = this.colorProgress >= 1 ? this.color : blendHex(this.previousColor, this.color, amount);
+  }
 
-    // Draw the main connection line between the two wheels.
-    line(this.startPoint.x, this.startPoint.y, this.endPoint.x, this.endPoint.y);
+  /**
+   * Path Method: The points the connector runs through: its chain in physics mode, otherwise
+   * just its two ends.
+   * @returns {{x: number, y: number}[]}
+   */
+  path() {
+    return this.rope ? this.rope.points : [this.startPoint, this.endPoint];
+  }
+
+  /**
+   * Display Method: Draws the connector line and its decorative chain-like elements.
+   * @param {Object} [pg=window] - Where to draw (see `Wheel.display()`).
+   */
+  display(pg = window) {
+    const path = this.path();
+    pg.stroke(this.displayColor); // Set stroke color for the main connection line.
+    pg.strokeWeight(5); // Thicker line for better visibility.
+    pg.noFill(); // No fill for the line itself.
+
+    // Draw the main connection line between the two wheels (a sagging chain, in physics mode).
+    if (path.length === 2) {
+      pg.line(path[0].x, path[0].y, path[1].x, path[1].y);
+    } else {
+      pg.beginShape();
+      for (const p of path) {
+        pg.vertex(p.x, p.y);
+      }
+      pg.endShape();
+    }
 
     // Add decorative elements for the chain-like effect, inspired by the original artwork.
-    let midX = (this.startPoint.x + this.endPoint.x) / 2; // Midpoint X for central decorations.
-    let midY = (this.startPoint.y + this.endPoint.y) / 2; // Midpoint Y for central decorations.
-    let distBetweenWheels = dist(this.startPoint.x, this.startPoint.y, this.endPoint.x, this.endPoint.y); // Total length of the connector.
+    // They are spaced along the path, so they follow a sagging chain.
+    let distBetweenWheels = pathLength(path); // Total length of the connector.
+    let mid = pointAlongPath(path, distBetweenWheels / 2); // Midpoint for central decorations.
+    let midX = mid.x;
+    let midY = mid.y;
 
     // Draw chain links along the line.
     const linkSize = 10; // Size of individual chain links.
@@ -419,35 +709,36 @@ class Connector {
     if (numLinks > 0) {
       for (let i = 0; i <= numLinks; i++) {
         let lerpAmount = map(i, 0, numLinks, 0, 1); // Interpolation amount for positioning links.
-        let linkX = lerp(this.startPoint.x, this.endPoint.x, lerpAmount); // X position of the link.
-        let linkY = lerp(this.startPoint.y, this.endPoint.y, lerpAmount); // Y position of the link.
+        let link = pointAlongPath(path, distBetweenWheels * lerpAmount);
+        let linkX = link.x; // X position of the link.
+        let linkY = link.y; // Y position of the link.
 
         // Draw small circles to represent chain links.
-        fill(255, 200, 100); // Yellow-orange color for links.
-        stroke(this.color); // Border matching the connection line color.
-        strokeWeight(1);
-        circle(linkX, linkY, linkSize);
+        pg.fill(255, 200, 100); // Yellow-orange color for links.
+        pg.stroke(this.displayColor); // Border matching the connection line color.
+        pg.strokeWeight(1);
+        pg.circle(linkX, linkY, linkSize);
 
         // Optional: Add a tiny inner dot for more detail on each link.
-        fill(0); // Black fill for inner dot.
-        noStroke();
-        circle(linkX, linkY, linkSize * 0.4);
+        pg.fill(0); // Black fill for inner dot.
+        pg.noStroke();
+        pg.circle(linkX, linkY, linkSize * 0.4);
       }
     }
 
     // Draw a decorative central blob, inspired by YZH's connecting point.
-    fill(255, 255, 255); // White base for the central blob.
-    stroke(this.color); // Border matching the connection line.
-    strokeWeight(3);
-    circle(midX, midY, 20); // Larger central circle.
+    pg.fill(255, 255, 255); // White base for the central blob.
+    pg.stroke(this.displayColor); // Border matching the connection line.
+    pg.strokeWeight(3);
+    pg.circle(midX, midY, 20); // Larger central circle.
 
-    fill(this.color); // Inner color matching the connection.
-    noStroke();
-    circle(midX, midY, 10); // Smaller inner circle.
+    pg.fill(this.displayColor); // Inner color matching the connection.
+    pg.noStroke();
+    pg.circle(midX, midY, 10); // Smaller inner circle.
 
     // Draw radiating dots around the central blob for additional detail.
-    fill(255, 200, 100); // Yellow-orange for small dots.
-    noStroke();
+    pg.fill(255, 200, 100); // Yellow-orange for small dots.
+    pg.noStroke();
     const numSmallDots = 8; // Number of radiating dots.
     const smallDotRadius = 15; // Radius on which these dots radiate.
     const smallDotSize = 4; // Size of each small dot.
@@ -455,213 +746,534 @@ class Connector {
       let angle = map(i, 0, numSmallDots, 0, TWO_PI); // Angle for even distribution.
       let dx = midX + cos(angle) * smallDotRadius; // X position of the dot.
       let dy = midY + sin(angle) * smallDotRadius; // Y position of the dot.
-      circle(dx, dy, smallDotSize); // Draw the small dot.
+      pg.circle(dx, dy, smallDotSize); // Draw the small dot.
     }
   }
 }
 
 /**
- * --- Dandelion Particle Class ---
- * Represents a single particle that "blows away" from a wheel,
- * creating a dandelion-like effect. These particles can also return to their origin.
+ * Path Length Function: The length of a path of points, in pixels.
+ * @param {{x: number, y: number}[]} path - The points.
+ * @returns {number}
  */
-class DandelionParticle {
-  /**
-   * Constructor: Initializes a new DandelionParticle.
-   * @param {number} x - Initial x-coordinate of the particle.
-   * @param {number} y - Initial y-coordinate of the particle.
-   * @param {string} type - The type of particle ('spoke' or 'outerDot'), influencing its appearance.
-   * @param {string} color - The color of the particle.
-   * @param {number} size - The initial size of the particle.
-   * @param {number} targetX - The x-coordinate this particle should return to (its original position).
-   * @param {number} targetY - The y-coordinate this particle should return to (its original position).
-   * @param {number} [initialAngle=0] - Initial rotation angle for 'spoke' particles.
-   */
-  constructor(x, y, type, color, size, targetX, targetY, initialAngle = 0) {
-    this.x = x;
-    this.y = y;
-    this.type = type;
-    this.color = color;
-    this.size = size;
-    this.alpha = 255; // Initial opacity (fully opaque) for fading out.
+function pathLength(path) {
+  let length = 0;
+  for (let k = 1; k < path.length; k++) {
+    length += dist(path[k - 1].x, path[k - 1].y, path[k].x, path[k].y);
+  }
+  return length;
+}
 
-    this.originalX = x; // Stores the initial x-position for reference.
-    this.originalY = y; // Stores the initial y-position for reference.
-    this.targetX = targetX; // Target x-coordinate for return animation.
-    this.targetY = targetY; // Target y-coordinate for return animation.
+/**
+ * Point Along Path Function: Finds the point a given distance along a path of points.
+ * @param {{x: number, y: number}[]} path - The points.
+ * @param {number} distance - How far along, in pixels.
+ * @returns {{x: number, y: number}}
+ */
+function pointAlongPath(path, distance) {
+  for (let k = 1; k < path.length; k++) {
+    const a = path[k - 1];
+    const b = path[k];
+    const length = dist(a.x, a.y, b.x, b.y);
+    if (distance <= length || k === path.length - 1) {
+      const amount = length > 0 ? min(distance / length, 1) : 0;
+      return { x: lerp(a.x, b.x, amount), y: lerp(a.y, b.y, amount) };
+    }
+    distance -= length;
+  }
+  return { x: path[0].x, y: path[0].y };
+}
 
-    // Initial velocity directed towards the bottom-left, mimicking a gentle wind.
-    this.vel = p5.Vector.fromAngle(random(PI + PI / 4, PI + PI / 2)); // Angle range for bottom-left.
-    this.vel.mult(random(1, 3)); // Random initial speed.
+/**
+ * Bloom Wheels Function: Performs the "dandelion effect" on a group of wheels:
+ * their inner patterns disappear and their blooming rings (see wheelStyles.js) become particles
+ * that fly away. In a deep bloom the rest of each wheel follows, one ring at a time (see
+ * `Wheel.updateStages()`). Called by `BloomCommand`, both for new blooms and for redo.
+ * @param {Wheel[]} wheelsToBlow - The wheels to blow away.
+ * @param {boolean} [deep=false] - Whether every ring breaks apart, not just the seeds.
+ */
+function bloomWheels(wheelsToBlow, deep = false) {
+  let releasedCount = 0; // Total particles released, for the bloom sound.
+
+  // Process each wheel that needs to be blown away.
+  for (const w of wheelsToBlow) {
+    w.isBlownAway = true; // Mark the wheel as blown away (its inner patterns will now be invisible).
+    w.isDeepBloom = deep;
+    w.dispersedStages = 0;
+    w.bloomFrames = 0;
+    if (isReducedMotion) {
+      w.dispersedStages = deep ? deepStageCount(w.style) : 0; // Every ring fades out together.
+      continue; // No seeds fly: the patterns fade out instead (see `Wheel.updateAlpha()`).
+    }
+    w.innerAlpha = 0; // Immediately set its inner pattern alpha to 0.
 
-    this.rotation = initialAngle; // Initial rotation for 'spoke' particles.
-    this.rotationSpeed = random(-0.05, 0.05); // Random rotation speed for 'spoke' particles.
-    this.windX = random(-0.05, -0.2); // Gentle horizontal wind force to the left.
-    this.windY = random(0.05, 0.2); // Gentle vertical wind force downwards.
+    // Any seeds left over from an earlier bloom of this wheel belong to the old generation.
+    particleEngine.releaseWheel(w.id, [PARTICLE_FADED, PARTICLE_LANDED]);
 
-    this.isReturning = false; // Flag to indicate if the particle is animating back to its origin.
-    this.returnSpeed = 0.05; // Speed at which the particle lerps (interpolates) back to its target.
+    /**
+     * Generate dandelion particles: each element of the wheel's blooming rings (each spoke
+     * and outer dot, for the classic style) becomes a particle that remembers which wheel and
+     * slot it came from.
+     */
+    releasedCount += releaseDeepStage(w, 0);
   }
 
-  /**
-   * Update Method: Updates the particle's position, rotation, size, and alpha over time.
-   * Handles both "blowing away" and "returning" animations.
-   */
-  update() {
-    if (this.isReturning) {
-      // If returning, interpolate position back to the target and fade out.
-      this.x = lerp(this.x, this.targetX, this.returnSpeed);
-      this.y = lerp(this.y, this.targetY, this.returnSpeed);
-      this.alpha = lerp(this.alpha, 0, this.returnSpeed * 2); // Fade OUT as it returns to merge with the wheel.
-      this.size = lerp(this.size, (this.type === 'spoke' ? this.size / 5 : this.size), this.returnSpeed * 2); // Restore size (spokes shrink significantly).
-      this.rotationSpeed = lerp(this.rotationSpeed, 0, 0.05); // Stop rotation as it returns.
-
-    } else {
-      // If blowing away, apply velocity and wind forces, then fade out and shrink.
-      this.x += this.vel.x; // Update x-position based on velocity.
-      this.y += this.vel.y; // Update y-position based on velocity.
-      this.vel.add(this.windX, this.windY); // Apply continuous wind force.
+  applyBloomRecoil(wheelsToBlow); // Jolt the chains, in physics mode (see physics.js).
+  playBloomSound(wheelsToBlow, releasedCount); // Chord per wheel plus a tick per released seed.
+  announceBloomChange(wheelsToBlow.length, true); // For screen readers (see accessibility.js).
+}
 
-      this.rotation += this.rotationSpeed; // Update rotation for 'spoke' particles.
+/**
+ * Release Deep Stage Function: Turns the rings of one bloom stage of a wheel into particles.
+ * Stage 0 is its blooming rings; later stages only exist in a deep bloom.
+ * @param {Wheel} w - The wheel.
+ * @param {number} stage - The stage (see `ringStage()` in wheelStyles.js).
+ * @returns {number} - How many particles were released.
+ */
+function releaseDeepStage(w, stage) {
+  seedParticlesFor(wheels.indexOf(w), stage); // Make this wheel's particle motion reproducible.
+  const slots = w.getSeedSlots().filter(slot => slot.stage === stage);
+  for (const slot of slots) {
+    particleEngine.spawn({
+      x: slot.x, y: slot.y, type: slot.type, color: slot.color, size: slot.size,
+      targetX: slot.x, targetY: slot.y, // Target for return (original position).
+      rotation: slot.rotation, wheelId: w.id, slotIndex: slot.slotIndex,
+    });
+  }
+  return slots.length;
+}
 
-      this.alpha -= 2; // Gradually decrease alpha (fade out).
-      this.size *= 0.99; // Gradually shrink the particle.
+/**
+ * Restore Wheels Function: Reverses a bloom, fading the wheels' inner patterns back in
+ * and animating their particles back towards them. Called by `BloomCommand` on undo.
+ * @param {Wheel[]} wheelsToRestore - The wheels to restore.
+ */
+function restoreWheels(wheelsToRestore) {
+  playRestoreSound(wheelsToRestore); // Rising, reversed chords as the seeds fly home.
+  announceBloomChange(wheelsToRestore.length, false);
+
+  // Process each wheel that needs to be restored.
+  for (const w of wheelsToRestore) {
+    w.isBlownAway = false; // Mark the wheel as not blown away (its inner patterns will now fade in).
+    if (isReducedMotion) {
+      particleEngine.releaseWheel(w.id); // No seeds fly home; the patterns fade back in from wherever they had faded to.
+      continue;
     }
-  }
+    w.innerAlpha = 0; // Explicitly set alpha to 0 to trigger the fade-in animation from transparent.
+
+    // Animate particles back to the wheel: every slot released so far gets exactly one seed back.
+    // Prefer a seed still in flight, then one lying on the ground (it is lifted out of the pile),
+    // then one that already faded out (it flies back from wherever it drifted to), and only if
+    // none exists (e.g. a loaded scene) spawn one off-screen.
+    const inFlight = particleEngine.slotsOfWheel(w.id, [PARTICLE_FLYING]);
+    const landed = particleEngine.slotsOfWheel(w.id, [PARTICLE_LANDED]);
+    const faded = particleEngine.slotsOfWheel(w.id, [PARTICLE_FADED]);
+    const missing = [];
+
+    for (const slot of w.getSeedSlots()) {
+      if (slot.stage > w.dispersedStages) continue; // Undone before this part of a deep bloom broke apart.
+      const type = particleTypes.indexOf(slot.type);
+      const matches = i => particleEngine.type[i] === type && particleEngine.slotIndex[i] === slot.slotIndex;
+      let i = inFlight.find(matches);
+      if (i === undefined) i = landed.find(matches);
+      if (i === undefined) i = faded.find(matches);
+      if (i === undefined) {
+        missing.push(slot);
+        continue;
+      }
+      particleEngine.targetX[i] = slot.x; // Aim at the slot's current position, in case the wheel has moved since.
+      particleEngine.targetY[i] = slot.y;
+      particleEngine.startReturn(i);
+    }
+    particleEngine.releaseWheel(w.id, [PARTICLE_FADED, PARTICLE_LANDED]); // Seeds that weren't needed (the wheel has fewer slots now).
 
-  /**
-   * Display Method: Draws the particle on the canvas based on its type and current properties.
-   */
-  display() {
-    push(); // Save current drawing state.
-    translate(this.x, this.y); // Move origin to particle's position.
-    rotate(this.rotation); // Apply rotation for 'spoke' particles.
-    noStroke(); // No outline for particles.
-    // Set fill color, applying the current alpha for fading.
-    fill(red(this.color), green(this.color), blue(this.color), this.alpha);
-
-    if (this.type === 'outerDot' || this.type === 'innerDot') {
-      circle(0, 0, this.size); // Draw a circle for dot-type particles.
-    } else if (this.type === 'spoke') {
-      // Draw a line segment for spoke-type particles.
-      stroke(red(this.color), green(this.color), blue(this.color), this.alpha); // Apply color and alpha to stroke.
-      strokeWeight(this.size * 0.3); // Adjust stroke weight for visibility.
-      line(0, 0, this.size, 0); // Draw a line from origin, which will be rotated.
+    // Spawn the missing seeds last: making room for them may cull other seeds, but never returning ones.
+    // With every slot returning already, the rest simply reappear as the patterns fade back in.
+    for (const slot of missing) {
+      const i = createOffscreenSeed(w, slot);
+      if (i !== -1) particleEngine.startReturn(i);
     }
-    pop(); // Restore previous drawing state.
   }
 }
 
+/**
+ * Find Seed Slot Function: Finds the slot a particle came from.
+ * @param {Object[]} slots - The wheel's slots, from `Wheel.getSeedSlots()`.
+ * @param {number} type - The particle's type, as an index into `particleTypes`.
+ * @param {number} slotIndex - The particle's slot index.
+ * @returns {Object|undefined} - The slot, or undefined if the wheel no longer has it.
+ */
+function findSeedSlot(slots, type, slotIndex) {
+  return slots.find(slot => slot.slotIndex === slotIndex && particleTypes.indexOf(slot.type) === type);
+}
+
+/**
+ * Create Offscreen Seed Function: Makes a particle for a wheel slot that has no seed to
+ * bring back, placing it just beyond the canvas edge downwind (bottom-left), as if it had
+ * drifted away long ago.
+ * @param {Wheel} w - The wheel the seed belongs to.
+ * @param {Object} slot - The slot from `Wheel.getSeedSlots()`.
+ * @returns {number} - The new particle's slot in the particle engine, or -1 if there was no room.
+ */
+function createOffscreenSeed(w, slot) {
+  const angle = random(PI / 2, PI); // Somewhere towards the bottom-left.
+  const distance = dist(0, 0, width, height); // Far enough to start outside the canvas.
+  return particleEngine.spawn({
+    x: slot.x + cos(angle) * distance, y: slot.y + sin(angle) * distance, type: slot.type, color: slot.color, size: slot.size,
+    targetX: slot.x, targetY: slot.y, rotation: slot.rotation, wheelId: w.id, slotIndex: slot.slotIndex,
+  });
+}
+
 /**
  * mousePressed Function: Event handler for mouse clicks.
- * When a wheel is clicked, it triggers the "dandelion effect" for all wheels
- * sharing the same base color, causing their inner patterns to disappear and
- * particles to fly away.
+ * When a wheel is clicked, it triggers the "dandelion effect" for the wheels picked
+ * by the active bloom mode (see bloomModes.js), causing their inner patterns to disappear and
+ * particles to fly away. The bloom is recorded in the command history so it can be
+ * undone and redone. Clicks on the history timeline scrub it instead, clicks on the palette
+ * editor edit palettes (see palettes.js), clicks on the settings panel change settings
+ * (see config.js), and in edit mode clicks select wheels (see editMode.js).
  */
 function mousePressed() {
-  // Iterate through wheels in reverse order to safely remove/modify elements if needed.
+  unlockSound(); // Audio may only start after a user gesture; this is the first chance.
+  noteInteraction({ type: 'press', x: mouseX, y: mouseY }); // For session recording (see sessionReplay.js).
+
+  if (historyTimeline.handlePress(mouseX, mouseY)) {
+    return; // The click was on the timeline, not on a wheel.
+  }
+  if (paletteEditor.handlePress(mouseX, mouseY)) {
+    return; // Or on the palette editor.
+  }
+  if (settingsPanel.handlePress(mouseX, mouseY)) {
+    return; // Or on the settings panel.
+  }
+  const world = screenToWorld(mouseX, mouseY); // Wheels live in composition coordinates, under the camera.
+  focusedWheel = null; // The keyboard focus ring is only for keyboard users.
+  if (isEditMode) {
+    handleEditPress(world.x, world.y); // Select, move or resize instead of blooming.
+    return;
+  }
+  bloomWheelAt(world.x, world.y);
+}
+
+/**
+ * Bloom Wheel At Function: Blooms the topmost unbloomed wheel at a point, together with the
+ * wheels the active bloom mode picks for it. Used by mouse clicks and touch taps.
+ * @param {number} x - The x-coordinate, in composition coordinates (see `screenToWorld()`).
+ * @param {number} y - The y-coordinate, in composition coordinates.
+ * @returns {boolean} - True if there was a wheel to bloom at that point.
+ */
+function bloomWheelAt(x, y) {
+  // Iterate through wheels in reverse order so the topmost wheel under the point is found first.
   for (let i = wheels.length - 1; i >= 0; i--) {
     let wheel = wheels[i];
-    // Check if the mouse is over a wheel and if that wheel has not already been blown away.
-    if (wheel.contains(mouseX, mouseY) && !wheel.isBlownAway) {
-      // Find all wheels that share the same base color as the clicked wheel.
-      const clickedWheelBaseColor = wheel.colors[0];
-      const wheelsToBlow = wheels.filter(w => w.colors[0] === clickedWheelBaseColor && !w.isBlownAway);
-
-      if (wheelsToBlow.length > 0) {
-        // Record the state of these wheels before they are blown away, for potential undo.
-        blownAwayHistory.push(wheelsToBlow.map(w => w)); // Store copies of the affected wheels.
-
-        // Process each wheel that needs to be blown away.
-        for (const w of wheelsToBlow) {
-          w.isBlownAway = true; // Mark the wheel as blown away (its inner patterns will now be invisible).
-          w.innerAlpha = 0; // Immediately set its inner pattern alpha to 0.
-
-          /**
-           * Generate dandelion particles for spokes:
-           * Each spoke of the wheel becomes a particle.
-           */
-          const spokeCount = 24;
-          const innerRadius = w.radius * 0.55;
-          const outerRadius = w.radius * 0.8;
-          const spokeColor = w.colors[3]; // Color of the spokes.
-          const spokeSize = w.radius * 0.03; // Base size for spoke particles.
-
-          for (let j = 0; j < spokeCount; j++) {
-            const angle = map(j, 0, spokeCount, 0, TWO_PI);
-            // Particles start at the outer end of the spoke.
-            const startX = w.x + cos(angle) * outerRadius;
-            const startY = w.y + sin(angle) * outerRadius;
-            const targetX = w.x + cos(angle) * outerRadius; // Target for return (original position).
-            const targetY = w.y + sin(angle) * outerRadius; // Target for return (original position).
-            dandelionParticles.push(new DandelionParticle(startX, startY, 'spoke', spokeColor, spokeSize * 5, targetX, targetY, angle));
-          }
-
-          /**
-           * Generate dandelion particles for outer dots:
-           * Each outer dot of the wheel becomes a particle.
-           */
-          const dotCount = 40;
-          const dotRadius = w.radius * 0.9;
-          const dotColor = w.colors[1]; // Color of outer dots.
-          const dotSize = w.radius * 0.08; // Base size for dot particles.
-
-          for (let j = 0; j < dotCount; j++) {
-            const angle = map(j, 0, dotCount, 0, TWO_PI);
-            const dx = w.x + cos(angle) * dotRadius;
-            const dy = w.y + sin(angle) * dotRadius;
-            const targetX = w.x + cos(angle) * dotRadius; // Target for return (original position).
-            const targetY = w.y + sin(angle) * dotRadius; // Target for return (original position).
-            dandelionParticles.push(new DandelionParticle(dx, dy, 'outerDot', dotColor, dotSize, targetX, targetY));
-          }
-        }
+    // Check if the point is over a wheel and if that wheel has not already been blown away.
+    if (wheel.contains(x, y) && !wheel.isBlownAway) {
+      // The active bloom mode decides which wheels go with it (by default, those sharing its base color).
+      const command = createBloomCommand(wheel);
+      if (command) {
+        recordOnBloom(); // Start recording first if armed, so the whole burst is captured.
+        commandHistory.record(command); // Bloom the wheels and remember it for undo.
       }
-      break; // Only process one wheel click at a time, preventing multiple effects from a single click.
+      return true; // Only process one wheel click at a time, preventing multiple effects from a single click.
     }
   }
+  return false;
+}
+
+/**
+ * mouseDragged Function: Event handler for dragging. Scrubs the history timeline or drags a
+ * palette editor bar or settings slider if the drag started on one, moves or resizes the selected wheel in edit mode, and otherwise the
+ * movement stirs up a gust of wind.
+ */
+function mouseDragged() {
+  noteInteraction({ type: 'drag', x: mouseX, y: mouseY, px: pmouseX, py: pmouseY });
+  const world = screenToWorld(mouseX, mouseY);
+  if (historyTimeline.isDragging) {
+    historyTimeline.handleDrag(mouseX);
+  } else if (paletteEditor.dragChannel >= 0) {
+    paletteEditor.handleDrag(mouseX);
+  } else if (settingsPanel.dragParameter) {
+    settingsPanel.handleDrag(mouseX);
+  } else if (isEditMode) {
+    handleEditDrag(world.x, world.y);
+  } else {
+    addGust(world.x, world.y, (mouseX - pmouseX) / viewCamera.zoom, (mouseY - pmouseY) / viewCamera.zoom);
+  }
+}
+
+/**
+ * mouseReleased Function: Event handler for releasing the mouse; ends timeline scrubbing,
+ * palette editor drags, settings slider drags and edit-mode drags.
+ */
+function mouseReleased() {
+  noteInteraction({ type: 'release', x: mouseX, y: mouseY });
+  historyTimeline.handleRelease();
+  paletteEditor.handleRelease();
+  settingsPanel.handleRelease();
+  handleEditRelease();
+}
+
+/**
+ * mouseWheel Function: Event handler for scrolling. In edit mode it resizes a wheel;
+ * otherwise it zooms the view in or out around the mouse.
+ * @param {WheelEvent} event - The scroll event; `delta` is positive when scrolling down.
+ */
+function mouseWheel(event) {
+  noteInteraction({ type: 'wheel', x: mouseX, y: mouseY, delta: event.delta });
+  if (paletteEditor.contains(mouseX, mouseY) || settingsPanel.contains(mouseX, mouseY)) {
+    return false; // Scrolling over a panel shouldn't zoom the artwork behind it.
+  }
+  if (isEditMode) {
+    const world = screenToWorld(mouseX, mouseY);
+    handleEditScroll(world.x, world.y, event.delta);
+  } else {
+    handleCameraScroll(mouseX, mouseY, event.delta);
+  }
+  return false; // Stop the page from scrolling.
+}
+
+/**
+ * doubleClicked Function: Event handler for double clicks. In edit mode, double-clicking
+ * empty space adds a wheel there.
+ */
+function doubleClicked() {
+  noteInteraction({ type: 'doubleClick', x: mouseX, y: mouseY });
+  if (isEditMode && !paletteEditor.contains(mouseX, mouseY) && !settingsPanel.contains(mouseX, mouseY)) {
+    const world = screenToWorld(mouseX, mouseY);
+    addWheelAt(world.x, world.y);
+  }
+}
+
+/**
+ * touchStarted, touchMoved and touchEnded Functions: Touches on the canvas are handled as
+ * pointer events (see pointerInput.js). Returning false stops p5 and the browser from also
+ * treating them as mouse input or scrolling the page; touches elsewhere behave as usual.
+ * @param {TouchEvent} event - The touch event.
+ * @returns {boolean|undefined}
+ */
+function touchStarted(event) {
+  if (event.target === pointerCanvas) return false;
+}
+
+function touchMoved(event) {
+  if (event.target === pointerCanvas) return false;
+}
+
+function touchEnded(event) {
+  if (event.target === pointerCanvas) return false;
 }
 
 /**
  * keyPressed Function: Event handler for keyboard presses.
- * Specifically, pressing the spacebar (keyCode 32) triggers an "undo" action,
- * restoring the last set of "blown away" wheels and animating particles back to them.
+ * Pressing the spacebar (keyCode 32) or Ctrl+Z undoes the last bloom, restoring
+ * those wheels and animating particles back to them. Shift+Space, Ctrl+Y or
+ * Ctrl+Shift+Z redoes it.
+ * Pressing 'R' re-rolls the seed, generating a new composition with a shareable link,
+ * and 'L' switches to the next layout strategy. 'F' cycles how the artwork fits a resized window.
+ * 'B' cycles the bloom mode, which decides which wheels bloom together with a clicked one,
+ * and Shift+B switches deep blooms (whole wheels breaking apart) on or off.
+ * 'Y' cycles the wheel styles: all mixed, or each on its own.
+ * 'E' toggles edit mode, where 'Delete', 'P', 'Y' and 'T' delete, recolor, restyle and turn the selected wheel.
+ * '[' and ']' turn the wind, '-' and '+' change its strength, and 'W' shows the wind field.
+ * 'G' turns the ground on or off, so seeds land and pile up (see ground.js).
+ * 'J' turns physics mode on or off: wheels spin and connectors swing as chains (see physics.js).
+ * 'A' plays the sample track and 'M' listens to the microphone in audio-reactive mode;
+ * '1'-'3' pick a frequency band and ',' / '.' change its sensitivity.
+ * 'V' mutes the bloom and restore sounds, and '9' / '0' change the master volume.
+ * Pressing 'S' saves the scene as JSON (Shift+S also saves particles in flight),
+ * and 'O' opens a saved scene file. 'X' saves a high-resolution PNG and Shift+X an SVG.
+ * 'C' starts or stops recording the animation (Shift+C records from the next bloom);
+ * 'D' changes the recording's duration and Shift+D its format.
+ * 'I' shows the frame rate and frame time; Shift+I turns layer caching off and on.
+ * Tab, Shift+Tab and the arrow keys move the keyboard focus between wheels, Enter blooms the
+ * focused wheel and Escape clears the focus (see accessibility.js). 'N' toggles reduced motion.
+ * 'K' opens the palette editor and Shift+K switches to the next palette set (see palettes.js).
+ * 'U' opens the settings panel, with sliders for the wheel count, sizes, fading and more (see config.js).
+ * 'Q' starts or stops recording a session and Shift+Q saves it; 'H' replays it, or pauses and
+ * resumes the replay, and Shift+H changes the replay speed (see sessionReplay.js).
+ * '/' plays the loaded choreography score from the top, or stops it (see choreography.js).
  */
 function keyPressed() {
+  unlockSound(); // Audio may only start after a user gesture; this is the first chance.
+  if (handleSessionKey()) {
+    return; // Recording and replaying sessions (see sessionReplay.js); these keys aren't recorded themselves.
+  }
+  if (unrecordedKeys.includes(key)) {
+    noteVisitor(); // Still a visitor, but not part of the session (see sessionReplay.js).
+  } else {
+    noteInteraction({ type: 'key', key, keyCode, held: heldModifierKeys() });
+  }
+  const isControlHeld = isKeyHeld(CONTROL) || isKeyHeld(91); // 91 is the Command key on macOS.
+
+  if (isControlHeld && (key === 'z' || key === 'Z' || key === 'y' || key === 'Y')) {
+    if (key === 'z' && !isKeyHeld(SHIFT)) {
+      commandHistory.undo();
+    } else {
+      commandHistory.redo(); // Ctrl+Y, or Ctrl+Shift+Z (which reports an uppercase 'Z').
+    }
+    return false; // Prevent the browser's own undo/redo shortcuts.
+  }
+
+  if (handleFocusKey()) {
+    return false; // Keep Tab and the arrow keys from moving the browser's focus or scrolling.
+  }
+  if (key === 'n' || key === 'N') {
+    toggleReducedMotion();
+    return;
+  }
+  if (key === 'e' || key === 'E') {
+    toggleEditMode(); // Switch between blooming and hand-editing the composition.
+    return;
+  }
+  if (isEditMode && handleEditKey()) {
+    return false; // Edit shortcuts (e.g. Backspace) shouldn't also trigger the browser's.
+  }
+
+  if (key === 'r' || key === 'R') {
+    rerollSeed(); // Generate a brand-new composition and update the URL.
+    return;
+  }
+  if (key === 'l' || key === 'L') {
+    cycleLayout(); // Rebuild the composition with the next layout strategy.
+    return;
+  }
+  if (key === 'y' || key === 'Y') {
+    cycleWheelStyle(); // Rebuild the composition with the next choice of wheel styles.
+    return;
+  }
+  if (key === 'f' || key === 'F') {
+    cycleFitMode(); // Stretch, letterbox or cover when the window changes shape.
+    return;
+  }
+  if (key === 'b' || key === 'B') {
+    if (key === 'B') {
+      toggleDeepBloom(); // Shift+B: break whole wheels apart, not just their seeds.
+    } else {
+      cycleBloomMode(); // Change which wheels bloom together when one is clicked.
+    }
+    return;
+  }
+  if (key === 'g' || key === 'G') {
+    toggleGround(); // Let seeds land and pile up at the bottom, or drift away and fade.
+    return;
+  }
+  if (key === 'j' || key === 'J') {
+    togglePhysics(); // Spinning wheels and swinging chains, or a still composition.
+    return;
+  }
+  if (key === 'k' || key === 'K') {
+    if (key === 'K') {
+      cyclePaletteSet(); // Shift+K: recolor everything from the next palette set.
+    } else {
+      paletteEditor.toggle();
+    }
+    return;
+  }
+  if (key === 'u' || key === 'U') {
+    settingsPanel.toggle();
+    return;
+  }
+  if (key === '[' || key === ']') {
+    rotateWind(key === ']' ? PI / 12 : -PI / 12); // Turn the breeze 15 degrees clockwise or anticlockwise.
+    return;
+  }
+  if (key === '-' || key === '=' || key === '+') {
+    changeWindStrength(key === '-' ? -0.25 : 0.25); // '=' is '+' without Shift.
+    return;
+  }
+  if (key === 'w' || key === 'W') {
+    showWindField = !showWindField; // Toggle the wind debug overlay.
+    return;
+  }
+  if (key === 'a' || key === 'A') {
+    toggleSampleAudio(); // Start or stop audio-reactive mode with the bundled track.
+    return;
+  }
+  if (key === 'm' || key === 'M') {
+    startMicrophone(); // Audio-reactive mode driven by the microphone.
+    return;
+  }
+  if (key === '1' || key === '2' || key === '3') {
+    selectAudioBand(int(key) - 1);
+    return;
+  }
+  if (key === ',' || key === '.') {
+    adjustBandSensitivity(key === '.' ? 0.1 : -0.1);
+    return;
+  }
+  if (key === 'v' || key === 'V') {
+    toggleMute();
+    return;
+  }
+  if (key === '9' || key === '0') {
+    changeMasterVolume(key === '0' ? 0.1 : -0.1);
+    return;
+  }
+  if (key === 's' || key === 'S') {
+    exportScene(key === 'S'); // Uppercase means Shift is held: include the live particles.
+    return;
+  }
+  if (key === 'c' || key === 'C') {
+    if (key === 'C') {
+      toggleAutoRecord(); // Shift+C: start recording with the next bloom.
+    } else {
+      toggleRecording();
+    }
+    return;
+  }
+  if (key === 'd' || key === 'D') {
+    if (key === 'D') {
+      cycleRecordingFormat(); // Shift+D: PNG sequence or WebM.
+    } else {
+      cycleRecordingDuration();
+    }
+    return;
+  }
+  if (key === 'i' || key === 'I') {
+    if (key === 'I') {
+      toggleLayerCaching(); // Shift+I: compare against drawing everything live.
+    } else {
+      showPerformanceOverlay = !showPerformanceOverlay;
+    }
+    return;
+  }
+  if (key === 'x' || key === 'X') {
+    if (key === 'X') {
+      exportSVG(); // Shift+X: vector file for printing at any size.
+    } else {
+      promptPNGExport(); // Ask for a scale or pixel width, then render offscreen.
+    }
+    return;
+  }
+  if (key === 'o' || key === 'O') {
+    openScenePicker(); // Let the user choose a scene file to load.
+    return;
+  }
+  if (key === '/') {
+    toggleScore(); // Play the loaded choreography score from the top, or stop it.
+    return false; // Firefox would otherwise open its quick find bar.
+  }
+
   if (keyCode === 32) { // Check if the pressed key is the spacebar.
-    if (blownAwayHistory.length > 0) { // Ensure there's something to undo.
-      // Retrieve the last set of wheels that were blown away from history.
-      const wheelsToRestore = blownAwayHistory.pop();
-
-      // Process each wheel that needs to be restored.
-      for (const w of wheelsToRestore) {
-        w.isBlownAway = false; // Mark the wheel as not blown away (its inner patterns will now fade in).
-        w.innerAlpha = 0; // Explicitly set alpha to 0 to trigger the fade-in animation from transparent.
-
-        // Animate particles back to the wheel: Find particles that originated from this wheel.
-        const particlesToReturn = dandelionParticles.filter(p =>
-          // The condition checks if the particle's original target position is near the wheel's spoke/outer dot radius.
-          (p.type === 'spoke' && dist(p.targetX, p.targetY, w.x + cos(p.rotation) * w.radius * 0.8, w.y + sin(p.rotation) * w.radius * 0.8) < 10) ||
-          (p.type === 'outerDot' && dist(p.targetX, p.targetY, w.x + cos(atan2(p.targetY - w.y, p.targetX - w.x)) * w.radius * 0.9, w.y + sin(atan2(p.targetY - w.y, p.targetX - w.x)) * w.radius * 0.9) < 10)
-        );
-
-        // For each particle found, initiate its return animation.
-        for (const p of particlesToReturn) {
-          p.isReturning = true; // Set the flag to true to start the return animation.
-          // Store the particle's current position as its starting point for the return animation.
-          p.originalX = p.x;
-          p.originalY = p.y;
-          // Particles will fade out as they return and merge with the wheel's restored appearance.
-        }
-      }
+    if (isKeyHeld(SHIFT)) {
+      commandHistory.redo(); // Shift+Space blooms the last restored group again.
+    } else {
+      commandHistory.undo(); // Space restores the last bloomed group.
     }
+    return false; // Stop the page from scrolling.
   }
 }
 
 /**
  * windowResized Function: Event handler for when the browser window is resized.
- * It adjusts the canvas size and re-initializes the artwork to fit the new dimensions.
+ * It adjusts the canvas size and re-fits the existing artwork to the new dimensions
+ * (see compositionFit.js), keeping blown-away wheels, particles and history intact.
  */
 function windowResized() {
-  resizeCanvas(windowWidth, windowHeight); // Resize the canvas to match the new window dimensions.
-  initializeArtwork(); // Re-initialize wheels and connectors to adapt to the new canvas size.
+  noteInteraction({ type: 'resize', width: windowWidth, height: windowHeight });
+  // Resize the canvas to match the new window dimensions. It isn't redrawn straight away (the next
+  // frame draws it), as an extra frame would move everything on by one more step than a replay would.
+  resizeCanvas(windowWidth, windowHeight, true);
+  refitComposition(width, height); // Move and scale the current composition into the new canvas.
+  clampCamera(); // Keep a zoomed-in view inside the new canvas.
 }
\ No newline at end of file
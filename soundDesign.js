@@ -0,0 +1,219 @@
+/**
+ * --- Sound Design ---
+ * Gives blooms and restores a voice using p5.sound oscillators and envelopes.
+ *   - Each palette has its own chord and oscillator timbre.
+ *   - A wheel's radius sets its pitch: big wheels sound low, small wheels high.
+ *   - Every released particle adds a soft, short "tick", so a bloom crackles like seeds scattering.
+ *   - Restoring plays the chord as a rising arpeggio with reversed (swelling) envelopes.
+ *
+ * Browsers block audio until the user interacts with the page, so nothing is created until
+ * the first click or key press calls `unlockSound()`.
+ * Controls: 'V' mutes/unmutes, '9' / '0' lower or raise the master volume.
+ */
+
+/**
+ * Palette Voices: One entry per palette in `colorPalettes` (matched by index; sets with more
+ * palettes reuse them in turn). `chord` lists semitones above the wheel's root note; `type`
+ * is the oscillator waveform.
+ */
+const paletteVoices = [
+  { type: 'sine', chord: [0, 4, 7, 11] }, // Major seventh: deep blue, calm and rich.
+  { type: 'triangle', chord: [0, 3, 7, 10] }, // Minor seventh: fiery reds, warm and dark.
+  { type: 'sine', chord: [0, 5, 7, 12] }, // Suspended fourth: earthy tones, open.
+  { type: 'triangle', chord: [0, 4, 7, 14] }, // Added ninth: cool blues, bright.
+  { type: 'square', chord: [0, 3, 7, 12] }, // Minor with octave: vivid pinks, buzzy.
+  { type: 'sawtooth', chord: [0, 7, 12, 16] }, // Open fifth: deep teal, brassy.
+];
+
+/**
+ * Sound Settings: Levels and timings for the generated sounds.
+ */
+const soundSettings = {
+  masterVolume: 0.7, // Overall output level, 0-1.
+  chordLevel: 0.12, // Peak amplitude of each chord note.
+  tickLevel: 0.025, // Peak amplitude of each particle tick.
+  tickSpread: 1.2, // Seconds over which a bloom's ticks are scattered.
+  maxTicksPerBloom: 256, // Keeps huge blooms from scheduling thousands of ticks.
+  pentatonic: [0, 2, 4, 7, 9], // Root notes are snapped to this scale so chords never clash.
+  lowestRoot: 45, // MIDI note for the largest wheel (A2).
+  highestRoot: 72, // MIDI note for the smallest wheel (C5).
+};
+
+let isSoundUnlocked = false; // Becomes true after the first user gesture.
+let isSoundMuted = false;
+let chordVoices = { voices: [], next: 0 }; // Pool of { osc, env } used for chord notes, taken in turn.
+let tickVoices = { voices: [], next: 0 }; // Pool of { osc, env } used for particle ticks.
+
+/**
+ * Unlock Sound Function: Starts the audio context and builds the voice pools. Safe to call
+ * on every gesture; it only does the work once.
+ */
+function unlockSound() {
+  if (isSoundUnlocked) return;
+  userStartAudio();
+  outputVolume(soundSettings.masterVolume);
+
+  for (let i = 0; i < 12; i++) {
+    chordVoices.voices.push(createVoice('sine'));
+  }
+  for (let i = 0; i < 8; i++) {
+    tickVoices.voices.push(createVoice('sine'));
+  }
+  isSoundUnlocked = true;
+}
+
+/**
+ * Create Voice Function: Makes a silent, running oscillator whose volume is controlled by an
+ * envelope. Notes are played by triggering the envelope.
+ * @param {string} type - The oscillator waveform.
+ * @returns {{osc: p5.Oscillator, env: p5.Envelope}} - The voice.
+ */
+function createVoice(type) {
+  const osc = new p5.Oscillator(type);
+  osc.amp(0);
+  osc.start();
+  return { osc, env: new p5.Envelope() };
+}
+
+/**
+ * Can Play Sound Function: Sounds are only made once unlocked and while not muted.
+ * @returns {boolean}
+ */
+function canPlaySound() {
+  return isSoundUnlocked && !isSoundMuted;
+}
+
+/**
+ * Palette Voice For Function: Finds the voice for a wheel's palette by its position in the
+ * active set (see `paletteIndexOf()`), so wheels loaded from a file (whose palettes are
+ * copies) still find theirs; unknown palettes get a voice picked from their base color.
+ * @param {Wheel} w - The wheel.
+ * @returns {Object} - An entry from `paletteVoices`.
+ */
+function paletteVoiceFor(w) {
+  let index = paletteIndexOf(colorPalettes, w.colors);
+  if (index < 0) {
+    index = [...w.colors[0]].reduce((sum, ch) => sum + ch.charCodeAt(0), 0); // Stable pick for unknown palettes.
+  }
+  return paletteVoices[index % paletteVoices.length];
+}
+
+/**
+ * Root Note For Function: Maps a wheel's radius to a MIDI note, relative to the other wheels
+ * on screen (largest is lowest), snapped to the pentatonic scale.
+ * @param {Wheel} w - The wheel.
+ * @returns {number} - A MIDI note number.
+ */
+function rootNoteFor(w) {
+  const radii = wheels.map(other => other.radius);
+  const smallest = min(radii);
+  const largest = max(radii);
+  const raw = largest > smallest
+    ? map(w.radius, smallest, largest, soundSettings.highestRoot, soundSettings.lowestRoot)
+    : (soundSettings.highestRoot + soundSettings.lowestRoot) / 2;
+
+  // Snap to the nearest note of the scale.
+  const octave = floor(raw / 12) * 12;
+  let best = octave;
+  for (const degree of soundSettings.pentatonic.concat(12)) {
+    if (abs(octave + degree - raw) < abs(best - raw)) {
+      best = octave + degree;
+    }
+  }
+  return best;
+}
+
+/**
+ * Play Note Function: Plays one note on the next voice in a pool.
+ * @param {Object} pool - The voice pool to take a voice from (`chordVoices` or `tickVoices`).
+ * @param {string} type - Oscillator waveform.
+ * @param {number} frequency - Pitch in Hz.
+ * @param {number} delay - Seconds from now to start.
+ * @param {number[]} adsr - Attack, decay, sustain ratio and release.
+ * @param {number} level - Peak amplitude.
+ * @param {number} [glideTo] - If given, the pitch slides to this frequency over the note.
+ */
+function playNote(pool, type, frequency, delay, adsr, level, glideTo) {
+  const voice = pool.voices[pool.next];
+  pool.next = (pool.next + 1) % pool.voices.length; // Round-robin: the oldest voice is reused first.
+  voice.osc.setType(type);
+  voice.osc.freq(frequency, 0, delay); // Change pitch exactly when the note starts, not now.
+  if (glideTo) {
+    voice.osc.freq(glideTo, adsr[0] + adsr[1], delay);
+  }
+  voice.env.setADSR(adsr[0], adsr[1], adsr[2], adsr[3]);
+  voice.env.setRange(level, 0);
+  voice.env.play(voice.osc, delay, 0.05);
+}
+
+/**
+ * Play Bloom Sound Function: Strums each bloomed wheel's chord (low to high, a little apart
+ * per wheel) and scatters a tick for each released particle. Uses `Math.random()` rather than
+ * p5's `random()`, so sound never changes the seeded particle motion.
+ * @param {Wheel[]} bloomed - The wheels that just bloomed.
+ * @param {number} particleCount - How many particles were released.
+ */
+function playBloomSound(bloomed, particleCount) {
+  if (!canPlaySound()) return;
+
+  // Only as many wheels as the chord pool can hold sound at once; the rest would cut them off.
+  const voiced = bloomed.slice(0, floor(chordVoices.voices.length / 4));
+  voiced.forEach((w, i) => {
+    const voice = paletteVoiceFor(w);
+    const root = rootNoteFor(w);
+    voice.chord.forEach((interval, j) => {
+      playNote(chordVoices, voice.type, midiToFreq(root + interval), i * 0.06 + j * 0.03,
+        [0.005, 0.4, 0.2, 1.2], soundSettings.chordLevel / voiced.length ** 0.5);
+    });
+  });
+
+  const ticks = min(particleCount, soundSettings.maxTicksPerBloom);
+  for (let i = 0; i < ticks; i++) {
+    const delay = Math.random() ** 2 * soundSettings.tickSpread; // Denser at the start, thinning out like a burst.
+    playNote(tickVoices, 'sine', 2000 + Math.random() * 3000, delay, [0.001, 0.02, 0, 0.03], soundSettings.tickLevel);
+  }
+}
+
+/**
+ * Play Restore Sound Function: The reverse of a bloom. Each wheel's chord rises as an
+ * arpeggio, every note swelling in slowly and cutting off sharply (a reversed envelope)
+ * while gliding up a little, as the seeds are drawn back in.
+ * @param {Wheel[]} restored - The wheels being restored.
+ */
+function playRestoreSound(restored) {
+  if (!canPlaySound()) return;
+
+  const voiced = restored.slice(0, floor(chordVoices.voices.length / 4));
+  voiced.forEach((w, i) => {
+    const voice = paletteVoiceFor(w);
+    const root = rootNoteFor(w);
+    voice.chord.forEach((interval, j) => {
+      const frequency = midiToFreq(root + interval);
+      playNote(chordVoices, voice.type, frequency * 0.94, i * 0.05 + j * 0.12,
+        [0.6, 0.01, 1, 0.08], soundSettings.chordLevel / voiced.length ** 0.5, frequency);
+    });
+  });
+}
+
+/**
+ * Toggle Mute Function: Silences or restores all output.
+ */
+function toggleMute() {
+  unlockSound();
+  isSoundMuted = !isSoundMuted;
+  outputVolume(isSoundMuted ? 0 : soundSettings.masterVolume, 0.1);
+  showStatusMessage(isSoundMuted ? 'Sound: muted' : `Sound: on (volume ${round(soundSettings.masterVolume * 100)}%)`);
+}
+
+/**
+ * Change Master Volume Function: Raises or lowers the overall output level.
+ * @param {number} delta - Change in volume (0-1 scale).
+ */
+function changeMasterVolume(delta) {
+  unlockSound();
+  soundSettings.masterVolume = constrain(soundSettings.masterVolume + delta, 0, 1);
+  if (!isSoundMuted) {
+    outputVolume(soundSettings.masterVolume, 0.1);
+  }
+  showStatusMessage(`Volume: ${round(soundSettings.masterVolume * 100)}%${isSoundMuted ? ' (muted)' : ''}`);
+}
@@ -0,0 +1,447 @@
+/**
+ * --- Wheel Styles ---
+ * A style describes a wheel's anatomy as data: a list of rings, drawn in order from the
+ * bottom up. Radii, sizes and weights are fractions of the wheel's radius, and `color` is
+ * an index into the wheel's palette (0 base, 1 outer dots, 2 inner dots, 3 spokes, 4 center).
+ *
+ * Ring types:
+ *   disc         - A filled circle: `radius`.
+ *   stripes      - `count` concentric bands from `outer` in to `inner`, cycling through `colors`.
+ *   stem         - The curved accent from the center, at the wheel's `stemAngle`.
+ *   dots         - `count` dots of diameter `size` around a circle of `radius`.
+ *   mirroredDots - `count` pairs of dots around a circle of `radius`, each pair mirrored
+ *                  `spread` radians either side of its direction.
+ *   spokes       - `count` radial lines from `inner` to `outer`, `weight` thick.
+ *   zigzag       - A zigzag line between `inner` and `outer` with `count` points, `weight` thick.
+ *   petals       - `count` radial ovals centered on `radius`, `length` long and `width` wide.
+ *
+ * Rings with `blooms: true` are the wheel's seeds: they fade in, disappear when the wheel
+ * blooms, and every element they draw (each dot, spoke, zigzag stroke or petal) becomes one
+ * particle. Only the last five types can bloom. While fading in, blooming rings are drawn on
+ * top of the cached rest of the wheel (see layerCache.js), so they shouldn't overlap the
+ * rings that don't bloom. In audio-reactive mode, their lines lengthen with the mids and
+ * their dots and petals grow with the treble.
+ *
+ * In a deep bloom (see bloomModes.js) the other rings break apart too, after the seeds, one
+ * ring per stage from the outside in: discs and stripes crumble into round fragments, the
+ * stem into short strokes, and dots and petals fly off as they are.
+ */
+
+/**
+ * Wheel Styles Registry: The available styles. 'Y' cycles between all of them mixed (the
+ * default) and each on its own; the `id` is what appears in the `?style=` URL parameter
+ * and is saved with each wheel in a scene.
+ */
+const wheelStyles = [
+  {
+    id: 'classic',
+    label: 'Classic',
+    rings: [
+      { type: 'disc', radius: 1, color: 0 }, // The base.
+      { type: 'spokes', count: 24, inner: 0.55, outer: 0.8, weight: 0.03, color: 3, blooms: true },
+      { type: 'dots', count: 40, radius: 0.9, size: 0.08, color: 1, blooms: true },
+      { type: 'disc', radius: 0.3, color: 2 },
+      { type: 'dots', count: 20, radius: 0.4, size: 0.06, color: 3 },
+      { type: 'disc', radius: 0.15, color: 4 },
+      { type: 'disc', radius: 0.075, color: 0 },
+      { type: 'stem', color: 1 },
+    ],
+  },
+  {
+    id: 'zigzag',
+    label: 'Zigzag',
+    rings: [
+      { type: 'disc', radius: 1, color: 0 },
+      { type: 'zigzag', count: 18, inner: 0.6, outer: 0.82, weight: 0.03, color: 1, blooms: true },
+      { type: 'mirroredDots', count: 16, radius: 0.92, spread: 0.07, size: 0.05, color: 3, blooms: true },
+      { type: 'stripes', count: 4, inner: 0.2, outer: 0.5, colors: [2, 4] },
+      { type: 'disc', radius: 0.1, color: 0 },
+    ],
+  },
+  {
+    id: 'petals',
+    label: 'Petals',
+    rings: [
+      { type: 'disc', radius: 1, color: 0 },
+      { type: 'petals', count: 12, radius: 0.7, length: 0.3, width: 0.14, color: 1, blooms: true },
+      { type: 'dots', count: 24, radius: 0.92, size: 0.05, color: 3, blooms: true },
+      { type: 'disc', radius: 0.48, color: 2 },
+      { type: 'mirroredDots', count: 8, radius: 0.33, spread: 0.18, size: 0.06, color: 1 },
+      { type: 'disc', radius: 0.2, color: 4 },
+      { type: 'disc', radius: 0.08, color: 0 },
+      { type: 'stem', color: 3 },
+    ],
+  },
+  {
+    id: 'target',
+    label: 'Target',
+    rings: [
+      { type: 'disc', radius: 1, color: 0 },
+      { type: 'spokes', count: 36, inner: 0.64, outer: 0.9, weight: 0.02, color: 3, blooms: true },
+      { type: 'dots', count: 18, radius: 0.57, size: 0.06, color: 1, blooms: true },
+      { type: 'stripes', count: 5, inner: 0.1, outer: 0.5, colors: [2, 4, 0] },
+    ],
+  },
+];
+
+let activeWheelStyle = 'mixed'; // A style id, or 'mixed' to give each wheel a random style.
+const fragmentSpacing = 0.12; // Distance between the fragments a disc or stripe crumbles into, as a fraction of the wheel's radius.
+
+/**
+ * Find Wheel Style Function: Looks up a style by id.
+ * @param {string} id - The style id, e.g. 'petals'.
+ * @returns {Object|undefined} - The style, or undefined if there is none with that id.
+ */
+function findWheelStyle(id) {
+  return wheelStyles.find(style => style.id === id);
+}
+
+/**
+ * Pick Wheel Style Function: Chooses the style for a new wheel, following the active choice.
+ * Uses p5's seeded `random()` when styles are mixed.
+ * @returns {Object} - A style from `wheelStyles`.
+ */
+function pickWheelStyle() {
+  return activeWheelStyle === 'mixed' ? random(wheelStyles) : findWheelStyle(activeWheelStyle);
+}
+
+/**
+ * Ring Types: How each type of ring is drawn. Types that can bloom list their `elements()`
+ * (dots, lines and petals, relative to the wheel's center); the same list is used to draw
+ * them and to make their seeds, so every seed comes from something the wheel really drew.
+ * The others just `draw()` themselves, and list the `fragments()` they break into in a deep
+ * bloom. Every type knows its `extent()`, how far out from the center it reaches, which
+ * decides when it breaks apart.
+ */
+const wheelRingTypes = {
+  disc: {
+    extent: ring => ring.radius,
+    draw(pg, ring, w, alpha) {
+      pg.noStroke();
+      pg.fill(ringColor(w, ring.color, alpha));
+      pg.circle(0, 0, w.radius * ring.radius * 2);
+    },
+    fragments(ring, w) {
+      return annulusFragments(w, ring.radius, coveredRadius(w.style, ring), ring.color); // Only the part left showing.
+    },
+  },
+
+  stripes: {
+    extent: ring => ring.outer,
+    draw(pg, ring, w, alpha) {
+      // Each band is a disc over the previous, larger one, so only its outer edge shows.
+      pg.noStroke();
+      for (let i = 0; i < ring.count; i++) {
+        pg.fill(ringColor(w, ring.colors[i % ring.colors.length], alpha));
+        pg.circle(0, 0, w.radius * stripeRadius(ring, i) * 2);
+      }
+    },
+    fragments(ring, w) {
+      const fragments = [];
+      for (let i = 0; i < ring.count; i++) {
+        const inner = i < ring.count - 1 ? stripeRadius(ring, i + 1) : coveredRadius(w.style, ring);
+        fragments.push(...annulusFragments(w, stripeRadius(ring, i), inner, ring.colors[i % ring.colors.length]));
+      }
+      return fragments;
+    },
+  },
+
+  stem: {
+    extent: () => 0.54, // The end of the stem, plus its dot.
+    draw(pg, ring, w, alpha) {
+      const r = w.radius;
+      const c = ringColor(w, ring.color, alpha);
+      pg.stroke(c);
+      pg.strokeWeight(r * 0.04);
+      pg.noFill();
+
+      // A quadratic Bezier curve from near the center outwards, bent a little to one side.
+      const { start, control, end } = stemCurve(w);
+      pg.beginShape();
+      pg.vertex(start.x, start.y);
+      pg.quadraticVertex(control.x, control.y, end.x, end.y);
+      pg.endShape();
+
+      pg.noStroke();
+      pg.fill(c);
+      pg.circle(end.x, end.y, r * 0.08); // A dot at the end of the stem.
+    },
+    fragments(ring, w) {
+      // The curve snaps into short strokes, and the dot at its end comes off whole.
+      const { start, control, end } = stemCurve(w);
+      const at = t => ({
+        x: (1 - t) * (1 - t) * start.x + 2 * (1 - t) * t * control.x + t * t * end.x,
+        y: (1 - t) * (1 - t) * start.y + 2 * (1 - t) * t * control.y + t * t * end.y,
+      });
+      const fragments = [];
+      const pieces = 6;
+      for (let i = 0; i < pieces; i++) {
+        const a = at(i / pieces);
+        const b = at((i + 1) / pieces);
+        fragments.push({ shape: 'line', weight: w.radius * 0.04, x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+      }
+      fragments.push({ shape: 'dot', x: end.x, y: end.y, size: w.radius * 0.08 });
+      return fragments;
+    },
+  },
+
+  dots: {
+    extent: ring => ring.radius + ring.size / 2,
+    elements(ring, w, scale) {
+      const elements = [];
+      for (let i = 0; i < ring.count; i++) {
+        const angle = map(i, 0, ring.count, 0, TWO_PI);
+        elements.push({ shape: 'dot', x: cos(angle) * w.radius * ring.radius, y: sin(angle) * w.radius * ring.radius, size: w.radius * ring.size * scale.dot });
+      }
+      return elements;
+    },
+  },
+
+  mirroredDots: {
+    extent: ring => ring.radius + ring.size / 2,
+    elements(ring, w, scale) {
+      const elements = [];
+      for (let i = 0; i < ring.count; i++) {
+        const angle = map(i, 0, ring.count, 0, TWO_PI);
+        for (const side of [-1, 1]) {
+          const a = angle + side * ring.spread;
+          elements.push({ shape: 'dot', x: cos(a) * w.radius * ring.radius, y: sin(a) * w.radius * ring.radius, size: w.radius * ring.size * scale.dot });
+        }
+      }
+      return elements;
+    },
+  },
+
+  spokes: {
+    extent: ring => ring.outer,
+    elements(ring, w, scale) {
+      const elements = [];
+      const inner = w.radius * ring.inner;
+      const outer = inner + w.radius * (ring.outer - ring.inner) * scale.line;
+      for (let i = 0; i < ring.count; i++) {
+        const angle = map(i, 0, ring.count, 0, TWO_PI);
+        elements.push({
+          shape: 'line', weight: w.radius * ring.weight,
+          x1: cos(angle) * inner, y1: sin(angle) * inner, x2: cos(angle) * outer, y2: sin(angle) * outer,
+        });
+      }
+      return elements;
+    },
+  },
+
+  zigzag: {
+    extent: ring => ring.outer,
+    elements(ring, w, scale) {
+      // Points alternate between the outer and inner radius; each stroke between two is an element.
+      const outer = w.radius * ring.outer;
+      const inner = outer - w.radius * (ring.outer - ring.inner) * scale.line;
+      const points = [];
+      for (let i = 0; i < ring.count * 2; i++) {
+        const angle = map(i, 0, ring.count * 2, 0, TWO_PI);
+        const r = i % 2 === 0 ? outer : inner;
+        points.push({ x: cos(angle) * r, y: sin(angle) * r });
+      }
+      return points.map((p, i) => {
+        const next = points[(i + 1) % points.length];
+        return { shape: 'line', weight: w.radius * ring.weight, x1: p.x, y1: p.y, x2: next.x, y2: next.y };
+      });
+    },
+  },
+
+  petals: {
+    extent: ring => ring.radius + ring.length / 2,
+    elements(ring, w, scale) {
+      const elements = [];
+      for (let i = 0; i < ring.count; i++) {
+        const angle = map(i, 0, ring.count, 0, TWO_PI);
+        elements.push({
+          shape: 'petal', x: cos(angle) * w.radius * ring.radius, y: sin(angle) * w.radius * ring.radius, rotation: angle,
+          length: w.radius * ring.length * scale.dot, width: w.radius * ring.width * scale.dot,
+        });
+      }
+      return elements;
+    },
+  },
+};
+
+/**
+ * Stripe Radius Function: The radius of one band of a stripes ring.
+ * @param {Object} ring - The stripes ring.
+ * @param {number} i - The band, counting from the outside.
+ * @returns {number} - As a fraction of the wheel's radius.
+ */
+function stripeRadius(ring, i) {
+  return map(i, 0, ring.count, ring.outer, ring.inner);
+}
+
+/**
+ * Stem Curve Function: The control points of a wheel's stem, relative to its center.
+ * @param {Wheel} w - The wheel.
+ * @returns {{start: Object, control: Object, end: Object}} - Points with x and y.
+ */
+function stemCurve(w) {
+  const r = w.radius;
+  return {
+    start: { x: cos(w.stemAngle) * (r * 0.075), y: sin(w.stemAngle) * (r * 0.075) },
+    control: { x: cos(w.stemAngle + 0.5) * (r * 0.4), y: sin(w.stemAngle + 0.5) * (r * 0.4) },
+    end: { x: cos(w.stemAngle) * (r * 0.5), y: sin(w.stemAngle) * (r * 0.5) },
+  };
+}
+
+/**
+ * Covered Radius Function: How much of a filled ring is hidden by the discs and stripes
+ * drawn on top of it, so a deep bloom only crumbles the part that can be seen.
+ * @param {Object} style - The wheel's style.
+ * @param {Object} ring - A disc or stripes ring of that style.
+ * @returns {number} - The radius of the hidden middle, as a fraction of the wheel's radius.
+ */
+function coveredRadius(style, ring) {
+  const reach = wheelRingTypes[ring.type].extent(ring);
+  let covered = 0;
+  for (const above of style.rings.slice(style.rings.indexOf(ring) + 1)) {
+    if (above.type !== 'disc' && above.type !== 'stripes') continue;
+    const extent = wheelRingTypes[above.type].extent(above);
+    if (extent < reach) covered = max(covered, extent);
+  }
+  return covered;
+}
+
+/**
+ * Annulus Fragments Function: Fills a band between two radii with round fragments, in
+ * concentric circles `fragmentSpacing` apart, each just big enough to cover its share.
+ * @param {Wheel} w - The wheel.
+ * @param {number} outer - Outer radius, as a fraction of the wheel's radius.
+ * @param {number} inner - Inner radius, as a fraction of the wheel's radius.
+ * @param {number} colorIndex - The fragments' palette color.
+ * @returns {Object[]} - Elements with shape 'fragment'.
+ */
+function annulusFragments(w, outer, inner, colorIndex) {
+  const fragments = [];
+  const circles = max(1, round((outer - inner) / fragmentSpacing));
+  const band = (outer - inner) / circles;
+  for (let k = 0; k < circles; k++) {
+    const r = outer - band * (k + 0.5);
+    const count = max(3, round(TWO_PI * r / fragmentSpacing));
+    for (let i = 0; i < count; i++) {
+      const angle = map(i, 0, count, 0, TWO_PI) + k * 0.5; // Stagger neighbouring circles.
+      fragments.push({
+        shape: 'fragment', color: colorIndex,
+        x: cos(angle) * w.radius * r, y: sin(angle) * w.radius * r, size: w.radius * max(band, fragmentSpacing) * 1.2,
+      });
+    }
+  }
+  return fragments;
+}
+
+/**
+ * Ring Stage Function: When a ring breaks apart in a deep bloom. The blooming rings go
+ * first, at stage 0; then each other ring gets its own stage, from the outside in.
+ * @param {Object} style - The wheel's style.
+ * @param {Object} ring - A ring of that style.
+ * @returns {number} - The stage, from 0 to `deepStageCount(style)`.
+ */
+function ringStage(style, ring) {
+  if (ring.blooms) return 0;
+  return deepBloomOrder(style).indexOf(ring) + 1;
+}
+
+/**
+ * Deep Stage Count Function: How many stages a deep bloom of a style has after the seeds.
+ * @param {Object} style - A wheel style.
+ * @returns {number}
+ */
+function deepStageCount(style) {
+  return deepBloomOrder(style).length;
+}
+
+const deepBloomOrders = new Map(); // Style -> its rings that don't bloom, outermost first.
+
+/**
+ * Deep Bloom Order Function: A style's rings that don't bloom, in the order they break
+ * apart in a deep bloom: the outermost first, rings reaching equally far in drawing order.
+ * @param {Object} style - A wheel style.
+ * @returns {Object[]} - Rings of the style.
+ */
+function deepBloomOrder(style) {
+  if (!deepBloomOrders.has(style)) {
+    const extent = ring => wheelRingTypes[ring.type].extent(ring);
+    deepBloomOrders.set(style, style.rings.filter(ring => !ring.blooms).sort((a, b) => extent(b) - extent(a))); // `sort` is stable.
+  }
+  return deepBloomOrders.get(style);
+}
+
+/**
+ * Ring Color Function: One of a wheel's displayed colors, made transparent if needed.
+ * @param {Wheel} w - The wheel.
+ * @param {number} index - Index into the wheel's palette.
+ * @param {number} alpha - Opacity from 0 to 255.
+ * @returns {string|p5.Color}
+ */
+function ringColor(w, index, alpha) {
+  if (alpha >= 255) return w.displayColors[index];
+  const c = color(w.displayColors[index]);
+  c.setAlpha(alpha);
+  return c;
+}
+
+/**
+ * Draw Ring Function: Draws one ring of a wheel, relative to its center. Rings that break
+ * apart when the wheel blooms (see `Wheel.isRingDispersed()`) are drawn with the wheel's
+ * `innerAlpha`, and blooming rings with its audio-reactive scales.
+ * @param {Object} pg - Where to draw (see `Wheel.display()`).
+ * @param {Object} ring - The ring, from the wheel's style.
+ * @param {Wheel} w - The wheel.
+ */
+function drawRing(pg, ring, w) {
+  const type = wheelRingTypes[ring.type];
+  const alpha = w.isRingDispersed(ring) ? w.innerAlpha : 255;
+  if (type.draw) {
+    type.draw(pg, ring, w, alpha);
+    return;
+  }
+
+  const c = ringColor(w, ring.color, alpha);
+  const scale = ring.blooms ? { line: w.spokeScale, dot: w.dotScale } : { line: 1, dot: 1 };
+  for (const e of type.elements(ring, w, scale)) {
+    if (e.shape === 'line') {
+      pg.stroke(c);
+      pg.strokeWeight(e.weight);
+      pg.line(e.x1, e.y1, e.x2, e.y2);
+    } else if (e.shape === 'dot') {
+      pg.noStroke();
+      pg.fill(c);
+      pg.circle(e.x, e.y, e.size);
+    } else {
+      pg.noStroke();
+      pg.fill(c);
+      pg.push();
+      pg.translate(e.x, e.y);
+      pg.rotate(e.rotation);
+      pg.ellipse(0, 0, e.length, e.width);
+      pg.pop();
+    }
+  }
+}
+
+/**
+ * Seed For Element Function: Describes the particle a drawn element turns into. Dots stay
+ * dots (outer dots from blooming rings, inner dots from the others) and petals stay petals;
+ * lines become spoke seeds, which start at the line's end and point along it, drawn a little
+ * longer and thicker than the line so they read in flight. Fragments of discs and stripes
+ * become fragment seeds.
+ * @param {Object} e - An element from a ring's `elements()` or `fragments()`.
+ * @param {Object} ring - The ring it belongs to.
+ * @returns {{type: string, x: number, y: number, rotation: number, size: number}}
+ */
+function seedForElement(e, ring) {
+  if (e.shape === 'line') {
+    return { type: 'spoke', x: e.x2, y: e.y2, rotation: atan2(e.y2 - e.y1, e.x2 - e.x1), size: e.weight * 5 };
+  }
+  if (e.shape === 'petal') {
+    return { type: 'petal', x: e.x, y: e.y, rotation: e.rotation, size: e.length };
+  }
+  if (e.shape === 'fragment') {
+    return { type: 'fragment', x: e.x, y: e.y, rotation: 0, size: e.size };
+  }
+  return { type: ring.blooms ? 'outerDot' : 'innerDot', x: e.x, y: e.y, rotation: 0, size: e.size };
+}
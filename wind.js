@@ -0,0 +1,215 @@
+/**
+ * --- Wind ---
+ * A global wind that carries the dandelion seeds. It is made of three parts:
+ *   1. A steady breeze with an adjustable direction and strength.
+ *   2. A slowly changing swirl from curl noise (built on p5's Perlin `noise()`), so seeds
+ *      drift in eddies instead of straight lines.
+ *   3. Gusts created by dragging the mouse or swiping, which push seeds near the gesture.
+ * Particles sample the wind at their position (from a grid sampled once per frame) and are
+ * dragged towards it, with a little random turbulence on top.
+ */
+
+/**
+ * Wind Settings: Tunable values for the wind. Direction and strength can be changed at
+ * runtime with '[' / ']' and '-' / '+'.
+ */
+const windSettings = {
+  angle: Math.PI * 0.75, // Breeze direction in radians: towards the bottom-left, like the original drift. (p5's PI isn't defined yet when this file loads.)
+  strength: 2, // Breeze speed in pixels per frame.
+  swirlStrength: 1.5, // How strongly the curl-noise eddies bend the flow.
+  noiseScale: 0.003, // Size of the eddies: smaller values give larger, smoother swirls.
+  timeScale: 0.004, // How quickly the eddies change from frame to frame.
+  turbulence: 0.15, // Random jitter added to each seed every frame.
+  gustRadius: 140, // How far from the gesture a gust reaches, in pixels.
+  gustStrength: 0.6, // How much of the drag speed a gust passes on to the air.
+  gustDecay: 0.02, // How much of a gust's strength fades each frame.
+  maxGusts: 60, // Oldest gusts are dropped beyond this many.
+  maxGustSpeed: 10, // Cap on the combined push of all gusts at one point, in pixels per frame.
+  gridSpacing: 40, // Distance between the points the wind is sampled at each frame for particles (see `updateWindGrid()`).
+};
+
+let windTime = 0; // Position along the noise field's time axis; advanced once per frame.
+let gusts = []; // Active gusts: { x, y, vx, vy, life }.
+let showWindField = false; // Whether the debug overlay with the field vectors is drawn.
+let windGrid = null; // The wind sampled on a coarse grid this frame: { columns, rows, left, top, vx, vy }.
+
+/**
+ * Reset Wind Function: Restarts the noise clock and clears gusts, so a given seed always
+ * produces the same wind. Called whenever a new composition is generated.
+ */
+function resetWind() {
+  windTime = 0;
+  gusts = [];
+}
+
+/**
+ * Update Wind Function: Advances the wind by one frame. Called from `draw()` before particles move.
+ * Time is counted in frames rather than milliseconds, so the wind is the same on fast and slow machines.
+ */
+function updateWind() {
+  windTime += windSettings.timeScale;
+
+  // Fade gusts out and forget the ones that have died down.
+  for (const gust of gusts) {
+    gust.life -= windSettings.gustDecay;
+  }
+  gusts = gusts.filter(gust => gust.life > 0);
+}
+
+/**
+ * Wind At Function: Samples the wind at a point.
+ * @param {number} x - The x-coordinate to sample.
+ * @param {number} y - The y-coordinate to sample.
+ * @returns {p5.Vector} - The air velocity at that point, in pixels per frame.
+ */
+function windAt(x, y) {
+  // Steady breeze.
+  const flow = p5.Vector.fromAngle(windSettings.angle, windSettings.strength);
+
+  // Curl noise: treat Perlin noise as a stream function and take its curl, which gives a
+  // swirling flow without sources or sinks (seeds circle around rather than bunching up).
+  const nx = x * windSettings.noiseScale;
+  const ny = y * windSettings.noiseScale;
+  const e = 0.01; // Step for the finite differences, in noise-space units.
+  const dPdx = (noise(nx + e, ny, windTime) - noise(nx - e, ny, windTime)) / (2 * e);
+  const dPdy = (noise(nx, ny + e, windTime) - noise(nx, ny - e, windTime)) / (2 * e);
+  flow.x += dPdy * windSettings.swirlStrength;
+  flow.y -= dPdx * windSettings.swirlStrength;
+
+  // Gusts: each one pushes the air near it, fading with distance and age. Overlapping gusts
+  // from one long drag add up, so their total is capped to keep seeds from being flung away.
+  const gustFlow = createVector(0, 0);
+  for (const gust of gusts) {
+    const d = dist(x, y, gust.x, gust.y);
+    if (d < windSettings.gustRadius) {
+      const falloff = sq(1 - d / windSettings.gustRadius) * gust.life;
+      gustFlow.x += gust.vx * falloff;
+      gustFlow.y += gust.vy * falloff;
+    }
+  }
+  return flow.add(gustFlow.limit(windSettings.maxGustSpeed));
+}
+
+/**
+ * Update Wind Grid Function: Samples the wind on a coarse grid covering the canvas (plus the
+ * margin particles may drift into). With tens of thousands of seeds in flight, looking the
+ * wind up in this grid is far cheaper than calling `windAt()` for every seed. Called by the
+ * particle engine once per frame, after `updateWind()`.
+ */
+function updateWindGrid() {
+  const spacing = windSettings.gridSpacing;
+  const margin = particleSettings.offscreenMargin;
+  const area = fullCanvasFrame(); // The whole wall, on a wall of screens (see multiScreen.js).
+  const columns = ceil((area.w + margin * 2) / spacing) + 1;
+  const rows = ceil((area.h + margin * 2) / spacing) + 1;
+  if (!windGrid || windGrid.columns !== columns || windGrid.rows !== rows) {
+    windGrid = { columns, rows, vx: new Float32Array(columns * rows), vy: new Float32Array(columns * rows) };
+  }
+  windGrid.left = area.x - margin;
+  windGrid.top = area.y - margin;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const v = windAt(windGrid.left + column * spacing, windGrid.top + row * spacing);
+      windGrid.vx[row * columns + column] = v.x;
+      windGrid.vy[row * columns + column] = v.y;
+    }
+  }
+}
+
+/**
+ * Sample Wind Grid Function: Looks up the wind at a point in this frame's grid, blending the
+ * four surrounding samples. Points outside the grid get the wind at its nearest edge.
+ * @param {number} x - The x-coordinate to sample.
+ * @param {number} y - The y-coordinate to sample.
+ * @param {{x: number, y: number}} out - Receives the air velocity (reused to avoid allocating).
+ */
+function sampleWindGrid(x, y, out) {
+  const spacing = windSettings.gridSpacing;
+  const { columns, rows, left, top, vx, vy } = windGrid;
+  const gx = Math.min(Math.max((x - left) / spacing, 0), columns - 1.001);
+  const gy = Math.min(Math.max((y - top) / spacing, 0), rows - 1.001);
+  const column = Math.floor(gx);
+  const row = Math.floor(gy);
+  const fx = gx - column;
+  const fy = gy - row;
+  const i = row * columns + column;
+  out.x = (vx[i] * (1 - fx) + vx[i + 1] * fx) * (1 - fy) + (vx[i + columns] * (1 - fx) + vx[i + columns + 1] * fx) * fy;
+  out.y = (vy[i] * (1 - fx) + vy[i + 1] * fx) * (1 - fy) + (vy[i + columns] * (1 - fx) + vy[i + columns + 1] * fx) * fy;
+}
+
+/**
+ * Add Gust Function: Creates a gust from a drag or swipe movement.
+ * @param {number} x - Where the gesture is now.
+ * @param {number} y - Where the gesture is now.
+ * @param {number} dx - How far it moved horizontally since the last frame.
+ * @param {number} dy - How far it moved vertically since the last frame.
+ */
+function addGust(x, y, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  if (shareWallChange('gust', { x, y, dx, dy })) return; // Every screen of a wall adds it on the same frame (see multiScreen.js).
+  gusts.push({ x, y, vx: dx * windSettings.gustStrength, vy: dy * windSettings.gustStrength, life: 1 });
+  if (gusts.length > windSettings.maxGusts) {
+    gusts.shift(); // Drop the oldest gust.
+  }
+}
+
+/**
+ * Rotate Wind Function: Turns the breeze direction.
+ * @param {number} delta - The change in angle, in radians.
+ */
+function rotateWind(delta) {
+  windSettings.angle = (windSettings.angle + delta + TWO_PI) % TWO_PI;
+  showWindStatus();
+}
+
+/**
+ * Change Wind Strength Function: Makes the breeze stronger or weaker (never negative).
+ * @param {number} delta - The change in strength, in pixels per frame.
+ */
+function changeWindStrength(delta) {
+  windSettings.strength = constrain(windSettings.strength + delta, 0, 10);
+  showWindStatus();
+}
+
+/**
+ * Show Wind Status Function: Reports the breeze direction (as a compass heading, where
+ * north is up the screen) and strength in the status line.
+ */
+function showWindStatus() {
+  const heading = round(degrees(windSettings.angle + HALF_PI) + 360) % 360; // Canvas angle to compass bearing.
+  showStatusMessage(`Wind: heading ${heading}°, strength ${windSettings.strength.toFixed(1)}`);
+}
+
+/**
+ * Draw Wind Field Function: Debug overlay showing the wind as a grid of arrows, plus a
+ * circle for each active gust. Toggle with 'W'.
+ */
+function drawWindField() {
+  if (!showWindField) return;
+  const spacing = 40; // Distance between arrows.
+  const arrowScale = 6; // Arrow length per pixel-per-frame of wind.
+
+  push();
+  applyCameraTransform(); // Arrows show the wind where it blows in the composition.
+  stroke(255, 120);
+  strokeWeight(1 / viewCamera.zoom);
+  for (let x = spacing / 2; x < width; x += spacing) {
+    for (let y = spacing / 2; y < height; y += spacing) {
+      const v = windAt(x, y).mult(arrowScale).limit(spacing * 0.9);
+      const tipX = x + v.x;
+      const tipY = y + v.y;
+      line(x, y, tipX, tipY);
+      // Small arrowhead.
+      const a = atan2(v.y, v.x);
+      line(tipX, tipY, tipX - cos(a - 0.4) * 4, tipY - sin(a - 0.4) * 4);
+      line(tipX, tipY, tipX - cos(a + 0.4) * 4, tipY - sin(a + 0.4) * 4);
+    }
+  }
+
+  noFill();
+  for (const gust of gusts) {
+    stroke(255, 220, 120, 200 * gust.life);
+    circle(gust.x, gust.y, windSettings.gustRadius * 2);
+  }
+  pop();
+}